@@ -0,0 +1,81 @@
+// controllers/Blacklist.controller.js
+const { BlacklistService } = require('../services/Blacklist.service');
+const { blacklistEntriesSchema, blacklistHistoryQuerySchema } = require('../validations/blacklistValidation');
+const socialScrapeLogger = require('../config/socialScrapeLogger');
+
+// Blacklist or unblacklist a list of domains right away
+const applyEntries = async (req, res) => {
+    try {
+        const { urls, action, reason, expiresAt } = blacklistEntriesSchema.parse(req.body);
+
+        const entries = new Map();
+        const invalid = [];
+        for (const value of urls) {
+            const url = BlacklistService.toBlacklistDomain(value);
+            if (url) {
+                entries.set(url, { url, action, reason, expiresAt });
+            } else {
+                invalid.push(value);
+            }
+        }
+
+        const result = await BlacklistService.applyEntries([...entries.values()], { actor: req.user?.id });
+        socialScrapeLogger.info(`${action} of ${entries.size} domain(s) by user ${req.user?.id}`);
+
+        res.json({
+            success: true,
+            data: {
+                action,
+                applied: entries.size - result.failed.length,
+                upserted: result.upserted,
+                modified: result.modified,
+                invalid,
+                failed: result.failed.map(({ entry, error }) => ({ url: entry.url, error }))
+            }
+        });
+    } catch (error) {
+        if (error.name === 'ZodError') {
+            return res.status(400).json({ success: false, errors: error.errors });
+        }
+        socialScrapeLogger.error('Error applying blacklist entries:', error);
+        res.status(500).json({ success: false, error: 'Failed to apply blacklist entries' });
+    }
+};
+
+const getHistory = async (req, res) => {
+    try {
+        const { page = 1, limit = 50, order, cursor, useCursor } = blacklistHistoryQuerySchema.parse(req.query);
+        const url = BlacklistService.toBlacklistDomain(req.params.url);
+        if (!url) {
+            return res.status(400).json({ success: false, error: 'Invalid domain' });
+        }
+
+        const { current, entries, total, pagination } = await BlacklistService.getHistory(url, { page, limit, order, cursor, useCursor });
+
+        res.json({
+            success: true,
+            data: { url, current, history: entries },
+            pagination: pagination || {
+                total,
+                page,
+                limit,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        if (error.name === 'ZodError') {
+            return res.status(400).json({ success: false, errors: error.errors });
+        }
+        socialScrapeLogger.error('Error getting blacklist history:', error);
+        res.status(500).json({ success: false, error: 'Failed to get blacklist history' });
+    }
+};
+
+const BlacklistController = {
+    applyEntries,
+    getHistory,
+};
+
+module.exports = {
+    BlacklistController
+};
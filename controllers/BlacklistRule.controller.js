@@ -0,0 +1,145 @@
+// controllers/BlacklistRule.controller.js
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const { BlacklistRuleService } = require('../services/BlacklistRule.service');
+const { SocialScrapeService, blacklistEventEmitter } = require('../services/SocialScrape.service');
+const { ImportJobService } = require('../services/ImportJob.service');
+const { blacklistRuleSchema, blacklistRuleUpdateSchema } = require('../validations/blacklistValidation');
+const socialScrapeLogger = require('../config/socialScrapeLogger');
+
+// Respond to the errors saving a rule can raise, returning false for unexpected ones
+const handleRuleError = (error, res) => {
+    if (error.name === 'ZodError') {
+        res.status(400).json({ success: false, errors: error.errors });
+    } else if (error.message.startsWith('Invalid pattern')) {
+        res.status(400).json({ success: false, error: error.message });
+    } else if (error.code === 11000) {
+        res.status(409).json({ success: false, error: 'A rule with this type and pattern already exists' });
+    } else {
+        return false;
+    }
+    return true;
+};
+
+const listRules = async (req, res) => {
+    try {
+        const rules = await BlacklistRuleService.listRules();
+        res.json({ success: true, data: rules });
+    } catch (error) {
+        socialScrapeLogger.error('Error listing blacklist rules:', error);
+        res.status(500).json({ success: false, error: 'Failed to list blacklist rules' });
+    }
+};
+
+const createRule = async (req, res) => {
+    try {
+        const data = blacklistRuleSchema.parse(req.body);
+        const rule = await BlacklistRuleService.createRule(data, req.user?.id);
+        res.status(201).json({ success: true, data: rule });
+    } catch (error) {
+        if (handleRuleError(error, res)) return;
+        socialScrapeLogger.error('Error creating blacklist rule:', error);
+        res.status(500).json({ success: false, error: 'Failed to create blacklist rule' });
+    }
+};
+
+const updateRule = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ success: false, error: 'Blacklist rule not found' });
+        }
+
+        const data = blacklistRuleUpdateSchema.parse(req.body);
+        const rule = await BlacklistRuleService.updateRule(req.params.id, data);
+        if (!rule) {
+            return res.status(404).json({ success: false, error: 'Blacklist rule not found' });
+        }
+
+        res.json({ success: true, data: rule });
+    } catch (error) {
+        if (handleRuleError(error, res)) return;
+        socialScrapeLogger.error('Error updating blacklist rule:', error);
+        res.status(500).json({ success: false, error: 'Failed to update blacklist rule' });
+    }
+};
+
+const deleteRule = async (req, res) => {
+    try {
+        const rule = mongoose.Types.ObjectId.isValid(req.params.id)
+            ? await BlacklistRuleService.deleteRule(req.params.id)
+            : null;
+        if (!rule) {
+            return res.status(404).json({ success: false, error: 'Blacklist rule not found' });
+        }
+
+        res.json({ success: true, data: rule });
+    } catch (error) {
+        socialScrapeLogger.error('Error deleting blacklist rule:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete blacklist rule' });
+    }
+};
+
+const runRule = async (rule, processId, actor) => {
+    const signal = SocialScrapeService.registerJob(processId);
+    try {
+        await SocialScrapeService.applyBlacklistRule(rule, processId, { actor, signal });
+
+        const progress = SocialScrapeService.getBlacklistProgress(processId);
+        if (signal.aborted) {
+            progress.isComplete = true;
+            progress.currentFile = null;
+            progress.errors.push('Blacklist update was cancelled by user');
+            blacklistEventEmitter.emit('progress', { processId, ...progress });
+        }
+        await ImportJobService.finishJob(processId, progress, signal.aborted ? 'cancelled' : 'completed');
+    } finally {
+        SocialScrapeService.unregisterJob(processId);
+    }
+};
+
+// Apply a rule to the records imported before it existed, as a blacklist job
+const applyRule = async (req, res) => {
+    try {
+        const rule = mongoose.Types.ObjectId.isValid(req.params.id)
+            ? await BlacklistRuleService.getRule(req.params.id)
+            : null;
+        if (!rule) {
+            return res.status(404).json({ success: false, error: 'Blacklist rule not found' });
+        }
+
+        const processId = uuidv4();
+        await ImportJobService.createJob({ processId, type: 'blacklist', triggeredBy: req.user?.id });
+
+        runRule(rule, processId, req.user?.id).catch(error => {
+            socialScrapeLogger.error(`Error applying blacklist rule ${rule.pattern}:`, error);
+            const progress = SocialScrapeService.getBlacklistProgress(processId);
+            if (progress) {
+                progress.errors.push(error.message);
+                progress.isComplete = true;
+                blacklistEventEmitter.emit('progress', { processId, ...progress });
+            }
+            ImportJobService.finishJob(processId, progress || { errors: [error.message] }, 'failed');
+        });
+
+        res.json({
+            success: true,
+            message: 'Blacklist rule re-evaluation started',
+            processId
+        });
+    } catch (error) {
+        socialScrapeLogger.error('Error starting blacklist rule re-evaluation:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+const BlacklistRuleController = {
+    listRules,
+    createRule,
+    updateRule,
+    deleteRule,
+    applyRule,
+};
+
+module.exports = {
+    BlacklistRuleController
+};
@@ -0,0 +1,57 @@
+// controllers/CodeMapping.controller.js
+const { CodeMappingService } = require('../services/CodeMapping.service');
+const { codeSchema, codeMappingSchema } = require('../validations/codeMappingValidation');
+const socialScrapeLogger = require('../config/socialScrapeLogger');
+
+const listMappings = async (req, res) => {
+    try {
+        const mappings = await CodeMappingService.listMappings();
+        res.json({ success: true, data: mappings });
+    } catch (error) {
+        socialScrapeLogger.error('Error listing CODE mappings:', error);
+        res.status(500).json({ success: false, error: 'Failed to list CODE mappings' });
+    }
+};
+
+const saveMapping = async (req, res) => {
+    try {
+        const code = codeSchema.parse(req.params.code);
+        const data = codeMappingSchema.parse(req.body);
+
+        const mapping = await CodeMappingService.upsertMapping(code, data, req.user?.id);
+        res.json({ success: true, data: mapping });
+    } catch (error) {
+        if (error.name === 'ZodError') {
+            return res.status(400).json({ success: false, errors: error.errors });
+        }
+        if (error.message.includes('cannot be set')) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        socialScrapeLogger.error('Error saving CODE mapping:', error);
+        res.status(500).json({ success: false, error: 'Failed to save CODE mapping' });
+    }
+};
+
+const deleteMapping = async (req, res) => {
+    try {
+        const mapping = await CodeMappingService.deleteMapping(req.params.code);
+        if (!mapping) {
+            return res.status(404).json({ success: false, error: 'CODE mapping not found' });
+        }
+
+        res.json({ success: true, data: mapping });
+    } catch (error) {
+        socialScrapeLogger.error('Error deleting CODE mapping:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete CODE mapping' });
+    }
+};
+
+const CodeMappingController = {
+    listMappings,
+    saveMapping,
+    deleteMapping,
+};
+
+module.exports = {
+    CodeMappingController
+};
@@ -0,0 +1,118 @@
+// controllers/Export.controller.js
+const { v4: uuidv4 } = require('uuid');
+const { ExportService, EXPORT_FORMATS, EXPORT_STREAM_LIMIT } = require('../services/Export.service');
+const { ImportJobService } = require('../services/ImportJob.service');
+const { exportQuerySchema } = require('../validations/exportValidation');
+const socialScrapeLogger = require('../config/socialScrapeLogger');
+
+// Start an export job writing to a file, returning the HTTP status and body to send
+const launchExport = async ({ filters, fields, format, latest, triggeredBy = null }) => {
+    const latestJob = await ImportJobService.getLatestJob('export');
+    if (latestJob?.status === 'running') {
+        return {
+            status: 409,
+            body: {
+                success: false,
+                message: `Another export (${latestJob.processId}) is already running. Please wait for it to complete.`
+            }
+        };
+    }
+
+    const processId = uuidv4();
+    await ImportJobService.createJob({ processId, type: 'export', triggeredBy });
+
+    ExportService.exportToFile(processId, { filters, fields, format, latest })
+        .then(async ({ file, rows, size }) => {
+            await ImportJobService.saveReport(processId, { format, fields, latest, filters, file, rows, size });
+            await ImportJobService.finishJob(processId, { processed: rows, total: rows }, 'completed');
+        })
+        .catch(error => {
+            socialScrapeLogger.error(`Error writing export ${processId}:`, error);
+            ImportJobService.finishJob(processId, { errors: [error.message] }, 'failed');
+        });
+
+    return {
+        status: 202,
+        body: {
+            success: true,
+            message: 'Export started, download the file once the job has completed',
+            processId
+        }
+    };
+};
+
+// Streams the snapshots matching the search filters as CSV or NDJSON, or starts an export job when there are
+// more than EXPORT_STREAM_LIMIT of them or background=true
+const exportSocialScrapes = async (req, res) => {
+    try {
+        const { format, fields, latest, background, ...filters } = exportQuerySchema.parse(req.query);
+
+        const rows = await ExportService.countRows(filters, EXPORT_STREAM_LIMIT + 1);
+        if (background || rows > EXPORT_STREAM_LIMIT) {
+            const { status, body } = await launchExport({ filters, fields, format, latest, triggeredBy: req.user?.id });
+            return res.status(status).json(body);
+        }
+
+        const filename = `social_scrape_${new Date().toISOString().split('T')[0]}.${EXPORT_FORMATS[format].extension}`;
+        res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        // Stop reading from the database when the client goes away
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) controller.abort();
+        });
+
+        await ExportService.writeExport(ExportService.openExportCursor({ filters, fields, latest }), res, {
+            format,
+            fields,
+            signal: controller.signal
+        });
+        res.end();
+    } catch (error) {
+        if (error.name === 'ZodError') {
+            return res.status(400).json({ success: false, errors: error.errors });
+        }
+        if (error.name === 'AbortError') {
+            socialScrapeLogger.info('Export stream closed by the client');
+            return;
+        }
+        socialScrapeLogger.error('Error exporting social scrapes:', error);
+        // Once rows have been sent the status can no longer change, so the download is cut short instead
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(500).json({ success: false, error: 'Failed to export social scrapes' });
+    }
+};
+
+const downloadExport = async (req, res) => {
+    try {
+        const job = await ImportJobService.getJob(req.params.processId);
+        if (!job || job.type !== 'export') {
+            return res.status(404).json({ success: false, error: 'Export job not found' });
+        }
+        if (job.status !== 'completed') {
+            return res.status(409).json({ success: false, error: `The export is ${job.status}, the file is available once it has completed` });
+        }
+
+        const filePath = ExportService.getExportFile(job.report.file);
+        if (!filePath) {
+            return res.status(404).json({ success: false, error: 'Export file no longer exists' });
+        }
+
+        res.download(filePath, job.report.file);
+    } catch (error) {
+        socialScrapeLogger.error('Error downloading export:', error);
+        res.status(500).json({ success: false, error: 'Failed to download export' });
+    }
+};
+
+const ExportController = {
+    exportSocialScrapes,
+    downloadExport,
+};
+
+module.exports = {
+    ExportController
+};
@@ -0,0 +1,124 @@
+// controllers/ImportJob.controller.js
+const fs = require('fs');
+const path = require('path');
+const { ImportJobService } = require('../services/ImportJob.service');
+const { QUARANTINE_DIR } = require('../utils/quarantine');
+const { jobListQuerySchema } = require('../validations/importJobValidation');
+const socialScrapeLogger = require('../config/socialScrapeLogger');
+
+const JOB_TYPES = ['import', 'blacklist', 'phone', 'stats', 'export'];
+const JOB_STATUSES = ['running', 'completed', 'failed', 'cancelled', 'interrupted'];
+
+const listJobs = async (req, res) => {
+    try {
+        const { type, status } = req.query;
+        const { page, limit, sort, order, cursor, useCursor } = jobListQuerySchema.parse(req.query);
+
+        if (type && !JOB_TYPES.includes(type)) {
+            return res.status(400).json({ success: false, error: `Invalid type. Expected one of: ${JOB_TYPES.join(', ')}` });
+        }
+        if (status && !JOB_STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, error: `Invalid status. Expected one of: ${JOB_STATUSES.join(', ')}` });
+        }
+
+        if (useCursor || cursor) {
+            const { jobs, pagination } = await ImportJobService.pageJobs({ type, status, sort, order, cursor, limit });
+            return res.json({ success: true, data: jobs, pagination });
+        }
+
+        const { jobs, total } = await ImportJobService.listJobs({ type, status, sort, order, page, limit });
+
+        res.json({
+            success: true,
+            data: jobs,
+            pagination: {
+                total,
+                page,
+                limit,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        if (error.name === 'ZodError') {
+            return res.status(400).json({ success: false, errors: error.errors });
+        }
+        socialScrapeLogger.error('Error listing import jobs:', error);
+        res.status(500).json({ success: false, error: 'Failed to list import jobs' });
+    }
+};
+
+const getJob = async (req, res) => {
+    try {
+        const job = await ImportJobService.getJob(req.params.processId);
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Job not found' });
+        }
+
+        res.json({ success: true, data: job });
+    } catch (error) {
+        socialScrapeLogger.error('Error getting import job:', error);
+        res.status(500).json({ success: false, error: 'Failed to get import job' });
+    }
+};
+
+// What the snapshots an import wrote changed compared with each domain's previous snapshot
+const getChangeReport = async (req, res) => {
+    try {
+        const job = await ImportJobService.getJob(req.params.processId);
+        if (!job || job.type !== 'import') {
+            return res.status(404).json({ success: false, error: 'Import job not found' });
+        }
+        if (!job.changeReport) {
+            const reason = job.dryRun ? 'Dry runs write nothing and have no change report' : 'The change report is saved once the import finishes';
+            return res.status(404).json({ success: false, error: reason });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                processId: job.processId,
+                status: job.status,
+                files: job.files,
+                startedAt: job.startedAt,
+                finishedAt: job.finishedAt,
+                ...job.changeReport
+            }
+        });
+    } catch (error) {
+        socialScrapeLogger.error('Error getting change report:', error);
+        res.status(500).json({ success: false, error: 'Failed to get change report' });
+    }
+};
+
+const downloadQuarantine = async (req, res) => {
+    try {
+        const job = await ImportJobService.getJob(req.params.processId);
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Job not found' });
+        }
+        if (!job.quarantineFile) {
+            return res.status(404).json({ success: false, error: 'This job has no rejected rows' });
+        }
+
+        const filePath = path.join(QUARANTINE_DIR, path.basename(job.quarantineFile));
+        if (!fs.existsSync(filePath)) {
+            return res.status(404).json({ success: false, error: 'Quarantine file no longer exists' });
+        }
+
+        res.download(filePath, job.quarantineFile);
+    } catch (error) {
+        socialScrapeLogger.error('Error downloading quarantine file:', error);
+        res.status(500).json({ success: false, error: 'Failed to download quarantine file' });
+    }
+};
+
+const ImportJobController = {
+    listJobs,
+    getJob,
+    getChangeReport,
+    downloadQuarantine,
+};
+
+module.exports = {
+    ImportJobController
+};
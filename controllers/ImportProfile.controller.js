@@ -0,0 +1,77 @@
+// controllers/ImportProfile.controller.js
+const { ImportProfileService } = require('../services/ImportProfile.service');
+const { profileNameSchema, importProfileSchema } = require('../validations/importProfileValidation');
+const socialScrapeLogger = require('../config/socialScrapeLogger');
+
+const listProfiles = async (req, res) => {
+    try {
+        const profiles = await ImportProfileService.listProfiles();
+        res.json({ success: true, data: profiles });
+    } catch (error) {
+        socialScrapeLogger.error('Error listing import profiles:', error);
+        res.status(500).json({ success: false, error: 'Failed to list import profiles' });
+    }
+};
+
+const getProfile = async (req, res) => {
+    try {
+        const name = profileNameSchema.parse(req.params.name);
+        const profile = await ImportProfileService.getProfile(name);
+        if (!profile) {
+            return res.status(404).json({ success: false, error: 'Import profile not found' });
+        }
+
+        res.json({ success: true, data: profile });
+    } catch (error) {
+        if (error.name === 'ZodError') {
+            return res.status(400).json({ success: false, errors: error.errors });
+        }
+        socialScrapeLogger.error('Error getting import profile:', error);
+        res.status(500).json({ success: false, error: 'Failed to get import profile' });
+    }
+};
+
+const saveProfile = async (req, res) => {
+    try {
+        const name = profileNameSchema.parse(req.params.name);
+        const data = importProfileSchema.parse(req.body);
+
+        const profile = await ImportProfileService.upsertProfile(name, data, req.user?.id);
+        res.json({ success: true, data: profile });
+    } catch (error) {
+        if (error.name === 'ZodError') {
+            return res.status(400).json({ success: false, errors: error.errors });
+        }
+        socialScrapeLogger.error('Error saving import profile:', error);
+        res.status(500).json({ success: false, error: 'Failed to save import profile' });
+    }
+};
+
+const deleteProfile = async (req, res) => {
+    try {
+        const name = profileNameSchema.parse(req.params.name);
+        const profile = await ImportProfileService.deleteProfile(name);
+        if (!profile) {
+            return res.status(404).json({ success: false, error: 'Import profile not found' });
+        }
+
+        res.json({ success: true, data: profile });
+    } catch (error) {
+        if (error.name === 'ZodError') {
+            return res.status(400).json({ success: false, errors: error.errors });
+        }
+        socialScrapeLogger.error('Error deleting import profile:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete import profile' });
+    }
+};
+
+const ImportProfileController = {
+    listProfiles,
+    getProfile,
+    saveProfile,
+    deleteProfile,
+};
+
+module.exports = {
+    ImportProfileController
+};
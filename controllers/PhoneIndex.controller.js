@@ -0,0 +1,70 @@
+// controllers/PhoneIndex.controller.js
+const { PhoneIndexService } = require('../services/PhoneIndex.service');
+const { phoneDomainsQuerySchema, sharedPhonesQuerySchema } = require('../validations/phoneValidation');
+const { normalizePhone, DEFAULT_PHONE_REGION } = require('../utils/phone');
+const socialScrapeLogger = require('../config/socialScrapeLogger');
+
+// Domains a phone number appeared on, the number may be given in any format
+const getDomains = async (req, res) => {
+    try {
+        const { page = 1, limit = 50, region = DEFAULT_PHONE_REGION } = phoneDomainsQuerySchema.parse(req.query);
+        const phone = normalizePhone(req.params.phone, '', region);
+        if (!phone) {
+            return res.status(400).json({ success: false, error: 'Invalid phone number' });
+        }
+
+        const { domains, total } = await PhoneIndexService.findDomains(phone.e164, { page, limit });
+
+        res.json({
+            success: true,
+            data: { phone, domains },
+            pagination: {
+                total,
+                page,
+                limit,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        if (error.name === 'ZodError') {
+            return res.status(400).json({ success: false, errors: error.errors });
+        }
+        socialScrapeLogger.error('Error getting domains by phone:', error);
+        res.status(500).json({ success: false, error: 'Failed to get domains by phone' });
+    }
+};
+
+// Numbers listed on more than minDomains domains
+const getSharedNumbers = async (req, res) => {
+    try {
+        const { page = 1, limit = 50, minDomains = 1, country, type } = sharedPhonesQuerySchema.parse(req.query);
+
+        const { numbers, total } = await PhoneIndexService.findSharedNumbers({ minDomains, country, type, page, limit });
+
+        res.json({
+            success: true,
+            data: numbers,
+            pagination: {
+                total,
+                page,
+                limit,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        if (error.name === 'ZodError') {
+            return res.status(400).json({ success: false, errors: error.errors });
+        }
+        socialScrapeLogger.error('Error getting shared phone numbers:', error);
+        res.status(500).json({ success: false, error: 'Failed to get shared phone numbers' });
+    }
+};
+
+const PhoneIndexController = {
+    getDomains,
+    getSharedNumbers,
+};
+
+module.exports = {
+    PhoneIndexController
+};
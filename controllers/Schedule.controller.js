@@ -0,0 +1,98 @@
+// controllers/Schedule.controller.js
+const { SchedulerService } = require('../services/Scheduler.service');
+const { scheduleNameSchema, scheduleSchema } = require('../validations/scheduleValidation');
+const socialScrapeLogger = require('../config/socialScrapeLogger');
+
+const listSchedules = async (req, res) => {
+    try {
+        const schedules = await SchedulerService.listSchedules();
+        res.json({ success: true, data: schedules });
+    } catch (error) {
+        socialScrapeLogger.error('Error listing schedules:', error);
+        res.status(500).json({ success: false, error: 'Failed to list schedules' });
+    }
+};
+
+const getSchedule = async (req, res) => {
+    try {
+        const name = scheduleNameSchema.parse(req.params.name);
+        const schedule = await SchedulerService.getSchedule(name);
+        if (!schedule) {
+            return res.status(404).json({ success: false, error: 'Schedule not found' });
+        }
+
+        res.json({ success: true, data: schedule });
+    } catch (error) {
+        if (error.name === 'ZodError') {
+            return res.status(400).json({ success: false, errors: error.errors });
+        }
+        socialScrapeLogger.error('Error getting schedule:', error);
+        res.status(500).json({ success: false, error: 'Failed to get schedule' });
+    }
+};
+
+const saveSchedule = async (req, res) => {
+    try {
+        const name = scheduleNameSchema.parse(req.params.name);
+        const data = scheduleSchema.parse(req.body);
+
+        const schedule = await SchedulerService.upsertSchedule(name, data, req.user?.id);
+        res.json({ success: true, data: schedule });
+    } catch (error) {
+        if (error.name === 'ZodError') {
+            return res.status(400).json({ success: false, errors: error.errors });
+        }
+        socialScrapeLogger.error('Error saving schedule:', error);
+        res.status(500).json({ success: false, error: 'Failed to save schedule' });
+    }
+};
+
+const deleteSchedule = async (req, res) => {
+    try {
+        const name = scheduleNameSchema.parse(req.params.name);
+        const schedule = await SchedulerService.deleteSchedule(name);
+        if (!schedule) {
+            return res.status(404).json({ success: false, error: 'Schedule not found' });
+        }
+
+        res.json({ success: true, data: schedule });
+    } catch (error) {
+        if (error.name === 'ZodError') {
+            return res.status(400).json({ success: false, errors: error.errors });
+        }
+        socialScrapeLogger.error('Error deleting schedule:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete schedule' });
+    }
+};
+
+// Start a schedule's job now; like its cron runs it is skipped while another job is running
+const runSchedule = async (req, res) => {
+    try {
+        const name = scheduleNameSchema.parse(req.params.name);
+        const outcome = await SchedulerService.runScheduleNow(name);
+        if (!outcome) {
+            return res.status(404).json({ success: false, error: 'Schedule not found' });
+        }
+
+        const status = outcome.status === 'started' ? 200 : outcome.status === 'skipped' ? 409 : 500;
+        res.status(status).json({ success: outcome.status === 'started', data: outcome });
+    } catch (error) {
+        if (error.name === 'ZodError') {
+            return res.status(400).json({ success: false, errors: error.errors });
+        }
+        socialScrapeLogger.error('Error running schedule:', error);
+        res.status(500).json({ success: false, error: 'Failed to run schedule' });
+    }
+};
+
+const ScheduleController = {
+    listSchedules,
+    getSchedule,
+    saveSchedule,
+    deleteSchedule,
+    runSchedule,
+};
+
+module.exports = {
+    ScheduleController
+};
@@ -0,0 +1,84 @@
+// controllers/SnapshotHistory.controller.js
+const { SnapshotHistoryService } = require('../services/SnapshotHistory.service');
+const { historyQuerySchema, snapshotDiffQuerySchema } = require('../validations/historyValidation');
+const { trimUrl } = require('../utils/cleaners');
+const { isValidDomain } = require('../utils/helpers');
+const socialScrapeLogger = require('../config/socialScrapeLogger');
+
+// Domains are looked up the way the importers store them, so a full URL can be passed as well
+const toDomain = (value) => trimUrl((value || '').trim());
+
+// Snapshots of a domain in date order with a per-field change timeline
+const getHistory = async (req, res) => {
+    try {
+        const { from, to } = historyQuerySchema.parse(req.query);
+        const url = toDomain(req.params.url);
+        if (!isValidDomain(url)) {
+            return res.status(400).json({ success: false, error: 'Invalid domain' });
+        }
+
+        const { snapshots, changes } = await SnapshotHistoryService.getHistory(url, { from, to });
+        if (snapshots.length === 0) {
+            return res.status(404).json({ success: false, error: 'No snapshots found for this domain' });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                url,
+                total: snapshots.length,
+                firstSeen: snapshots[0].date,
+                lastSeen: snapshots[snapshots.length - 1].date,
+                snapshots,
+                changes
+            }
+        });
+    } catch (error) {
+        if (error.name === 'ZodError') {
+            return res.status(400).json({ success: false, errors: error.errors });
+        }
+        socialScrapeLogger.error('Error getting domain history:', error);
+        res.status(500).json({ success: false, error: 'Failed to get domain history' });
+    }
+};
+
+// Field-by-field diff of two snapshots, picked by URL and dates or by record IDs
+const getDiff = async (req, res) => {
+    try {
+        const { url: rawUrl, from, to, fromId, toId } = snapshotDiffQuerySchema.parse(req.query);
+
+        let before;
+        let after;
+        if (fromId) {
+            [before, after] = await Promise.all([SnapshotHistoryService.getSnapshot(fromId), SnapshotHistoryService.getSnapshot(toId)]);
+        } else {
+            const url = toDomain(rawUrl);
+            if (!isValidDomain(url)) {
+                return res.status(400).json({ success: false, error: 'Invalid domain' });
+            }
+            [before, after] = await Promise.all([SnapshotHistoryService.findSnapshot(url, from), SnapshotHistoryService.findSnapshot(url, to)]);
+        }
+
+        const missing = [!before && (fromId || from.toISOString().split('T')[0]), !after && (toId || to.toISOString().split('T')[0])].filter(Boolean);
+        if (missing.length > 0) {
+            return res.status(404).json({ success: false, error: `Snapshot not found: ${missing.join(', ')}` });
+        }
+
+        res.json({ success: true, data: SnapshotHistoryService.compareSnapshots(before, after) });
+    } catch (error) {
+        if (error.name === 'ZodError') {
+            return res.status(400).json({ success: false, errors: error.errors });
+        }
+        socialScrapeLogger.error('Error comparing snapshots:', error);
+        res.status(500).json({ success: false, error: 'Failed to compare snapshots' });
+    }
+};
+
+const SnapshotHistoryController = {
+    getHistory,
+    getDiff,
+};
+
+module.exports = {
+    SnapshotHistoryController
+};
@@ -1,64 +1,161 @@
 // controllers/SocialScrapeController.js
 const { SocialScrapeService, IMPORT_DIR, BLACKLIST_DIR, PHONE_DIR, phoneProgressStore } = require('../services/SocialScrape.service');
+const fs = require('fs');
 const path = require('path');
 const SocialScrape = require('../models/SocialScrape');
 const { importEventEmitter, blacklistEventEmitter, phoneEventEmitter } = require('../services/SocialScrape.service');
+const { ImportJobService } = require('../services/ImportJob.service');
+const { CodeMappingService } = require('../services/CodeMapping.service');
+const { BlacklistRuleService } = require('../services/BlacklistRule.service');
+const { ImportProfileService } = require('../services/ImportProfile.service');
+const { SchedulerService } = require('../services/Scheduler.service');
+const { ChangeReportService } = require('../services/ChangeReport.service');
+const { SocialScrapeFilterService, LISTING_SORTS } = require('../services/SocialScrapeFilter.service');
+const { createQuarantineWriter } = require('../utils/quarantine');
+const { paginate } = require('../utils/keysetPagination');
+const { blacklistUpdateSchema } = require('../validations/blacklistValidation');
+const { profileNameSchema } = require('../validations/importProfileValidation');
+const { importOptionsSchema } = require('../validations/importValidation');
+const { socialScrapeListingQuerySchema } = require('../validations/socialScrapeFilterValidation');
 const socialScrapeLogger = require('../config/socialScrapeLogger');
 const { v4: uuidv4 } = require('uuid');
 
 
-const startImport = async (req, res) => {
+// Close a run's quarantine file and record it on the job
+const closeQuarantine = async (processId, quarantine) => {
     try {
-    
-        // Check if import is already running
-        const currentProgress = SocialScrapeService.getImportProgress();
-        if (currentProgress.isRunning && !currentProgress.isComplete) {
-            return res.status(409).json({
+        await quarantine.close();
+        await ImportJobService.saveQuarantine(processId, quarantine);
+        if (quarantine.count > 0) {
+            socialScrapeLogger.info(`Wrote ${quarantine.count} rejected rows of ${processId} to ${quarantine.filename}`);
+        }
+    } catch (error) {
+        socialScrapeLogger.error(`Failed to close quarantine file for ${processId}: ${error.message}`);
+    }
+};
+
+const saveChangeReport = async (processId, changeReport) => {
+    try {
+        const report = changeReport.toJSON();
+        await ImportJobService.saveChangeReport(processId, report);
+        socialScrapeLogger.info(`Change report of ${processId}: ${report.snapshots} snapshots, ${report.newDomains.count} new domains, ${report.statusErrors.count} went from 200 to an error`);
+    } catch (error) {
+        socialScrapeLogger.error(`Failed to save change report for ${processId}: ${error.message}`);
+    }
+};
+
+// Start the main import for every CSV in IMPORT_DIR, returning the HTTP status and body to send.
+// With an import profile the CSV files are read as wide-format files with the profile's columns.
+// The merge policy decides how rows of the same URL+date are combined, see utils/mergePolicy.
+const launchImport = async ({ triggeredBy = null, dryRun = false, profile = null, mergePolicy = null } = {}) => {
+    // Claim the import before the first await, released again unless the run starts
+    if (!SocialScrapeService.claimImportRun()) {
+        return {
+            status: 409,
+            body: {
                 success: false,
                 message: 'Import is already running. Please wait for it to complete.'
-            });
+            }
+        };
+    }
+
+    let started = false;
+    try {
+        let importProfile = null;
+        if (profile) {
+            importProfile = await ImportProfileService.getProfile(profile);
+            if (!importProfile) {
+                return { status: 404, body: { success: false, message: `Import profile ${profile} not found` } };
+            }
         }
 
         const files = await SocialScrapeService.getImportFiles();
 
         if (files.length === 0) {
-            return res.status(404).json({ message: 'No CSV files found to import' });
+            return { status: 404, body: { message: 'No CSV or NDJSON files found to import' } };
         }
 
-        // Reset import progress before starting new import
-        SocialScrapeService.resetImportProgress();
+        // Pick up CODE mapping and blacklist rule edits made since the last import
+        await CodeMappingService.refreshCache();
+        await BlacklistRuleService.refreshCache();
 
-        // Set import as running
+        const processId = uuidv4();
+        await ImportJobService.createJob({ processId, type: 'import', files, triggeredBy, dryRun, profile, mergePolicy });
+
+        // Reset import progress before starting new import, keeping it marked as running
+        SocialScrapeService.resetImportProgress(processId);
         SocialScrapeService.setImportRunning(true);
+        started = true;
 
         // Start processing files asynchronously
-        processFiles(files).catch(error => {
+        processFiles(files, { dryRun, profile: importProfile, mergePolicy }).catch(error => {
             console.error('Error processing files:', error);
             // Set import as not running on error
             SocialScrapeService.setImportRunning(false);
         });
 
-        res.json({
-            success: true,
-            message: 'Import started',
-            files: files
-        });
+        return {
+            status: 200,
+            body: {
+                success: true,
+                message: dryRun ? 'Dry run started' : 'Import started',
+                processId,
+                dryRun,
+                profile,
+                files: files
+            }
+        };
+    } finally {
+        if (!started) {
+            SocialScrapeService.setImportRunning(false);
+        }
+    }
+};
+
+const startImport = async (req, res) => {
+    try {
+        const options = importOptionsSchema.parse(req.body || {});
+        const { status, body } = await launchImport({ triggeredBy: req.user?.id, ...options });
+        res.status(status).json(body);
     } catch (error) {
+        if (error.name === 'ZodError') {
+            return res.status(400).json({ success: false, errors: error.errors });
+        }
         res.status(500).json({ success: false, error: error.message });
     }
 };
 
-const processFiles = async (files) => {
+// Files with a checkpoint pick up after the last batch the previous run committed,
+// and the change report of that run is continued
+const processFiles = async (files, { checkpoints = [], dryRun = false, profile = null, mergePolicy = null, changeReport: previousChangeReport = null } = {}) => {
+    const failedFiles = [];
+    const dryRunReports = [];
+    const { processId } = SocialScrapeService.getImportProgress();
+    const quarantine = createQuarantineWriter(processId, 'import');
+    // Dry runs write nothing, so there is nothing to compare
+    const changeReport = dryRun ? null : ChangeReportService.createChangeReport(previousChangeReport);
+    const signal = SocialScrapeService.registerJob(processId);
     try {
         socialScrapeLogger.info(`Starting to process ${files.length} files`);
 
         for (let i = 0; i < files.length; i++) {
             const file = files[i];
+            if (signal.aborted) {
+                break;
+            }
+
             try {
                 socialScrapeLogger.info(`Processing file ${i + 1}/${files.length}: ${file}`);
 
                 const filePath = path.join(IMPORT_DIR, file);
-                await SocialScrapeService.processFile(filePath);
+                const resumeFrom = checkpoints.find(checkpoint => checkpoint.file === file) || null;
+                const result = await SocialScrapeService.processImportFile(filePath, { resumeFrom, dryRun, profile, mergePolicy, quarantine, signal, changeReport });
+                if (dryRun) {
+                    dryRunReports.push(result.report);
+                }
+                if (result.cancelled) {
+                    break;
+                }
 
                 socialScrapeLogger.info(`Completed processing file ${i + 1}/${files.length}: ${file}`);
                 
@@ -80,6 +177,7 @@ const processFiles = async (files) => {
                 }
             } catch (error) {
                 socialScrapeLogger.error(`Error processing file ${i + 1}/${files.length} (${file}):`, error);
+                failedFiles.push(file);
 
                 // Check if this was a fatal error (not CSV parsing errors)
                 if (error.message.includes('CSV parsing error') || error.message.includes('Quote Not Closed')) {
@@ -97,8 +195,26 @@ const processFiles = async (files) => {
         if (progress) {
             progress.isComplete = true;
             progress.currentFile = null;
-            socialScrapeLogger.info(`Completed processing all ${files.length} files`);
+            if (signal.aborted) {
+                progress.errors.push({ error: 'Import was cancelled by user' });
+                socialScrapeLogger.info(`Import ${processId} cancelled, unfinished files are left in the import directory`);
+            } else {
+                socialScrapeLogger.info(`Completed processing all ${files.length} files`);
+            }
             importEventEmitter.emit('progress', { ...progress });
+
+            if (dryRun) {
+                await ImportJobService.saveReport(progress.processId, SocialScrapeService.summarizeDryRunReports(dryRunReports));
+            } else {
+                await saveChangeReport(progress.processId, changeReport);
+            }
+
+            // Failed files stay in the import directory and can be resumed from their checkpoint
+            if (failedFiles.length > 0) {
+                progress.errors.push({ error: `Failed to import ${failedFiles.length} file(s): ${failedFiles.join(', ')}` });
+            }
+            const status = signal.aborted ? 'cancelled' : failedFiles.length > 0 ? 'failed' : 'completed';
+            await ImportJobService.finishJob(progress.processId, progress, status);
         }
 
         // Set import as not running
@@ -113,12 +229,101 @@ const processFiles = async (files) => {
             progress.isComplete = true;
             progress.errors.push(`Process failed: ${error.message}`);
             importEventEmitter.emit('progress', { ...progress });
+            if (changeReport) {
+                await saveChangeReport(progress.processId, changeReport);
+            }
+            await ImportJobService.finishJob(progress.processId, progress, 'failed');
         }
 
         // Set import as not running
         SocialScrapeService.setImportRunning(false);
 
         throw error;
+    } finally {
+        await closeQuarantine(processId, quarantine);
+        SocialScrapeService.unregisterJob(processId);
+    }
+};
+
+const RESUMABLE_STATUSES = ['failed', 'cancelled', 'interrupted'];
+
+// Resume an import job, continuing each remaining file from its last checkpoint
+const resumeImport = async (req, res) => {
+    try {
+        const { processId } = req.params;
+        const job = await ImportJobService.getJob(processId);
+
+        if (!job || job.type !== 'import') {
+            return res.status(404).json({ success: false, message: 'Import job not found' });
+        }
+
+        if (job.dryRun) {
+            return res.status(400).json({ success: false, message: 'Dry runs cannot be resumed, start a new one instead' });
+        }
+
+        if (!RESUMABLE_STATUSES.includes(job.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Only ${RESUMABLE_STATUSES.join(', ')} imports can be resumed, this one is ${job.status}`
+            });
+        }
+
+        if (!SocialScrapeService.claimImportRun()) {
+            return res.status(409).json({
+                success: false,
+                message: 'Import is already running. Please wait for it to complete.'
+            });
+        }
+
+        let started = false;
+        let files;
+        try {
+            // The files are read with the same import profile as the run this one resumes
+            let profile = null;
+            if (job.profile) {
+                profile = await ImportProfileService.getProfile(job.profile);
+                if (!profile) {
+                    return res.status(400).json({ success: false, message: `Import profile ${job.profile} of this job no longer exists` });
+                }
+            }
+
+            // Completed files have been archived, so only the ones still waiting are picked up
+            const pendingFiles = await SocialScrapeService.getImportFiles();
+            files = job.files.filter(file => pendingFiles.includes(file));
+
+            if (files.length === 0) {
+                return res.status(404).json({ message: 'None of the files of this job are left to import' });
+            }
+
+            await CodeMappingService.refreshCache();
+            await BlacklistRuleService.refreshCache();
+            const latestCheckpoint = ImportJobService.getLatestCheckpoint(job);
+
+            await ImportJobService.reopenJob(processId);
+            SocialScrapeService.resetImportProgress(processId, latestCheckpoint || {});
+            SocialScrapeService.setImportRunning(true);
+            started = true;
+
+            processFiles(files, { checkpoints: job.checkpoints || [], profile, mergePolicy: job.mergePolicy, changeReport: job.changeReport }).catch(error => {
+                console.error('Error processing files:', error);
+                SocialScrapeService.setImportRunning(false);
+            });
+        } finally {
+            if (!started) {
+                SocialScrapeService.setImportRunning(false);
+            }
+        }
+
+        res.json({
+            success: true,
+            message: 'Import resumed',
+            processId,
+            files,
+            resumedFrom: (job.checkpoints || []).filter(checkpoint => files.includes(checkpoint.file))
+        });
+    } catch (error) {
+        socialScrapeLogger.error('Error resuming import:', error);
+        res.status(500).json({ success: false, error: error.message });
     }
 };
 
@@ -126,15 +331,96 @@ const getStats = async (req, res) => {
     try {
         // Use estimatedDocumentCount instead of countDocuments for better performance
         const stats = await SocialScrape.estimatedDocumentCount();
-        res.json({ success: true, stats });
+
+        // Full statistics are only as fresh as the last stats job
+        const latestStats = await ImportJobService.getLatestJob('stats', 'completed');
+        res.json({ success: true, stats, computed: latestStats?.report || null });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
 };
 
+// Compute the full collection statistics as a background stats job, returning the HTTP status and body to send
+const launchStatsRun = async ({ triggeredBy = null } = {}) => {
+    const latest = await ImportJobService.getLatestJob('stats');
+    if (latest?.status === 'running') {
+        return {
+            status: 409,
+            body: {
+                success: false,
+                message: 'Stats are already being computed. Please wait for it to complete.'
+            }
+        };
+    }
+
+    const processId = uuidv4();
+    await ImportJobService.createJob({ processId, type: 'stats', triggeredBy });
+
+    SocialScrapeService.computeCollectionStats()
+        .then(async (stats) => {
+            await ImportJobService.saveReport(processId, stats);
+            await ImportJobService.finishJob(processId, {}, 'completed');
+        })
+        .catch(error => {
+            socialScrapeLogger.error('Error computing collection stats:', error);
+            ImportJobService.finishJob(processId, { errors: [error.message] }, 'failed');
+        });
+
+    return {
+        status: 200,
+        body: {
+            success: true,
+            message: 'Stats computation started',
+            processId
+        }
+    };
+};
+
+const computeStats = async (req, res) => {
+    try {
+        const { status, body } = await launchStatsRun({ triggeredBy: req.user?.id });
+        res.status(status).json(body);
+    } catch (error) {
+        socialScrapeLogger.error('Error starting stats computation:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+// Persisted job state, overlaid with the live in-memory counters while this process is running the job
+const resolveJobProgress = (job, liveProgress) => {
+    const progress = ImportJobService.toProgress(job);
+    if (!liveProgress || job.status !== 'running') {
+        return progress;
+    }
+
+    return {
+        ...progress,
+        ...liveProgress,
+        processId: job.processId,
+        status: job.status,
+        isComplete: progress.isComplete,
+        isRunning: progress.isRunning
+    };
+};
+
 const getImportProgress = async (req, res) => {
     try {
-        const progress = SocialScrapeService.getImportProgress();
+        const { processId } = req.query;
+        const liveProgress = SocialScrapeService.getImportProgress();
+
+        const job = processId
+            ? await ImportJobService.getJob(processId)
+            : await ImportJobService.getLatestJob('import');
+
+        if (processId && (!job || job.type !== 'import')) {
+            return res.status(404).json({ success: false, error: 'Process not found' });
+        }
+
+        // Nothing has been imported yet, report the idle tracker
+        const progress = job
+            ? resolveJobProgress(job, liveProgress.processId === job.processId ? liveProgress : null)
+            : liveProgress;
+
         res.json({
             success: true,
             data: progress
@@ -152,11 +438,12 @@ const getBlacklistProgress = async (req, res) => {
             return res.status(400).json({ error: 'Process ID is required' });
         }
 
-        const progress = SocialScrapeService.getBlacklistProgress(processId);
-        if (!progress) {
+        const job = await ImportJobService.getJob(processId);
+        if (!job || job.type !== 'blacklist') {
             return res.status(404).json({ error: 'Process not found' });
         }
 
+        const progress = resolveJobProgress(job, SocialScrapeService.getBlacklistProgress(processId));
         res.json(progress);
     } catch (error) {
         socialScrapeLogger.error('Error getting blacklist progress:', error);
@@ -166,18 +453,11 @@ const getBlacklistProgress = async (req, res) => {
 
 const getPaginatedSocialScrapes = async (req, res) => {
     try {
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 100;
-        const searchUrl = req.query.searchUrl?.toLowerCase() || '';
+        const { page, limit, sort = 'date', order = 'desc', cursor, useCursor, ...filters } = socialScrapeListingQuerySchema.parse(req.query);
         const skip = (page - 1) * limit;
-        
-        // Cursor-based pagination parameters
-        const cursor = req.query.cursor; // Last document ID from previous page
-        const useCursorPagination = req.query.useCursor === 'true';
 
         // Build query with optimized search
-        let query = {};
-        let sort = { date: -1 };
+        let query = SocialScrapeFilterService.buildFilterQuery(filters);
         let projection = { 
             url: 1, 
             date: 1, 
@@ -194,86 +474,50 @@ const getPaginatedSocialScrapes = async (req, res) => {
             statusCode: 1, 
             redirect_url: 1, 
             meta_description: 1, 
-            is_blacklisted: 1 
+            is_blacklisted: 1,
+            updatedAt: 1
         };
-        
-        if (searchUrl) {
-            // Check if it looks like a full domain (contains dot and no spaces)
-            const isFullDomain = searchUrl.includes('.') && !searchUrl.includes(' ');
-            
-            if (isFullDomain) {
-                // For full domains, use exact match (fastest)
-                query.url = searchUrl;
-                sort = { date: -1 };
-            } else {
-                // For partial searches, use prefix search
-                query.url = { $regex: '^' + searchUrl, $options: 'i' };
-                sort = { date: -1 };
-            }
-        }
 
-        // Use cursor-based pagination for better performance on deep pages
-        if (useCursorPagination && cursor) {
-            // Add cursor condition to query
-            query._id = { $lt: cursor };
-        } else if (useCursorPagination && !cursor) {
-            // First page with cursor pagination
-            // No additional query conditions needed
-        } else {
-            // Traditional offset pagination
-            // Protect against huge skips
-            if (skip > 1_000_000) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Pagination offset too large. Please use cursor-based pagination (useCursor=true) for deep pages.'
-                });
-            }
+        // Keyset pagination, much faster on deep pages and stable while records are added.
+        // The total is not counted (expensive operation), cursors lead to the next and previous pages.
+        if (useCursor || cursor) {
+            const { data, pagination } = await paginate(SocialScrape, {
+                filter: query,
+                sorts: LISTING_SORTS,
+                sort,
+                order,
+                cursor,
+                limit,
+                prepare: (find) => find.select(projection)
+            });
+            return res.json({ success: true, data, pagination });
         }
 
-        let socialScrapes;
-        let total;
-
-        if (useCursorPagination) {
-            // Cursor-based pagination (much faster for deep pages)
-            socialScrapes = await SocialScrape.find(query)
-                .select(projection)
-                .sort(sort)
-                .limit(limit + 1) // Get one extra to check if there are more pages
-                .lean();
-
-            // Check if there are more pages
-            const hasNextPage = socialScrapes.length > limit;
-            if (hasNextPage) {
-                socialScrapes.pop(); // Remove the extra item
-            }
-
-            // For cursor pagination, we don't need total count (expensive operation)
-            total = null;
-        } else {
-            // Traditional offset pagination
-            socialScrapes = await SocialScrape.find(query)
-                .select(projection)
-                .sort(sort)
-                .skip(skip)
-                .limit(limit)
-                .lean();
-
-            total = searchUrl
-                ? await SocialScrape.countDocuments(query)
-                : await SocialScrape.estimatedDocumentCount();
+        // Traditional offset pagination
+        // Protect against huge skips
+        if (skip > 1_000_000) {
+            return res.status(400).json({
+                success: false,
+                error: 'Pagination offset too large. Please use cursor-based pagination (useCursor=true) for deep pages.'
+            });
         }
 
-        // Get cursor for next page
-        const nextCursor = socialScrapes.length > 0 ? socialScrapes[socialScrapes.length - 1]._id : null;
+        const direction = order === 'asc' ? 1 : -1;
+        const socialScrapes = await SocialScrape.find(query)
+            .select(projection)
+            .sort({ [sort]: direction, _id: direction })
+            .skip(skip)
+            .limit(limit)
+            .lean();
+
+        const total = Object.keys(query).length > 0
+            ? await SocialScrape.countDocuments(query)
+            : await SocialScrape.estimatedDocumentCount();
 
         res.json({
             success: true,
             data: socialScrapes,
-            pagination: useCursorPagination ? {
-                hasNextPage: socialScrapes.length === limit,
-                nextCursor,
-                limit
-            } : {
+            pagination: {
                 total,
                 page,
                 limit,
@@ -281,50 +525,90 @@ const getPaginatedSocialScrapes = async (req, res) => {
             }
         });
     } catch (error) {
+        if (error.name === 'ZodError') {
+            return res.status(400).json({ success: false, errors: error.errors });
+        }
         console.error('Error fetching social scrapes:', error);
         res.status(500).json({ success: false, error: 'Internal server error' });
     }
 };
 
 
-const processBlacklistFiles = async (files, urlColumn, processId) => {
-    for (const file of files) {
-        const filePath = path.join(BLACKLIST_DIR, file);
-        await SocialScrapeService.processBlacklistFile(filePath, urlColumn, processId);
-    }
-};
-
-const updateBlacklist = async (req, res) => {
+// Options are the action, reason, expiry date and their columns accepted by processBlacklistFile
+const processBlacklistFiles = async (files, urlColumn, processId, options = {}) => {
+    const quarantine = createQuarantineWriter(processId, 'blacklist');
+    const signal = SocialScrapeService.registerJob(processId);
     try {
-        const { urlColumn = 1 } = req.body; // Default to first column if not specified
-
-        const files = await SocialScrapeService.getBlacklistFiles();
-
-        if (files.length === 0) {
-            return res.status(404).json({ message: 'No CSV files found in blacklist directory' });
+        for (const file of files) {
+            const filePath = path.join(BLACKLIST_DIR, file);
+            const result = await SocialScrapeService.processBlacklistFile(filePath, urlColumn, processId, { ...options, quarantine, signal });
+            if (result?.cancelled) {
+                break;
+            }
         }
 
-        // Generate a unique process ID
-        const processId = uuidv4();
-
-        // Start processing files asynchronously
-        processBlacklistFiles(files, urlColumn, processId).catch(error => {
-            socialScrapeLogger.error('Error processing blacklist files:', error);
-            const progress = SocialScrapeService.getBlacklistProgress(processId);
-            if (progress) {
-                progress.errors.push(error.message);
+        const progress = SocialScrapeService.getBlacklistProgress(processId);
+        if (progress) {
+            if (signal.aborted) {
                 progress.isComplete = true;
+                progress.currentFile = null;
+                progress.errors.push('Blacklist update was cancelled by user');
                 blacklistEventEmitter.emit('progress', { processId, ...progress });
             }
-        });
+            await ImportJobService.finishJob(processId, progress, signal.aborted ? 'cancelled' : 'completed');
+        }
+    } finally {
+        await closeQuarantine(processId, quarantine);
+        SocialScrapeService.unregisterJob(processId);
+    }
+};
 
-        res.json({
+// Start a blacklist update for every CSV in BLACKLIST_DIR, returning the HTTP status and body to send
+const launchBlacklistUpdate = async ({ urlColumn = 1, triggeredBy = null, ...options } = {}) => {
+    const files = await SocialScrapeService.getBlacklistFiles();
+
+    if (files.length === 0) {
+        return { status: 404, body: { message: 'No CSV files found in blacklist directory' } };
+    }
+
+    // Generate a unique process ID
+    const processId = uuidv4();
+    await ImportJobService.createJob({ processId, type: 'blacklist', files, triggeredBy });
+
+    // Start processing files asynchronously
+    processBlacklistFiles(files, urlColumn, processId, { ...options, actor: triggeredBy }).catch(error => {
+        socialScrapeLogger.error('Error processing blacklist files:', error);
+        const progress = SocialScrapeService.getBlacklistProgress(processId);
+        if (progress) {
+            progress.errors.push(error.message);
+            progress.isComplete = true;
+            blacklistEventEmitter.emit('progress', { processId, ...progress });
+        }
+        ImportJobService.finishJob(processId, progress || { errors: [error.message] }, 'failed');
+    });
+
+    return {
+        status: 200,
+        body: {
             success: true,
             message: 'Blacklist update started',
             processId,
             files: files
-        });
+        }
+    };
+};
+
+const updateBlacklist = async (req, res) => {
+    try {
+        // Default to first column if not specified
+        const { urlColumn = 1, ...options } = blacklistUpdateSchema.parse(req.body || {});
+
+        const { status, body } = await launchBlacklistUpdate({ urlColumn, triggeredBy: req.user?.id, ...options });
+        res.status(status).json(body);
     } catch (error) {
+        if (error.name === 'ZodError') {
+            return res.status(400).json({ success: false, errors: error.errors });
+        }
         socialScrapeLogger.error('Error starting blacklist update:', error);
         res.status(500).json({ success: false, error: error.message });
     }
@@ -339,53 +623,64 @@ const getProgress = async (req, res) => {
     }
 };
 
-const updatePhoneNumber = async (req, res) => {
-    try {
-        const files = await SocialScrapeService.getPhoneFiles();
+// Start a phone number update for every CSV in PHONE_DIR, returning the HTTP status and body to send
+const launchPhoneUpdate = async ({ triggeredBy = null } = {}) => {
+    const files = await SocialScrapeService.getPhoneFiles();
 
-        if (files.length === 0) {
-            return res.status(404).json({ message: 'No CSV files found in phone directory' });
-        }
-
-        // Generate a unique process ID
-        const processId = uuidv4();
-
-        // Initialize progress tracker BEFORE starting async processing
-        const initialProgress = {
-            currentFile: null,
-            processed: 0,
-            total: 0,
-            updated: 0,
-            created: 0,
-            errors: [],
-            isComplete: false,
-            totalFiles: files.length,
-            completedFiles: 0,
-            lastUpdated: Date.now()
-        };
-
-        // Store the initial progress tracker
-        phoneProgressStore.set(processId, initialProgress);
-
-        socialScrapeLogger.info(`Initialized progress tracker for ${processId}: totalFiles=${files.length}`);
+    if (files.length === 0) {
+        return { status: 404, body: { message: 'No CSV files found in phone directory' } };
+    }
 
-        // Start processing files asynchronously
-        processPhoneFiles(files, processId).catch(error => {
-            socialScrapeLogger.error('Error processing phone files:', error);
-            const progress = SocialScrapeService.getPhoneProgress(processId);
-            if (progress) {
-                progress.errors.push(error.message);
-                progress.isComplete = true;
-                phoneEventEmitter.emit('progress', { processId, ...progress });
-            }
-        });
+    // Generate a unique process ID
+    const processId = uuidv4();
+
+    // Initialize progress tracker BEFORE starting async processing
+    const initialProgress = {
+        currentFile: null,
+        processed: 0,
+        total: 0,
+        updated: 0,
+        created: 0,
+        errors: [],
+        isComplete: false,
+        totalFiles: files.length,
+        completedFiles: 0,
+        lastUpdated: Date.now()
+    };
+
+    // Store the initial progress tracker
+    phoneProgressStore.set(processId, initialProgress);
+    await ImportJobService.createJob({ processId, type: 'phone', files, triggeredBy });
+
+    socialScrapeLogger.info(`Initialized progress tracker for ${processId}: totalFiles=${files.length}`);
+
+    // Start processing files asynchronously
+    processPhoneFiles(files, processId).catch(error => {
+        socialScrapeLogger.error('Error processing phone files:', error);
+        const progress = SocialScrapeService.getPhoneProgress(processId);
+        if (progress) {
+            progress.errors.push(error.message);
+            progress.isComplete = true;
+            phoneEventEmitter.emit('progress', { processId, ...progress });
+        }
+        ImportJobService.finishJob(processId, progress || { errors: [error.message] }, 'failed');
+    });
 
-        res.json({
+    return {
+        status: 200,
+        body: {
             success: true,
             message: 'Phone number update started',
             processId,
             files: files
-        });
+        }
+    };
+};
+
+const updatePhoneNumber = async (req, res) => {
+    try {
+        const { status, body } = await launchPhoneUpdate({ triggeredBy: req.user?.id });
+        res.status(status).json(body);
     } catch (error) {
         socialScrapeLogger.error('Error starting phone number update:', error);
         res.status(500).json({ success: false, error: error.message });
@@ -393,6 +688,8 @@ const updatePhoneNumber = async (req, res) => {
 };
 
 const processPhoneFiles = async (files, processId) => {
+    const quarantine = createQuarantineWriter(processId, 'phone');
+    const signal = SocialScrapeService.registerJob(processId);
     try {
         socialScrapeLogger.info(`Starting phone processing for ${files.length} files with process ID: ${processId}`);
 
@@ -407,10 +704,17 @@ const processPhoneFiles = async (files, processId) => {
 
         for (let i = 0; i < files.length; i++) {
             const file = files[i];
+            if (signal.aborted) {
+                break;
+            }
+
             try {
                 socialScrapeLogger.info(`Processing phone file ${i + 1}/${files.length}: ${file}`);
                 const filePath = path.join(PHONE_DIR, file);
-                await SocialScrapeService.processPhoneFile(filePath, processId);
+                const result = await SocialScrapeService.processPhoneFile(filePath, processId, { quarantine, signal });
+                if (result?.cancelled) {
+                    break;
+                }
                 socialScrapeLogger.info(`Completed processing phone file ${i + 1}/${files.length}: ${file}`);
 
                 // Log progress after each file
@@ -435,7 +739,16 @@ const processPhoneFiles = async (files, processId) => {
 
         // Mark process as complete when all files are done
         const finalProgress = SocialScrapeService.getPhoneProgress(processId);
-        if (finalProgress) {
+        if (finalProgress && signal.aborted) {
+            finalProgress.isComplete = true;
+            finalProgress.currentFile = null;
+            finalProgress.errors.push('Process was cancelled by user');
+            socialScrapeLogger.info(`Phone processing ${processId} cancelled. Processed: ${finalProgress.processed}, Updated: ${finalProgress.updated}, Created: ${finalProgress.created}`);
+
+            SocialScrapeService.updateProgressTracker(processId, finalProgress);
+            phoneEventEmitter.emit('progress', { processId, ...finalProgress });
+            await ImportJobService.finishJob(processId, finalProgress, 'cancelled');
+        } else if (finalProgress) {
             // Only set completion if not already complete
             if (!finalProgress.isComplete) {
                 finalProgress.isComplete = true;
@@ -448,6 +761,7 @@ const processPhoneFiles = async (files, processId) => {
             } else {
                 socialScrapeLogger.info(`Process ${processId} was already marked as complete by service`);
             }
+            await ImportJobService.finishJob(processId, finalProgress, 'completed');
         } else {
             socialScrapeLogger.error(`No progress tracker found for process ID: ${processId} at completion`);
         }
@@ -464,6 +778,9 @@ const processPhoneFiles = async (files, processId) => {
         }
 
         throw error;
+    } finally {
+        await closeQuarantine(processId, quarantine);
+        SocialScrapeService.unregisterJob(processId);
     }
 };
 
@@ -476,12 +793,14 @@ const getPhoneProgress = async (req, res) => {
 
         socialScrapeLogger.info(`Getting phone progress for process ID: ${processId}`);
 
-        const progress = SocialScrapeService.getPhoneProgress(processId);
-        if (!progress) {
+        const job = await ImportJobService.getJob(processId);
+        if (!job || job.type !== 'phone') {
             socialScrapeLogger.warn(`No progress found for process ID: ${processId}`);
             return res.status(404).json({ error: 'Process not found' });
         }
 
+        const progress = resolveJobProgress(job, SocialScrapeService.getPhoneProgress(processId));
+
         socialScrapeLogger.info(`Phone progress for ${processId}:`, {
             currentFile: progress.currentFile,
             processed: progress.processed,
@@ -527,18 +846,30 @@ const stopImport = async (req, res) => {
             });
         }
 
-        // Set import as not running and complete
-        SocialScrapeService.setImportRunning(false);
-        const progress = SocialScrapeService.getImportProgress();
-        if (progress) {
-            progress.isComplete = true;
-            progress.errors.push('Import was stopped by user');
-            importEventEmitter.emit('progress', { ...progress });
+        // The pipeline finishes its current batch, keeps the file in place and records the job as cancelled
+        const stopped = await SocialScrapeService.cancelJob(currentProgress.processId);
+
+        if (stopped === false) {
+            return res.status(202).json({
+                success: true,
+                message: 'Cancellation requested, the import will stop after its current batch',
+                processId: currentProgress.processId
+            });
+        }
+
+        // No pipeline is attached to the tracker, so there is nothing left to wait for
+        if (stopped === null) {
+            SocialScrapeService.setImportRunning(false);
+            currentProgress.isComplete = true;
+            currentProgress.errors.push({ error: 'Import was cancelled by user' });
+            importEventEmitter.emit('progress', { ...currentProgress });
+            await ImportJobService.finishJob(currentProgress.processId, currentProgress, 'cancelled');
         }
 
         res.json({
             success: true,
-            message: 'Import stopped successfully'
+            message: 'Import cancelled',
+            data: SocialScrapeService.getImportProgress()
         });
     } catch (error) {
         socialScrapeLogger.error('Error stopping import:', error);
@@ -565,20 +896,30 @@ const stopPhoneProcessing = async (req, res) => {
             });
         }
 
-        // Mark process as complete and stopped
-        progress.isComplete = true;
-        progress.currentFile = null;
-        progress.errors.push('Process was stopped by user');
+        const stopped = await SocialScrapeService.cancelJob(processId);
 
-        // Update the progress tracker
-        SocialScrapeService.updateProgressTracker(processId, progress);
+        if (stopped === false) {
+            return res.status(202).json({
+                success: true,
+                message: 'Cancellation requested, phone processing will stop after its current batch',
+                processId
+            });
+        }
 
-        // Emit progress update
-        phoneEventEmitter.emit('progress', { processId, ...progress });
+        // No pipeline is attached to the tracker, so there is nothing left to wait for
+        if (stopped === null) {
+            progress.isComplete = true;
+            progress.currentFile = null;
+            progress.errors.push('Process was cancelled by user');
+            SocialScrapeService.updateProgressTracker(processId, progress);
+            phoneEventEmitter.emit('progress', { processId, ...progress });
+            await ImportJobService.finishJob(processId, progress, 'cancelled');
+        }
 
         res.json({
             success: true,
-            message: 'Phone processing stopped successfully'
+            message: 'Phone processing cancelled',
+            data: SocialScrapeService.getPhoneProgress(processId)
         });
     } catch (error) {
         socialScrapeLogger.error('Error stopping phone processing:', error);
@@ -586,9 +927,136 @@ const stopPhoneProcessing = async (req, res) => {
     }
 };
 
+const stopBlacklistUpdate = async (req, res) => {
+    try {
+        const { processId } = req.body;
+        if (!processId) {
+            return res.status(400).json({ error: 'Process ID is required' });
+        }
+
+        const progress = SocialScrapeService.getBlacklistProgress(processId);
+        if (!progress) {
+            return res.status(404).json({ error: 'Process not found' });
+        }
+
+        const stopped = await SocialScrapeService.cancelJob(processId);
+
+        if (stopped === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Process is already complete.'
+            });
+        }
+
+        if (stopped === false) {
+            return res.status(202).json({
+                success: true,
+                message: 'Cancellation requested, the blacklist update will stop after its current record',
+                processId
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Blacklist update cancelled',
+            data: SocialScrapeService.getBlacklistProgress(processId)
+        });
+    } catch (error) {
+        socialScrapeLogger.error('Error stopping blacklist update:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+const uploadFiles = async (req, res) => {
+    try {
+        const { type } = req.params;
+        const startJob = req.body.startJob === true || req.body.startJob === 'true';
+
+        // Blacklist uploads carry the same run options as /update-blacklist
+        let blacklistOptions = {};
+        if (type === 'blacklist') {
+            const parsed = blacklistUpdateSchema.safeParse(req.body);
+            if (!parsed.success) {
+                await Promise.all((req.files || []).map(file => fs.promises.unlink(file.path).catch(() => {})));
+                return res.status(400).json({ success: false, errors: parsed.error.errors });
+            }
+            blacklistOptions = parsed.data;
+        }
+        const { urlColumn = 1 } = blacklistOptions;
+
+        // Import uploads may name the import profile their wide-format files are checked and imported with
+        let profile = null;
+        if (type === 'import' && req.body.profile) {
+            const parsed = profileNameSchema.safeParse(req.body.profile);
+            profile = parsed.success ? await ImportProfileService.getProfile(parsed.data) : null;
+            if (!profile) {
+                await Promise.all((req.files || []).map(file => fs.promises.unlink(file.path).catch(() => {})));
+                return parsed.success
+                    ? res.status(404).json({ success: false, message: `Import profile ${parsed.data} not found` })
+                    : res.status(400).json({ success: false, errors: parsed.error.errors });
+            }
+        }
+
+        const uploaded = [];
+        const rejected = [...(req.rejectedUploads || [])];
+
+        for (const file of req.files || []) {
+            const filename = path.basename(file.originalname);
+            const result = await SocialScrapeService.finalizeUpload(type, file.path, filename, { urlColumn, profile });
+            if (result.error) {
+                socialScrapeLogger.warn(`Rejected ${type} upload ${filename}: ${result.error}`);
+                rejected.push(result);
+            } else {
+                uploaded.push(result);
+            }
+        }
+
+        if (uploaded.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No files were uploaded',
+                uploaded,
+                rejected
+            });
+        }
+
+        // Optionally kick off the matching job now that the files are in place
+        let job = null;
+        if (startJob) {
+            const triggeredBy = req.user?.id;
+            const launchers = {
+                import: () => launchImport({ triggeredBy, profile: profile?.name }),
+                blacklist: () => launchBlacklistUpdate({ ...blacklistOptions, urlColumn, triggeredBy }),
+                phone: () => launchPhoneUpdate({ triggeredBy })
+            };
+            const { status, body } = await launchers[type]();
+            job = { status, ...body };
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `Uploaded ${uploaded.length} file(s)`,
+            uploaded,
+            rejected,
+            job
+        });
+    } catch (error) {
+        socialScrapeLogger.error('Error handling upload:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+// Schedules start the same jobs as the endpoints
+SchedulerService.registerLauncher('import', launchImport);
+SchedulerService.registerLauncher('blacklist', launchBlacklistUpdate);
+SchedulerService.registerLauncher('phone', launchPhoneUpdate);
+SchedulerService.registerLauncher('stats', launchStatsRun);
+
 const SocialScrapeController = {
     startImport,
+    resumeImport,
     getStats,
+    computeStats,
     getImportProgress,
     getBlacklistProgress,
     getPhoneProgress,
@@ -597,8 +1065,10 @@ const SocialScrapeController = {
     getProgress,
     updatePhoneNumber,
     stopPhoneProcessing,
+    stopBlacklistUpdate,
     checkDuplicateUrls,
     stopImport,
+    uploadFiles,
 };
 
 module.exports = {
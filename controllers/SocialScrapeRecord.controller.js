@@ -0,0 +1,101 @@
+// controllers/SocialScrapeRecord.controller.js
+const mongoose = require('mongoose');
+const { SocialScrapeRecordService } = require('../services/SocialScrapeRecord.service');
+const { socialScrapeRecordSchema, socialScrapeRecordUpdateSchema } = require('../validations/socialScrapeRecordValidation');
+const socialScrapeLogger = require('../config/socialScrapeLogger');
+
+// Respond to the errors saving a record can raise, returning false for unexpected ones
+const handleRecordError = (error, res) => {
+    if (error.name === 'ZodError') {
+        res.status(400).json({ success: false, errors: error.errors });
+    } else if (error.message.startsWith('Blacklisted')) {
+        res.status(400).json({ success: false, error: error.message });
+    } else if (error.code === 11000) {
+        res.status(409).json({ success: false, error: 'A record of this domain on this date already exists' });
+    } else {
+        return false;
+    }
+    return true;
+};
+
+const notFound = (res) => res.status(404).json({ success: false, error: 'Social scrape record not found' });
+
+// A record with its most recent hand edits
+const getRecord = async (req, res) => {
+    try {
+        const result = mongoose.Types.ObjectId.isValid(req.params.id)
+            ? await SocialScrapeRecordService.getRecord(req.params.id)
+            : null;
+        if (!result) {
+            return notFound(res);
+        }
+
+        res.json({ success: true, data: result });
+    } catch (error) {
+        socialScrapeLogger.error('Error getting social scrape record:', error);
+        res.status(500).json({ success: false, error: 'Failed to get social scrape record' });
+    }
+};
+
+const createRecord = async (req, res) => {
+    try {
+        const data = socialScrapeRecordSchema.parse(req.body);
+        const record = await SocialScrapeRecordService.createRecord(data, req.user?.id);
+        res.status(201).json({ success: true, data: record });
+    } catch (error) {
+        if (handleRecordError(error, res)) return;
+        socialScrapeLogger.error('Error creating social scrape record:', error);
+        res.status(500).json({ success: false, error: 'Failed to create social scrape record' });
+    }
+};
+
+const updateRecord = async (req, res) => {
+    try {
+        const record = mongoose.Types.ObjectId.isValid(req.params.id)
+            ? await SocialScrapeRecordService.findRecord(req.params.id)
+            : null;
+        if (!record) {
+            return notFound(res);
+        }
+
+        // Phone numbers are normalised for the region of the record's domain, or of the new one
+        const changes = socialScrapeRecordUpdateSchema(record.url).parse(req.body);
+        const updated = await SocialScrapeRecordService.updateRecord(record, changes, req.user?.id);
+        if (!updated) {
+            return notFound(res);
+        }
+
+        res.json({ success: true, data: updated });
+    } catch (error) {
+        if (handleRecordError(error, res)) return;
+        socialScrapeLogger.error('Error updating social scrape record:', error);
+        res.status(500).json({ success: false, error: 'Failed to update social scrape record' });
+    }
+};
+
+const deleteRecord = async (req, res) => {
+    try {
+        const record = mongoose.Types.ObjectId.isValid(req.params.id)
+            ? await SocialScrapeRecordService.deleteRecord(req.params.id, req.user?.id)
+            : null;
+        if (!record) {
+            return notFound(res);
+        }
+
+        res.json({ success: true, data: record });
+    } catch (error) {
+        socialScrapeLogger.error('Error deleting social scrape record:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete social scrape record' });
+    }
+};
+
+const SocialScrapeRecordController = {
+    getRecord,
+    createRecord,
+    updateRecord,
+    deleteRecord,
+};
+
+module.exports = {
+    SocialScrapeRecordController
+};
@@ -0,0 +1,38 @@
+// controllers/SocialScrapeSearch.controller.js
+const { SocialScrapeSearchService } = require('../services/SocialScrapeSearch.service');
+const { searchQuerySchema } = require('../validations/searchValidation');
+const socialScrapeLogger = require('../config/socialScrapeLogger');
+
+// Relevance-ranked text search over titles and meta descriptions, combined with the listing filters
+const search = async (req, res) => {
+    try {
+        const { q, latest, page, limit, ...filters } = searchQuerySchema.parse(req.query);
+
+        const { results, total } = await SocialScrapeSearchService.searchSnapshots(q, { filters, latest, page, limit });
+
+        res.json({
+            success: true,
+            data: results,
+            pagination: {
+                total,
+                page,
+                limit,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        if (error.name === 'ZodError') {
+            return res.status(400).json({ success: false, errors: error.errors });
+        }
+        socialScrapeLogger.error('Error searching social scrapes:', error);
+        res.status(500).json({ success: false, error: 'Failed to search social scrapes' });
+    }
+};
+
+const SocialScrapeSearchController = {
+    search,
+};
+
+module.exports = {
+    SocialScrapeSearchController
+};
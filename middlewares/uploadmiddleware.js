@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { SocialScrapeService, UPLOAD_DIRS, PIPELINE_FORMATS } = require('../services/SocialScrape.service');
+const { inputExtensions, isInputFile } = require('../utils/inputFiles');
+
+const MAX_UPLOAD_FILES = 10;
+const MAX_UPLOAD_SIZE = parseInt(process.env.MAX_UPLOAD_SIZE) || 25 * 1024 * 1024 * 1024; // 25GB
+
+// Files are streamed to a temporary name so the import pipelines never pick up a half-written file
+const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+        const dir = UPLOAD_DIRS[req.params.type];
+        fs.promises.mkdir(dir, { recursive: true })
+            .then(() => cb(null, dir))
+            .catch(error => cb(error));
+    },
+    filename: (req, file, cb) => {
+        cb(null, `${path.basename(file.originalname)}.${Date.now()}.uploading`);
+    }
+});
+
+const fileFilter = (req, file, cb) => {
+    const filename = path.basename(file.originalname);
+    req.rejectedUploads = req.rejectedUploads || [];
+    req.acceptedUploadNames = req.acceptedUploadNames || new Set();
+
+    const formats = PIPELINE_FORMATS[req.params.type];
+    if (!isInputFile(filename, formats)) {
+        req.rejectedUploads.push({ filename, error: `Only ${inputExtensions(formats).join(', ')} files are accepted` });
+        return cb(null, false);
+    }
+
+    if (req.acceptedUploadNames.has(filename)) {
+        req.rejectedUploads.push({ filename, error: 'Duplicate filename in this upload' });
+        return cb(null, false);
+    }
+
+    SocialScrapeService.isDuplicateUpload(req.params.type, filename)
+        .then(isDuplicate => {
+            if (isDuplicate) {
+                req.rejectedUploads.push({ filename, error: 'A file with this name has already been uploaded' });
+                return cb(null, false);
+            }
+            req.acceptedUploadNames.add(filename);
+            cb(null, true);
+        })
+        .catch(error => cb(error));
+};
+
+const upload = multer({
+    storage,
+    fileFilter,
+    limits: {
+        fileSize: MAX_UPLOAD_SIZE,
+        files: MAX_UPLOAD_FILES
+    }
+});
+
+exports.uploadCsvFiles = (req, res, next) => {
+    if (!UPLOAD_DIRS[req.params.type]) {
+        return res.status(400).json({
+            success: false,
+            message: `Invalid upload type. Expected one of: ${Object.keys(UPLOAD_DIRS).join(', ')}`
+        });
+    }
+
+    // Large files take longer than the default request timeout to stream in
+    req.setTimeout(0);
+    res.setTimeout(0);
+
+    upload.array('files', MAX_UPLOAD_FILES)(req, res, (err) => {
+        if (err) {
+            const status = err instanceof multer.MulterError ? 400 : 500;
+            return res.status(status).json({ success: false, error: err.message });
+        }
+        next();
+    });
+};
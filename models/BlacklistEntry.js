@@ -0,0 +1,20 @@
+// models/BlacklistEntry.js
+const mongoose = require('mongoose');
+
+// One blacklist or unblacklist action on a domain. Entries are never updated, so they form its history.
+const blacklistEntrySchema = new mongoose.Schema({
+    url: { type: String, required: true },
+    action: { type: String, enum: ['blacklist', 'unblacklist'], required: true },
+    reason: String,
+    sourceFile: String, // Blacklist CSV the entry came from, empty for API calls
+    processId: String,
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    expiresAt: Date,
+}, { timestamps: { createdAt: true, updatedAt: false }, collection: 'blacklistentries' });
+
+// History of a domain is read newest first
+blacklistEntrySchema.index({ url: 1, createdAt: -1 });
+
+const BlacklistEntry = mongoose.model('BlacklistEntry', blacklistEntrySchema);
+
+module.exports = BlacklistEntry;
@@ -0,0 +1,22 @@
+// models/BlacklistRule.js
+const mongoose = require('mongoose');
+
+// Pattern checked against the domain of every imported row.
+// exact: example.com, wildcard: *.example.com (subdomains only), tld: uk or co.uk, regex: matched case-insensitively.
+const blacklistRuleSchema = new mongoose.Schema({
+    type: { type: String, enum: ['exact', 'wildcard', 'tld', 'regex'], required: true },
+    pattern: { type: String, required: true },
+    // flag imports matching rows as blacklisted, drop rejects them into the quarantine file
+    action: { type: String, enum: ['flag', 'drop'], default: 'flag' },
+    reason: String,
+    enabled: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    lastAppliedAt: Date,
+    lastAppliedJob: String,
+}, { timestamps: true, collection: 'blacklistrules' });
+
+blacklistRuleSchema.index({ type: 1, pattern: 1 }, { unique: true });
+
+const BlacklistRule = mongoose.model('BlacklistRule', blacklistRuleSchema);
+
+module.exports = BlacklistRule;
@@ -0,0 +1,18 @@
+// models/CodeMapping.js
+const mongoose = require('mongoose');
+const { CLEANER_NAMES } = require('../utils/cleaners');
+
+// Maps a CODE value of the long-format import CSV onto a SocialScrape field
+const codeMappingSchema = new mongoose.Schema({
+    code: { type: String, required: true, unique: true },
+    field: { type: String, required: true },
+    cleaner: { type: String, enum: CLEANER_NAMES, default: 'text' },
+    isArray: { type: Boolean, default: false },
+    enabled: { type: Boolean, default: true },
+    description: String,
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true, collection: 'codemappings' });
+
+const CodeMapping = mongoose.model('CodeMapping', codeMappingSchema);
+
+module.exports = CodeMapping;
@@ -0,0 +1,79 @@
+// models/ImportJob.js
+const mongoose = require('mongoose');
+
+// How far the import of one file had committed, used to resume it after a failure, cancellation or restart
+const checkpointSchema = new mongoose.Schema({
+    file: { type: String, required: true },
+    records: { type: Number, default: 0 }, // CSV records consumed up to the last committed batch
+    line: { type: Number, default: 0 },
+    skippedLines: { type: Number, default: 0 },
+    // Job totals at the time of the checkpoint
+    processed: { type: Number, default: 0 },
+    upserted: { type: Number, default: 0 },
+    modified: { type: Number, default: 0 },
+    completed: { type: Boolean, default: false },
+    updatedAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+const importJobSchema = new mongoose.Schema({
+    processId: { type: String, required: true, unique: true },
+    type: { type: String, enum: ['import', 'blacklist', 'phone', 'stats', 'export'], required: true },
+    status: {
+        type: String,
+        enum: ['running', 'completed', 'failed', 'cancelled', 'interrupted'],
+        default: 'running'
+    },
+    dryRun: { type: Boolean, default: false },
+    // Import profile the CSV files of an import were read with, reloaded when the job is resumed
+    profile: String,
+    // Merge policy for rows of the same URL+date, see utils/mergePolicy; reused when the job is resumed
+    mergePolicy: mongoose.Schema.Types.Mixed,
+    files: [String],
+    currentFile: String,
+    totalFiles: { type: Number, default: 0 },
+    completedFiles: { type: Number, default: 0 },
+
+    // Counters mirror the in-memory progress trackers of each pipeline
+    processed: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+    upserted: { type: Number, default: 0 },
+    modified: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+
+    // Bytes read from disk and after decompression, compressedTotal being the size of the files opened so far
+    bytes: {
+        compressed: { type: Number, default: 0 },
+        uncompressed: { type: Number, default: 0 },
+        compressedTotal: { type: Number, default: 0 },
+    },
+
+    // `errors` is reserved by mongoose documents, so the list is stored as errorLog
+    errorLog: [mongoose.Schema.Types.Mixed],
+    errorCount: { type: Number, default: 0 },
+
+    checkpoints: [checkpointSchema],
+
+    // Rejected rows of this run, written to imports/quarantine with their rejection reason
+    quarantineFile: String,
+    quarantineRows: { type: Number, default: 0 },
+
+    // Validation report of a dry run (rows per CODE, rejected rows, new and existing URL+date keys),
+    // the collection statistics computed by a stats job, or the file an export job wrote
+    report: mongoose.Schema.Types.Mixed,
+    // New domains, status codes gone from 200 to an error and contact or social fields gained or lost
+    // by the snapshots an import wrote, compared with each domain's previous snapshot
+    changeReport: mongoose.Schema.Types.Mixed,
+
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: Date,
+    triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true, collection: 'importjobs' });
+
+// Job history is listed newest first, optionally filtered by type and status
+importJobSchema.index({ type: 1, startedAt: -1 });
+importJobSchema.index({ status: 1, startedAt: -1 });
+
+const ImportJob = mongoose.model('ImportJob', importJobSchema);
+
+module.exports = ImportJob;
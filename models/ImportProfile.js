@@ -0,0 +1,21 @@
+// models/ImportProfile.js
+const mongoose = require('mongoose');
+
+// One column of a wide-format CSV and the SocialScrape field it is imported into
+const profileColumnSchema = new mongoose.Schema({
+    header: { type: String, required: true },
+    field: { type: String, required: true },
+}, { _id: false });
+
+// Maps the headers of a wide-format CSV (one row per domain and date) onto SocialScrape fields.
+// Several columns may map to an array field such as phone; without a date column rows are dated on the day of the import.
+const importProfileSchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true },
+    description: String,
+    columns: [profileColumnSchema],
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true, collection: 'importprofiles' });
+
+const ImportProfile = mongoose.model('ImportProfile', importProfileSchema);
+
+module.exports = ImportProfile;
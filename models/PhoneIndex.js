@@ -0,0 +1,20 @@
+// models/PhoneIndex.js
+const mongoose = require('mongoose');
+const { PHONE_TYPES } = require('../utils/phone');
+
+// One normalised phone number seen on one domain, with the snapshot dates it was listed on
+const phoneIndexSchema = new mongoose.Schema({
+    e164: { type: String, required: true },
+    url: { type: String, required: true },
+    country: String,
+    type: { type: String, enum: PHONE_TYPES },
+    dates: [Date],
+    firstSeen: Date,
+    lastSeen: Date,
+}, { timestamps: true, collection: 'phoneindex' });
+
+phoneIndexSchema.index({ e164: 1, url: 1 }, { unique: true });
+
+const PhoneIndex = mongoose.model('PhoneIndex', phoneIndexSchema);
+
+module.exports = PhoneIndex;
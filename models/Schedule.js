@@ -0,0 +1,31 @@
+// models/Schedule.js
+const mongoose = require('mongoose');
+
+// Starts one of the jobs on a cron schedule, when a new file in its folder has stopped growing, or both
+const scheduleSchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true },
+    job: { type: String, enum: ['import', 'blacklist', 'phone', 'stats'], required: true },
+    cron: String, // Five-field cron expression, evaluated in timezone
+    timezone: { type: String, default: 'UTC' },
+    watch: { type: Boolean, default: false },
+    // Run options passed to the job as the matching endpoint would (dryRun and profile of imports, blacklist options)
+    options: { type: mongoose.Schema.Types.Mixed, default: {} },
+    enabled: { type: Boolean, default: true },
+    description: String,
+
+    nextRunAt: Date,
+    lastRunAt: Date,
+    lastTrigger: { type: String, enum: ['cron', 'watch', 'manual'] },
+    lastStatus: { type: String, enum: ['started', 'skipped', 'failed'] },
+    lastMessage: String,
+    lastProcessId: String,
+
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true, collection: 'schedules' });
+
+// The scheduler looks up the enabled schedules that are due
+scheduleSchema.index({ enabled: 1, nextRunAt: 1 });
+
+const Schedule = mongoose.model('Schedule', scheduleSchema);
+
+module.exports = Schedule;
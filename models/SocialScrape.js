@@ -1,5 +1,14 @@
 // models/SocialScrape.js
 const mongoose = require('mongoose');
+const { PHONE_TYPES } = require('../utils/phone');
+
+// A phone number normalised by utils/phone
+const phoneSchema = new mongoose.Schema({
+    e164: { type: String, required: true },
+    national: String,
+    country: String,
+    type: { type: String, enum: PHONE_TYPES },
+}, { _id: false });
 
   const socialScrapeSchema = new mongoose.Schema({
     url: { type: String, required: true }, // Remove unique constraint
@@ -8,7 +17,8 @@ const mongoose = require('mongoose');
     twitter: String,
     postcode: String,
     email: String,
-    phone: [String],
+    phone: [phoneSchema],
+    phone_unparsed: [String], // Old phone strings the backfill could not normalise
     facebook: String,
     youtube: String,
     instagram: String,
@@ -18,17 +28,44 @@ const mongoose = require('mongoose');
     redirect_url: String,
     meta_description: String,
     is_blacklisted: { type: Boolean, default: false },
+    // Current blacklist state, the full history is kept in BlacklistEntry
+    blacklist_reason: String,
+    blacklisted_at: Date,
+    blacklist_expires_at: Date,
   
 }, { timestamps: true, collection: 'socialscrapes', strict: false });
 
 // Add compound unique index on URL + date to allow multiple records with same URL but different dates
 socialScrapeSchema.index({ url: 1, date: 1 }, { unique: true, background: true });
 
-// Add index on date for sorting
-socialScrapeSchema.index({date: -1}, {background: true})
+// Find blacklisted domains whose blacklist has expired
+socialScrapeSchema.index({ blacklist_expires_at: 1 }, { sparse: true, background: true });
+
+// Look up domains by normalised phone number
+socialScrapeSchema.index({ 'phone.e164': 1 }, { sparse: true, background: true });
+
+// Indexes behind the listing sorts, with _id breaking ties as keyset cursors do (see utils/keysetPagination).
+// The date and updatedAt ones replace the indexes on those fields alone (run npm run sync-indexes once).
+socialScrapeSchema.index({ date: -1, _id: -1 }, { background: true });
+socialScrapeSchema.index({ updatedAt: -1, _id: -1 }, { background: true });
+socialScrapeSchema.index({ url: 1, _id: 1 }, { background: true });
+socialScrapeSchema.index({ statusCode: 1, _id: 1 }, { background: true });
+
+// Indexes behind the listing filters, see SocialScrapeFilter.service
+socialScrapeSchema.index({ is_blacklisted: 1, date: -1 }, { background: true });
+socialScrapeSchema.index({ statusCode: 1, date: -1 }, { background: true });
+
+// Only snapshots with a value are indexed, which is what the has filters look for
+for (const field of ['email', 'postcode', 'facebook', 'twitter', 'instagram', 'linkedin', 'youtube', 'pinterest']) {
+  socialScrapeSchema.index({ [field]: 1 }, { partialFilterExpression: { [field]: { $gt: '' } }, background: true });
+}
 
-// Add text index for fast URL search
-socialScrapeSchema.index({ url: 'text' }, { background: true });
+// Keyword filter and ranked search over the scraped titles and meta descriptions. A collection has at most one text index,
+// this one replaces the old one on url (run npm run sync-indexes once on existing databases).
+socialScrapeSchema.index(
+  { title: 'text', meta_description: 'text' },
+  { name: 'title_meta_description_text', weights: { title: 3, meta_description: 1 }, language_override: 'text_language', background: true }
+);
 
 // Add error handling for duplicate key errors
 socialScrapeSchema.post('save', function(error, doc, next) {
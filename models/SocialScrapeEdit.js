@@ -0,0 +1,20 @@
+// models/SocialScrapeEdit.js
+const mongoose = require('mongoose');
+
+// One change made by hand to a social scrape record. Entries are never updated, so they form the record's
+// edit history, which outlives the record when it is deleted.
+const socialScrapeEditSchema = new mongoose.Schema({
+    record: { type: mongoose.Schema.Types.ObjectId, ref: 'SocialScrape', required: true },
+    url: { type: String, required: true },
+    date: { type: Date, required: true },
+    action: { type: String, enum: ['create', 'update', 'delete'], required: true },
+    changes: [mongoose.Schema.Types.Mixed], // Field changes, see utils/snapshotDiff
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: { createdAt: true, updatedAt: false }, collection: 'socialscrapeedits' });
+
+// Edits of a record are read newest first
+socialScrapeEditSchema.index({ record: 1, createdAt: -1 });
+
+const SocialScrapeEdit = mongoose.model('SocialScrapeEdit', socialScrapeEditSchema);
+
+module.exports = SocialScrapeEdit;
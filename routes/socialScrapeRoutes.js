@@ -1,5 +1,17 @@
 const express = require('express');
 const { SocialScrapeController } = require('../controllers/SocialScrape.controller');
+const { ImportJobController } = require('../controllers/ImportJob.controller');
+const { CodeMappingController } = require('../controllers/CodeMapping.controller');
+const { BlacklistController } = require('../controllers/Blacklist.controller');
+const { BlacklistRuleController } = require('../controllers/BlacklistRule.controller');
+const { PhoneIndexController } = require('../controllers/PhoneIndex.controller');
+const { ImportProfileController } = require('../controllers/ImportProfile.controller');
+const { ScheduleController } = require('../controllers/Schedule.controller');
+const { SnapshotHistoryController } = require('../controllers/SnapshotHistory.controller');
+const { ExportController } = require('../controllers/Export.controller');
+const { SocialScrapeSearchController } = require('../controllers/SocialScrapeSearch.controller');
+const { SocialScrapeRecordController } = require('../controllers/SocialScrapeRecord.controller');
+const { uploadCsvFiles } = require('../middlewares/uploadmiddleware');
 const router = express.Router();
 
 // BASE URL: /api/social-scrape
@@ -15,8 +27,48 @@ router.post('/stop-import', SocialScrapeController.stopImport);
 router.post('/update-blacklist', SocialScrapeController.updateBlacklist);
 router.post('/update-phone-number', SocialScrapeController.updatePhoneNumber);
 router.post('/stop-phone-processing', SocialScrapeController.stopPhoneProcessing);
+router.post('/stop-blacklist', SocialScrapeController.stopBlacklistUpdate);
+router.post('/blacklist', BlacklistController.applyEntries);
+router.get('/blacklist/:url/history', BlacklistController.getHistory);
+router.get('/blacklist-rules', BlacklistRuleController.listRules);
+router.post('/blacklist-rules', BlacklistRuleController.createRule);
+router.put('/blacklist-rules/:id', BlacklistRuleController.updateRule);
+router.delete('/blacklist-rules/:id', BlacklistRuleController.deleteRule);
+router.post('/blacklist-rules/:id/apply', BlacklistRuleController.applyRule);
+router.get('/phones/shared', PhoneIndexController.getSharedNumbers);
+router.get('/phones/:phone/domains', PhoneIndexController.getDomains);
+router.post('/upload/:type', uploadCsvFiles, SocialScrapeController.uploadFiles);
 router.get('/stats', SocialScrapeController.getStats);
+router.post('/stats/compute', SocialScrapeController.computeStats);
 router.get('/paginated', SocialScrapeController.getPaginatedSocialScrapes);
+router.get('/search', SocialScrapeSearchController.search);
 router.get('/check-duplicates', SocialScrapeController.checkDuplicateUrls);
+router.get('/export', ExportController.exportSocialScrapes);
+router.get('/export/:processId/download', ExportController.downloadExport);
+router.get('/domain/:url/history', SnapshotHistoryController.getHistory);
+router.get('/snapshots/diff', SnapshotHistoryController.getDiff);
+router.get('/jobs', ImportJobController.listJobs);
+router.get('/jobs/:processId', ImportJobController.getJob);
+router.post('/jobs/:processId/resume', SocialScrapeController.resumeImport);
+router.get('/jobs/:processId/quarantine', ImportJobController.downloadQuarantine);
+router.get('/jobs/:processId/changes', ImportJobController.getChangeReport);
+router.get('/code-mappings', CodeMappingController.listMappings);
+router.put('/code-mappings/:code', CodeMappingController.saveMapping);
+router.delete('/code-mappings/:code', CodeMappingController.deleteMapping);
+router.get('/import-profiles', ImportProfileController.listProfiles);
+router.get('/import-profiles/:name', ImportProfileController.getProfile);
+router.put('/import-profiles/:name', ImportProfileController.saveProfile);
+router.delete('/import-profiles/:name', ImportProfileController.deleteProfile);
+router.get('/schedules', ScheduleController.listSchedules);
+router.get('/schedules/:name', ScheduleController.getSchedule);
+router.put('/schedules/:name', ScheduleController.saveSchedule);
+router.delete('/schedules/:name', ScheduleController.deleteSchedule);
+router.post('/schedules/:name/run', ScheduleController.runSchedule);
+
+// Single records, after every other route so /:id does not capture their paths
+router.post('/', SocialScrapeRecordController.createRecord);
+router.get('/:id', SocialScrapeRecordController.getRecord);
+router.patch('/:id', SocialScrapeRecordController.updateRecord);
+router.delete('/:id', SocialScrapeRecordController.deleteRecord);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const SocialScrape = require('../models/SocialScrape');
+const connectDB = require('../config/db');
+const winston = require('winston');
+const DailyRotateFile = require('winston-daily-rotate-file');
+const { normalizePhone, mergePhones } = require('../utils/phone');
+require('dotenv').config();
+
+const BATCH_SIZE = 1000;
+
+// Create a dedicated logger for this script
+const scriptLogger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
+        winston.format.printf(({ timestamp, level, message }) => `${timestamp} ${level}: ${message}`)
+    ),
+    transports: [
+        new winston.transports.Console(),
+        new DailyRotateFile({
+            filename: 'logs/backfill-phones-%DATE%.log',
+            datePattern: 'YYYY-MM-DD',
+            maxSize: '20m',
+            maxFiles: '14d',
+            dirname: 'logs'
+        })
+    ],
+});
+
+function formatNumber(num) {
+    return num.toLocaleString();
+}
+
+// Convert the plain phone strings of one record into normalised numbers.
+// Strings that are not valid numbers are moved to phone_unparsed so nothing is lost.
+function convertRecord(record) {
+    const normalised = [];
+    const unparsed = [];
+
+    for (const phone of record.phone || []) {
+        if (typeof phone !== 'string') {
+            normalised.push(phone);
+            continue;
+        }
+
+        const result = normalizePhone(phone, record.url);
+        if (result) {
+            normalised.push(result);
+        } else {
+            unparsed.push(phone);
+        }
+    }
+
+    const update = { $set: { phone: mergePhones(normalised) } };
+    if (unparsed.length > 0) {
+        update.$addToSet = { phone_unparsed: { $each: unparsed } };
+    }
+
+    return { update, unparsed };
+}
+
+async function backfillPhones() {
+    const startTime = Date.now();
+
+    try {
+        scriptLogger.info('=== PHONE BACKFILL SCRIPT STARTED ===');
+
+        await connectDB();
+        scriptLogger.info('Connected to MongoDB successfully');
+
+        // The raw collection is used so mongoose does not try to cast the old strings
+        const collection = SocialScrape.collection;
+        const query = { phone: { $type: 'string' } };
+
+        const totalCount = await collection.countDocuments(query);
+        scriptLogger.info(`Records with unconverted phone numbers: ${formatNumber(totalCount)}`);
+
+        let processedCount = 0;
+        let unparsedCount = 0;
+        let lastId = null;
+
+        while (true) {
+            const batch = await collection.find(lastId ? { ...query, _id: { $gt: lastId } } : query)
+                .project({ _id: 1, url: 1, phone: 1 })
+                .sort({ _id: 1 })
+                .limit(BATCH_SIZE)
+                .toArray();
+
+            if (batch.length === 0) {
+                break;
+            }
+
+            const updates = batch.map(record => {
+                const { update, unparsed } = convertRecord(record);
+                if (unparsed.length > 0) {
+                    unparsedCount += unparsed.length;
+                    scriptLogger.warn(`Could not normalise ${unparsed.join(', ')} for URL: ${record.url}`);
+                }
+                return { updateOne: { filter: { _id: record._id }, update } };
+            });
+
+            await collection.bulkWrite(updates, { ordered: false });
+
+            processedCount += batch.length;
+            lastId = batch[batch.length - 1]._id;
+            scriptLogger.info(`Progress: ${formatNumber(processedCount)}/${formatNumber(totalCount)} records converted`);
+        }
+
+        const totalTime = (Date.now() - startTime) / 1000;
+
+        scriptLogger.info('=== SCRIPT COMPLETED ===');
+        scriptLogger.info(`Total records converted: ${formatNumber(processedCount)}`);
+        scriptLogger.info(`Numbers moved to phone_unparsed: ${formatNumber(unparsedCount)}`);
+        scriptLogger.info(`Total execution time: ${totalTime.toFixed(0)}s`);
+
+    } catch (error) {
+        scriptLogger.error(`Script failed: ${error.message}`);
+        scriptLogger.error(error.stack);
+        process.exit(1);
+    } finally {
+        if (mongoose.connection.readyState === 1) {
+            await mongoose.connection.close();
+            scriptLogger.info('Database connection closed');
+        }
+        process.exit(0);
+    }
+}
+
+// Run the script
+backfillPhones();
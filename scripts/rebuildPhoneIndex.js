@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const SocialScrape = require('../models/SocialScrape');
+const PhoneIndex = require('../models/PhoneIndex');
+const connectDB = require('../config/db');
+const winston = require('winston');
+const DailyRotateFile = require('winston-daily-rotate-file');
+const { PhoneIndexService } = require('../services/PhoneIndex.service');
+require('dotenv').config();
+
+const BATCH_SIZE = 1000;
+
+// Create a dedicated logger for this script
+const scriptLogger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
+        winston.format.printf(({ timestamp, level, message }) => `${timestamp} ${level}: ${message}`)
+    ),
+    transports: [
+        new winston.transports.Console(),
+        new DailyRotateFile({
+            filename: 'logs/rebuild-phone-index-%DATE%.log',
+            datePattern: 'YYYY-MM-DD',
+            maxSize: '20m',
+            maxFiles: '14d',
+            dirname: 'logs'
+        })
+    ],
+});
+
+function formatNumber(num) {
+    return num.toLocaleString();
+}
+
+async function rebuildPhoneIndex() {
+    const startTime = Date.now();
+
+    try {
+        scriptLogger.info('=== PHONE INDEX REBUILD SCRIPT STARTED ===');
+
+        await connectDB();
+        scriptLogger.info('Connected to MongoDB successfully');
+
+        // Only normalised numbers are indexed, run backfill-phones first for the old strings
+        const query = { 'phone.e164': { $exists: true } };
+
+        const totalCount = await SocialScrape.countDocuments(query);
+        scriptLogger.info(`Records with normalised phone numbers: ${formatNumber(totalCount)}`);
+
+        const { deletedCount } = await PhoneIndex.deleteMany({});
+        scriptLogger.info(`Cleared ${formatNumber(deletedCount)} phone index entries`);
+
+        let processedCount = 0;
+        let lastId = null;
+
+        while (true) {
+            const batch = await SocialScrape.find(lastId ? { ...query, _id: { $gt: lastId } } : query)
+                .select('_id url date phone')
+                .sort({ _id: 1 })
+                .limit(BATCH_SIZE)
+                .lean();
+
+            if (batch.length === 0) {
+                break;
+            }
+
+            await PhoneIndexService.recordPhones(batch.map(record => ({
+                url: record.url,
+                date: record.date,
+                phones: record.phone
+            })));
+
+            processedCount += batch.length;
+            lastId = batch[batch.length - 1]._id;
+            scriptLogger.info(`Progress: ${formatNumber(processedCount)}/${formatNumber(totalCount)} records indexed`);
+        }
+
+        const indexCount = await PhoneIndex.estimatedDocumentCount();
+        const totalTime = (Date.now() - startTime) / 1000;
+
+        scriptLogger.info('=== SCRIPT COMPLETED ===');
+        scriptLogger.info(`Total records indexed: ${formatNumber(processedCount)}`);
+        scriptLogger.info(`Phone index entries: ${formatNumber(indexCount)}`);
+        scriptLogger.info(`Total execution time: ${totalTime.toFixed(0)}s`);
+
+    } catch (error) {
+        scriptLogger.error(`Script failed: ${error.message}`);
+        scriptLogger.error(error.stack);
+        process.exit(1);
+    } finally {
+        if (mongoose.connection.readyState === 1) {
+            await mongoose.connection.close();
+            scriptLogger.info('Database connection closed');
+        }
+        process.exit(0);
+    }
+}
+
+// Run the script
+rebuildPhoneIndex();
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const SocialScrape = require('../models/SocialScrape');
+const connectDB = require('../config/db');
+const winston = require('winston');
+const DailyRotateFile = require('winston-daily-rotate-file');
+require('dotenv').config();
+
+// Text index the title and meta description one replaces, a collection can only have one
+const OLD_TEXT_INDEX = 'url_text';
+
+// Indexes the keyset sort indexes (field and _id) serve as well, dropped once those are built
+const SUPERSEDED_INDEXES = ['date_-1', 'updatedAt_-1'];
+
+// Create a dedicated logger for this script
+const scriptLogger = winston.createLogger({
+    level: 'info',
+    format: winston.format.combine(
+        winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
+        winston.format.printf(({ timestamp, level, message }) => `${timestamp} ${level}: ${message}`)
+    ),
+    transports: [
+        new winston.transports.Console(),
+        new DailyRotateFile({
+            filename: 'logs/sync-indexes-%DATE%.log',
+            datePattern: 'YYYY-MM-DD',
+            maxSize: '20m',
+            maxFiles: '14d',
+            dirname: 'logs'
+        })
+    ],
+});
+
+async function syncIndexes() {
+    const startTime = Date.now();
+
+    try {
+        scriptLogger.info('=== INDEX SYNC SCRIPT STARTED ===');
+
+        await connectDB();
+        scriptLogger.info('Connected to MongoDB successfully');
+
+        const indexes = await SocialScrape.collection.indexes();
+        scriptLogger.info(`Current indexes: ${indexes.map(index => index.name).join(', ')}`);
+
+        if (indexes.some(index => index.name === OLD_TEXT_INDEX)) {
+            await SocialScrape.collection.dropIndex(OLD_TEXT_INDEX);
+            scriptLogger.info(`Dropped ${OLD_TEXT_INDEX}`);
+        }
+
+        // Indexes already in place are left as they are, missing ones are built
+        await SocialScrape.createIndexes();
+
+        for (const name of SUPERSEDED_INDEXES.filter(name => indexes.some(index => index.name === name))) {
+            await SocialScrape.collection.dropIndex(name);
+            scriptLogger.info(`Dropped ${name}`);
+        }
+
+        const synced = await SocialScrape.collection.indexes();
+        const totalTime = (Date.now() - startTime) / 1000;
+
+        scriptLogger.info('=== SCRIPT COMPLETED ===');
+        scriptLogger.info(`Indexes: ${synced.map(index => index.name).join(', ')}`);
+        scriptLogger.info(`Total execution time: ${totalTime.toFixed(0)}s`);
+
+    } catch (error) {
+        scriptLogger.error(`Script failed: ${error.message}`);
+        scriptLogger.error(error.stack);
+        process.exit(1);
+    } finally {
+        if (mongoose.connection.readyState === 1) {
+            await mongoose.connection.close();
+            scriptLogger.info('Database connection closed');
+        }
+        process.exit(0);
+    }
+}
+
+// Run the script
+syncIndexes();
@@ -2,6 +2,9 @@ require('dotenv').config();
 const app = require('./app');
 const connectDB = require('./config/db');
 const logger = require('./config/logger');
+const { ImportJobService } = require('./services/ImportJob.service');
+const { BlacklistService } = require('./services/Blacklist.service');
+const { SchedulerService } = require('./services/Scheduler.service');
 
 const PORT = process.env.PORT || 5000;
 
@@ -11,13 +14,17 @@ app.disable('x-powered-by');
 const startServer = async () => {
     try {
         await connectDB();
+        await ImportJobService.markInterruptedJobs();
+        BlacklistService.scheduleExpiry();
+        await SchedulerService.startScheduler();
 
         const server = app.listen(PORT, () => {
             logger.info(`Server running on port ${PORT}`);
         });
 
         // Set timeout for server
-
+        // CSV uploads can stream for much longer than Node's default 5 minute request timeout
+        server.requestTimeout = 0;
 
         // Handle server errors
         server.on('error', (error) => {
@@ -0,0 +1,198 @@
+// services/Blacklist.service.js
+const SocialScrape = require('../models/SocialScrape');
+const BlacklistEntry = require('../models/BlacklistEntry');
+const socialScrapeLogger = require('../config/socialScrapeLogger');
+const { isValidDomain } = require('../utils/helpers');
+const { trimUrl } = require('../utils/cleaners');
+const { paginate } = require('../utils/keysetPagination');
+
+const BLACKLIST_ACTIONS = BlacklistEntry.schema.path('action').enumValues;
+
+// The history can be sorted on the time of each action, with keyset cursors
+const HISTORY_SORTS = { createdAt: 'date' };
+
+// Check the expired blacklists once an hour
+const EXPIRY_INTERVAL = 60 * 60 * 1000;
+
+// Domain a blacklist row or API call refers to, or null when it is not a valid domain
+const toBlacklistDomain = (value) => {
+    const url = trimUrl((value || '').trim()).toLowerCase();
+    return url && isValidDomain(url) ? url : null;
+};
+
+// The blacklist applies to every snapshot of a domain
+const toOperation = ({ url, action, reason, expiresAt }) => {
+    if (action === 'unblacklist') {
+        return {
+            updateMany: {
+                filter: { url },
+                update: {
+                    $set: { is_blacklisted: false },
+                    $unset: { blacklist_reason: 1, blacklisted_at: 1, blacklist_expires_at: 1 }
+                }
+            }
+        };
+    }
+
+    const update = {
+        $set: {
+            is_blacklisted: true,
+            blacklist_reason: reason || null,
+            blacklisted_at: new Date(),
+            blacklist_expires_at: expiresAt || null
+        },
+        $setOnInsert: { date: new Date() }
+    };
+
+    return { updateMany: { filter: { url }, update, upsert: true } };
+};
+
+// Apply blacklist entries ({ url, action, reason, expiresAt }, one per domain) and record them in the history.
+// Returns the write counts, the domains a new record was created for and the entries whose write failed.
+const applyEntries = async (entries, { processId = null, sourceFile = null, actor = null } = {}) => {
+    if (entries.length === 0) {
+        return { upserted: 0, modified: 0, inserted: [], failed: [] };
+    }
+
+    let result;
+    let failedIndexes = new Map();
+
+    try {
+        result = await SocialScrape.bulkWrite(entries.map(toOperation), {
+            ordered: false,
+            writeConcern: { w: 1 }
+        });
+    } catch (error) {
+        // With ordered: false the other operations of the batch are still applied
+        if (!error.writeErrors) throw error;
+
+        const writeErrors = Array.isArray(error.writeErrors) ? error.writeErrors : [error.writeErrors];
+        failedIndexes = new Map(writeErrors.map(writeError => [writeError.index, writeError.errmsg || writeError.message]));
+        result = error.result || {};
+    }
+
+    const applied = entries.filter((entry, index) => !failedIndexes.has(index));
+    await BlacklistEntry.insertMany(applied.map(({ url, action, reason, expiresAt }) => ({
+        url,
+        action,
+        reason,
+        expiresAt: action === 'blacklist' ? expiresAt : undefined,
+        sourceFile,
+        processId,
+        actor
+    })), { ordered: false });
+
+    return {
+        upserted: result.upsertedCount || 0,
+        modified: result.modifiedCount || 0,
+        inserted: Object.keys(result.upsertedIds || {}).map(index => entries[index].url),
+        failed: [...failedIndexes].map(([index, error]) => ({ entry: entries[index], error }))
+    };
+};
+
+// Record the domains blacklist rules flagged while importing ({ url, reason }) in their history, like blacklists
+// applied through applyEntries. Domains whose latest entry is already the same blacklist are skipped, so
+// re-importing a flagged domain adds nothing. The history is secondary here, a failed write is logged.
+const recordRuleFlags = async (flags, { processId = null, sourceFile = null, actor = null } = {}) => {
+    const reasons = new Map(flags.map(({ url, reason }) => [url.toLowerCase(), reason]));
+    if (reasons.size === 0) return 0;
+
+    try {
+        const latest = await BlacklistEntry.aggregate([
+            { $match: { url: { $in: [...reasons.keys()] } } },
+            { $sort: { url: 1, createdAt: -1 } },
+            { $group: { _id: '$url', action: { $first: '$action' }, reason: { $first: '$reason' } } }
+        ]);
+        const current = new Map(latest.map(({ _id, action, reason }) => [_id, { action, reason }]));
+
+        const entries = [...reasons]
+            .filter(([url, reason]) => current.get(url)?.action !== 'blacklist' || current.get(url).reason !== reason)
+            .map(([url, reason]) => ({ url, action: 'blacklist', reason, sourceFile, processId, actor }));
+        if (entries.length > 0) {
+            await BlacklistEntry.insertMany(entries, { ordered: false });
+        }
+        return entries.length;
+    } catch (error) {
+        socialScrapeLogger.error(`Failed to record blacklist history of ${reasons.size} flagged domains: ${error.message}`);
+        return 0;
+    }
+};
+
+// A page of the domain's history by offset, or by keyset cursor (see utils/keysetPagination) when
+// useCursor or a cursor is given, in which case pagination replaces the total
+const getHistory = async (url, { page = 1, limit = 50, order = 'desc', cursor = null, useCursor = false } = {}) => {
+    const query = { url };
+    let entries;
+    let total;
+    let pagination;
+
+    if (useCursor || cursor) {
+        ({ data: entries, pagination } = await paginate(BlacklistEntry, {
+            filter: query,
+            sorts: HISTORY_SORTS,
+            sort: 'createdAt',
+            order,
+            cursor,
+            limit,
+            prepare: (find) => find.populate('actor', 'username role')
+        }));
+    } else {
+        const direction = order === 'asc' ? 1 : -1;
+        [entries, total] = await Promise.all([
+            BlacklistEntry.find(query)
+                .sort({ createdAt: direction, _id: direction })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('actor', 'username role')
+                .lean(),
+            BlacklistEntry.countDocuments(query)
+        ]);
+    }
+
+    // Current state of the domain, taken from its most recent snapshot
+    const current = await SocialScrape.findOne({ url })
+        .sort({ date: -1 })
+        .select('url is_blacklisted blacklist_reason blacklisted_at blacklist_expires_at')
+        .lean();
+
+    return { current, entries, total, pagination };
+};
+
+// Lift blacklists whose expiry date has passed, recording them as unblacklisted in the history
+const expireEntries = async () => {
+    try {
+        const urls = await SocialScrape.distinct('url', {
+            is_blacklisted: true,
+            blacklist_expires_at: { $lte: new Date() }
+        });
+        if (urls.length === 0) return 0;
+
+        const entries = urls.map(url => ({ url, action: 'unblacklist', reason: 'Blacklist expired' }));
+        await applyEntries(entries);
+        socialScrapeLogger.info(`Lifted ${urls.length} expired blacklist entries`);
+        return urls.length;
+    } catch (error) {
+        socialScrapeLogger.error(`Failed to lift expired blacklist entries: ${error.message}`);
+        return 0;
+    }
+};
+
+const scheduleExpiry = () => {
+    expireEntries();
+    return setInterval(expireEntries, EXPIRY_INTERVAL);
+};
+
+const BlacklistService = {
+    toBlacklistDomain,
+    applyEntries,
+    recordRuleFlags,
+    getHistory,
+    expireEntries,
+    scheduleExpiry
+};
+
+module.exports = {
+    BlacklistService,
+    BLACKLIST_ACTIONS,
+    HISTORY_SORTS
+};
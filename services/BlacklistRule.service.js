@@ -0,0 +1,235 @@
+// services/BlacklistRule.service.js
+const BlacklistRule = require('../models/BlacklistRule');
+const socialScrapeLogger = require('../config/socialScrapeLogger');
+const { isValidDomain, escapeRegex } = require('../utils/helpers');
+const { trimUrl } = require('../utils/cleaners');
+
+const RULE_TYPES = BlacklistRule.schema.path('type').enumValues;
+const RULE_ACTIONS = BlacklistRule.schema.path('action').enumValues;
+
+// Regex rules are tested with JavaScript RegExp on imported rows, and sent to MongoDB (PCRE) as $regex when
+// applied to stored records. Patterns are kept to the syntax both engines read the same way: literals, escaped
+// punctuation, ., anchors, alternation, quantifiers, (?:) groups and character classes of ASCII literals and ranges.
+// Returns what is not supported, null for portable patterns.
+const findUnportableSyntax = (pattern) => {
+    const isLetterOrDigitEscape = (next) => next === undefined || /[A-Za-z0-9]/.test(next);
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char.charCodeAt(0) > 0x7f) {
+            return 'non-ASCII characters';
+        }
+        if (char === '\\') {
+            if (isLetterOrDigitEscape(pattern[i + 1])) {
+                return `\\${pattern[i + 1] || ''} (use a character class such as [0-9] or [a-z])`;
+            }
+            i++;
+        } else if (char === '(' && pattern[i + 1] === '?' && pattern[i + 2] !== ':') {
+            return 'lookarounds, named groups and inline flags (only (?:...) groups)';
+        } else if ((char === '*' || char === '+' || char === '?' || char === '}') && pattern[i + 1] === '+') {
+            return 'possessive quantifiers';
+        } else if (char === '[') {
+            let j = i + 1;
+            if (pattern[j] === '^') j++;
+            if (pattern[j] === ']') {
+                return 'empty character classes or ] as the first class member';
+            }
+            for (; j < pattern.length && pattern[j] !== ']'; j++) {
+                if (pattern[j].charCodeAt(0) > 0x7f) {
+                    return 'non-ASCII characters';
+                }
+                if (pattern[j] === '[') {
+                    return 'nested [ in character classes';
+                }
+                if (pattern[j] === '\\') {
+                    if (isLetterOrDigitEscape(pattern[j + 1])) {
+                        return `\\${pattern[j + 1] || ''} in character classes`;
+                    }
+                    j++;
+                }
+            }
+            i = j;
+        }
+    }
+    return null;
+};
+
+// Normalise the pattern of a rule, throwing when it is not valid for its type
+const normalizePattern = (type, pattern) => {
+    const value = pattern.trim();
+
+    switch (type) {
+        case 'exact': {
+            const domain = trimUrl(value).toLowerCase();
+            if (!isValidDomain(domain)) throw new Error(`Invalid pattern: ${value} is not a domain`);
+            return domain;
+        }
+        case 'wildcard': {
+            const domain = value.toLowerCase().replace(/^\*\./, '');
+            if (!value.startsWith('*.') || !isValidDomain(domain)) {
+                throw new Error(`Invalid pattern: wildcard rules look like *.example.com`);
+            }
+            return `*.${domain}`;
+        }
+        case 'tld': {
+            const tld = value.toLowerCase().replace(/^\./, '');
+            if (!/^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(tld)) throw new Error(`Invalid pattern: ${value} is not a TLD`);
+            return tld;
+        }
+        case 'regex':
+            try {
+                new RegExp(value, 'i');
+            } catch (error) {
+                throw new Error(`Invalid pattern: ${error.message}`);
+            }
+            const unportable = findUnportableSyntax(value);
+            if (unportable) {
+                throw new Error(`Invalid pattern: regex rules do not support ${unportable}`);
+            }
+            return value;
+        default:
+            throw new Error(`Invalid pattern: unknown rule type ${type}`);
+    }
+};
+
+// Turn a rule into a function testing a lowercase domain
+const compileRule = (rule) => {
+    switch (rule.type) {
+        case 'exact':
+            return (domain) => domain === rule.pattern;
+        case 'wildcard': {
+            const suffix = rule.pattern.slice(1); // .example.com
+            return (domain) => domain.endsWith(suffix);
+        }
+        case 'tld': {
+            const suffix = `.${rule.pattern}`;
+            return (domain) => domain.endsWith(suffix);
+        }
+        case 'regex': {
+            const regex = new RegExp(rule.pattern, 'i');
+            return (domain) => regex.test(domain);
+        }
+        default:
+            return () => false;
+    }
+};
+
+// Query on SocialScrape.url matching the same domains, used to apply a rule to existing records
+const toUrlQuery = (rule) => {
+    switch (rule.type) {
+        case 'exact':
+            return { url: { $regex: `^${escapeRegex(rule.pattern)}$`, $options: 'i' } };
+        case 'wildcard':
+            return { url: { $regex: `${escapeRegex(rule.pattern.slice(1))}$`, $options: 'i' } };
+        case 'tld':
+            return { url: { $regex: `\\.${escapeRegex(rule.pattern)}$`, $options: 'i' } };
+        default:
+            return { url: { $regex: rule.pattern, $options: 'i' } };
+    }
+};
+
+// processRecord checks every CSV row, so the enabled rules are kept compiled in memory.
+// Exact rules are looked up by domain, the others are tested in turn.
+let exactRules = new Map();
+let patternRules = [];
+
+const refreshCache = async () => {
+    const rules = await BlacklistRule.find({ enabled: true }).lean();
+
+    exactRules = new Map(rules.filter(rule => rule.type === 'exact').map(rule => [rule.pattern, rule]));
+    patternRules = rules
+        .filter(rule => rule.type !== 'exact')
+        .map(rule => ({ rule, test: compileRule(rule) }));
+
+    socialScrapeLogger.info(`Loaded ${rules.length} blacklist rules`);
+};
+
+// First rule matching the domain, drop rules taking precedence over flag rules
+const matchDomain = (url) => {
+    if (exactRules.size === 0 && patternRules.length === 0) return null;
+
+    const domain = url.toLowerCase();
+    let flagRule = null;
+
+    const exactRule = exactRules.get(domain);
+    if (exactRule) {
+        if (exactRule.action === 'drop') return exactRule;
+        flagRule = exactRule;
+    }
+
+    for (const { rule, test } of patternRules) {
+        if (!test(domain)) continue;
+        if (rule.action === 'drop') return rule;
+        flagRule = flagRule || rule;
+    }
+
+    return flagRule;
+};
+
+// Reason recorded on records and history entries blacklisted by a rule
+const describeRule = (rule) => rule.reason || `Matched blacklist rule ${rule.type} ${rule.pattern}`;
+
+const listRules = async () => {
+    return await BlacklistRule.find().sort({ type: 1, pattern: 1 }).populate('createdBy', 'username').lean();
+};
+
+const getRule = async (id) => {
+    return await BlacklistRule.findById(id).lean();
+};
+
+const createRule = async (data, userId = null) => {
+    const rule = await BlacklistRule.create({
+        ...data,
+        pattern: normalizePattern(data.type, data.pattern),
+        createdBy: userId
+    });
+
+    await refreshCache();
+    socialScrapeLogger.info(`Blacklist rule ${rule.type} ${rule.pattern} (${rule.action}) created`);
+    return rule.toObject();
+};
+
+const updateRule = async (id, data) => {
+    const rule = await BlacklistRule.findById(id);
+    if (!rule) return null;
+
+    Object.assign(rule, data);
+    rule.pattern = normalizePattern(rule.type, rule.pattern);
+    await rule.save();
+
+    await refreshCache();
+    socialScrapeLogger.info(`Blacklist rule ${rule.type} ${rule.pattern} updated`);
+    return rule.toObject();
+};
+
+const deleteRule = async (id) => {
+    const rule = await BlacklistRule.findByIdAndDelete(id).lean();
+    if (rule) {
+        await refreshCache();
+        socialScrapeLogger.info(`Blacklist rule ${rule.type} ${rule.pattern} deleted`);
+    }
+    return rule;
+};
+
+const markApplied = async (id, processId) => {
+    await BlacklistRule.updateOne({ _id: id }, { $set: { lastAppliedAt: new Date(), lastAppliedJob: processId } });
+};
+
+const BlacklistRuleService = {
+    refreshCache,
+    matchDomain,
+    describeRule,
+    toUrlQuery,
+    listRules,
+    getRule,
+    createRule,
+    updateRule,
+    deleteRule,
+    markApplied
+};
+
+module.exports = {
+    BlacklistRuleService,
+    RULE_TYPES,
+    RULE_ACTIONS
+};
@@ -0,0 +1,209 @@
+// services/ChangeReport.service.js
+const SocialScrape = require('../models/SocialScrape');
+const { diffField } = require('../utils/snapshotDiff');
+const socialScrapeLogger = require('../config/socialScrapeLogger');
+
+// Fields whose gain or loss between a domain's previous snapshot and the imported one is counted
+const CONTACT_FIELDS = ['email', 'phone'];
+const SOCIAL_FIELDS = ['facebook', 'twitter', 'instagram', 'linkedin', 'youtube', 'pinterest'];
+const CHANGE_FIELDS = [...CONTACT_FIELDS, ...SOCIAL_FIELDS];
+
+const MAX_CHANGE_SAMPLES = 10; // Example domains kept per kind of change
+
+const SNAPSHOT_PROJECTION = { url: 1, date: 1, statusCode: 1, ...Object.fromEntries(CHANGE_FIELDS.map(field => [field, 1])) };
+
+// Fetch errors are stored in statusCode as well, so anything but a 2xx or 3xx code is an error
+const isErrorStatus = (statusCode) => !/^[23]\d\d$/.test(String(statusCode || '').trim());
+
+const keyOf = ({ url, date }) => `${url}_${new Date(date).toISOString()}`;
+
+const createCategory = (previous) => ({
+    count: previous?.count || 0,
+    samples: previous?.samples ? [...previous.samples] : []
+});
+
+// Kinds of change, each counted with a few sample domains: newDomains, statusErrors, gained.<field>, lost.<field>
+const categoryNames = () => [
+    'newDomains',
+    'statusErrors',
+    ...CHANGE_FIELDS.map(field => `gained.${field}`),
+    ...CHANGE_FIELDS.map(field => `lost.${field}`)
+];
+
+// Latest snapshot of each domain dated before the imported one
+const findPreviousSnapshots = async (keys) => {
+    const latest = await SocialScrape.aggregate([
+        { $match: { $or: keys.map(({ url, date }) => ({ url, date: { $lt: date } })) } },
+        { $sort: { url: 1, date: -1 } },
+        { $project: SNAPSHOT_PROJECTION },
+        { $group: { _id: '$url', snapshot: { $first: '$$ROOT' } } }
+    ]);
+    const byUrl = new Map(latest.map(({ _id, snapshot }) => [_id, snapshot]));
+
+    // A domain imported with several dates gets the snapshot before the latest of them, the others are looked up one by one
+    const previous = new Map();
+    for (const key of keys) {
+        let snapshot = byUrl.get(key.url) || null;
+        if (snapshot && snapshot.date >= key.date) {
+            snapshot = await SocialScrape.findOne({ url: key.url, date: { $lt: key.date } })
+                .sort({ date: -1 })
+                .select(SNAPSHOT_PROJECTION)
+                .lean();
+        }
+        previous.set(keyOf(key), snapshot);
+    }
+    return previous;
+};
+
+// Domains with snapshots besides the ones of this batch, such as later snapshots when older ones are backfilled,
+// which are not new. batchKeys holds the URL+date keys of the batch's created snapshots.
+const findKnownUrls = async (urls, batchKeys) => {
+    if (urls.length === 0) return new Set();
+    const snapshots = await SocialScrape.aggregate([
+        { $match: { url: { $in: urls } } },
+        { $group: { _id: '$url', dates: { $push: '$date' } } }
+    ]);
+    return new Set(snapshots
+        .filter(({ _id: url, dates }) => dates.some(date => !batchKeys.has(keyOf({ url, date }))))
+        .map(({ _id }) => _id));
+};
+
+// Kinds of change of one imported snapshot against the domain's previous one, with the sample describing each
+const classifySnapshot = (snapshot, previous, knownUrls) => {
+    const changes = [];
+    if (!previous) {
+        if (!knownUrls.has(snapshot.url)) {
+            changes.push(['newDomains', { url: snapshot.url, date: snapshot.date }]);
+        }
+        return changes;
+    }
+
+    const sample = { url: snapshot.url, date: snapshot.date, previousDate: previous.date };
+    if (String(previous.statusCode || '').trim() === '200' && snapshot.statusCode && isErrorStatus(snapshot.statusCode)) {
+        changes.push(['statusErrors', { ...sample, from: previous.statusCode, to: snapshot.statusCode }]);
+    }
+
+    for (const field of CHANGE_FIELDS) {
+        const change = diffField(field, previous[field], snapshot[field]);
+        if (change?.type === 'added') {
+            changes.push([`gained.${field}`, { ...sample, value: change.to }]);
+        } else if (change?.type === 'removed') {
+            changes.push([`lost.${field}`, { ...sample, value: change.from }]);
+        }
+    }
+    return changes;
+};
+
+/**
+ * Creates the change report of an import run, comparing each snapshot the run creates with the domain's previous one.
+ * Snapshots that existed before the run wrote them (re-imported URL+dates, or batches a resumed run writes again)
+ * are only counted as existingSnapshots, so a resumed run does not count the cancelled run's snapshots twice.
+ * Created snapshots are read back after each batch is written, so rows of one URL+date split over several batches
+ * of a file are compared once merged: a snapshot written again is taken out of the counts and classified anew.
+ * Only the current file's snapshots are tracked for this, as a later file finds them already stored.
+ * @param {Object} [previous] - Stored report of the run a resumed job continues, whose counts and samples are kept
+ * @returns {Object} Report with record(records, { created, file }) to call after each written batch, and toJSON()
+ */
+const createChangeReport = (previous = null) => {
+    const categories = new Map(categoryNames().map(name => {
+        const [group, field] = name.split('.');
+        return [name, createCategory(field ? previous?.[group]?.[field] : previous?.[name])];
+    }));
+    let snapshots = previous?.snapshots || 0;
+    let existingSnapshots = previous?.existingSnapshots || 0;
+
+    // Kinds of change each snapshot the current file created was counted under, by URL+date
+    const counted = new Map();
+    let currentFile = null;
+
+    const uncount = (key) => {
+        for (const name of counted.get(key) || []) {
+            const category = categories.get(name);
+            category.count--;
+            category.samples = category.samples.filter(sample => keyOf(sample) !== key);
+        }
+    };
+
+    /**
+     * Adds a written batch to the report
+     * @param {Object[]} records - Records of the batch
+     * @param {Object} [options]
+     * @param {Object[]} [options.created=[]] - { url, date } of the snapshots the batch created, as reported by the write
+     * @param {string} [options.file] - Input file of the batch
+     */
+    const record = async (records, { created = [], file = null } = {}) => {
+        if (file !== currentFile) {
+            counted.clear();
+            currentFile = file;
+        }
+
+        const createdKeys = new Set(created.map(keyOf));
+        const keys = [];
+        for (const key of new Map(records.map(({ url, date }) => [keyOf({ url, date }), { url, date }])).values()) {
+            if (counted.has(keyOf(key)) || createdKeys.has(keyOf(key))) {
+                keys.push(key);
+            } else {
+                existingSnapshots++;
+            }
+        }
+        if (keys.length === 0) return;
+
+        try {
+            const [stored, previousSnapshots, knownUrls] = await Promise.all([
+                SocialScrape.find({ $or: keys.map(({ url, date }) => ({ url, date })) }).select(SNAPSHOT_PROJECTION).lean(),
+                findPreviousSnapshots(keys),
+                findKnownUrls([...new Set(keys.map(({ url }) => url))], new Set(keys.map(keyOf)))
+            ]);
+
+            for (const snapshot of stored) {
+                const key = keyOf(snapshot);
+                if (counted.has(key)) {
+                    uncount(key);
+                } else {
+                    snapshots++;
+                }
+
+                const changes = classifySnapshot(snapshot, previousSnapshots.get(key), knownUrls);
+                for (const [name, sample] of changes) {
+                    const category = categories.get(name);
+                    category.count++;
+                    if (category.samples.length < MAX_CHANGE_SAMPLES) {
+                        category.samples.push(sample);
+                    }
+                }
+                counted.set(key, changes.map(([name]) => name));
+            }
+        } catch (error) {
+            // The report is informational, a failed lookup must not fail the import
+            socialScrapeLogger.error(`Failed to build change report for ${keys.length} snapshots: ${error.message}`);
+        }
+    };
+
+    const toJSON = () => {
+        const report = { snapshots, existingSnapshots, newDomains: null, statusErrors: null, gained: {}, lost: {} };
+        for (const [name, category] of categories) {
+            const [group, field] = name.split('.');
+            if (field) {
+                report[group][field] = { count: category.count, samples: category.samples };
+            } else {
+                report[name] = { count: category.count, samples: category.samples };
+            }
+        }
+        return report;
+    };
+
+    return {
+        record,
+        toJSON
+    };
+};
+
+const ChangeReportService = {
+    createChangeReport
+};
+
+module.exports = {
+    ChangeReportService,
+    CHANGE_FIELDS,
+    MAX_CHANGE_SAMPLES
+};
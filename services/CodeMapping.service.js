@@ -0,0 +1,126 @@
+// services/CodeMapping.service.js
+const CodeMapping = require('../models/CodeMapping');
+const SocialScrape = require('../models/SocialScrape');
+const socialScrapeLogger = require('../config/socialScrapeLogger');
+
+// The mappings processRecord used to hardcode, seeded into an empty registry
+const DEFAULT_CODE_MAPPINGS = [
+    { code: '[TI]', field: 'title', cleaner: 'text', description: 'Page title' },
+    { code: '[SC]', field: 'statusCode', cleaner: 'statusCode', description: 'HTTP status code' },
+    { code: '[ER]', field: 'statusCode', cleaner: 'statusCode', description: 'Fetch error' },
+    { code: '[PC]', field: 'postcode', cleaner: 'text', description: 'Postcode' },
+    { code: '[EM]', field: 'email', cleaner: 'text', description: 'Email address' },
+    { code: '[TW]', field: 'twitter', cleaner: 'socialUrl', description: 'Twitter profile' },
+    { code: '[FB]', field: 'facebook', cleaner: 'socialUrl', description: 'Facebook page' },
+    { code: '[LK]', field: 'linkedin', cleaner: 'socialUrl', description: 'LinkedIn page' },
+    { code: '[PT]', field: 'pinterest', cleaner: 'socialUrl', description: 'Pinterest profile' },
+    { code: '[YT]', field: 'youtube', cleaner: 'socialUrl', description: 'YouTube channel' },
+    { code: '[IS]', field: 'instagram', cleaner: 'socialUrl', description: 'Instagram profile' },
+    { code: '[RD]', field: 'redirect_url', cleaner: 'socialUrl', description: 'Redirect target' },
+    { code: '[MD]', field: 'meta_description', cleaner: 'text', description: 'Meta description' },
+];
+
+// Fields a mapping may never write to: keys, timestamps, the blacklist state and the phone backfill leftovers
+const PROTECTED_FIELDS = [
+    '_id', '__v', 'url', 'date', 'createdAt', 'updatedAt',
+    'is_blacklisted', 'blacklist_reason', 'blacklisted_at', 'blacklist_expires_at',
+    'phone_unparsed'
+];
+
+// phone holds normalised numbers, which only the phone cleaner produces, and that cleaner only suits phone
+const PHONE_FIELD = 'phone';
+const PHONE_CLEANER = 'phone';
+
+// processRecord runs once per CSV row, so it reads the registry from memory
+let cachedMappings = new Map(DEFAULT_CODE_MAPPINGS.map(mapping => [mapping.code, { isArray: false, ...mapping }]));
+
+const seedDefaultMappings = async () => {
+    const count = await CodeMapping.estimatedDocumentCount();
+    if (count > 0) return;
+
+    await CodeMapping.insertMany(DEFAULT_CODE_MAPPINGS);
+    socialScrapeLogger.info(`Seeded ${DEFAULT_CODE_MAPPINGS.length} default CODE mappings`);
+};
+
+// Reload the enabled mappings from the database into the in-memory cache
+const refreshCache = async () => {
+    await seedDefaultMappings();
+
+    const mappings = await CodeMapping.find({ enabled: true }).lean();
+    cachedMappings = new Map(mappings.map(mapping => [mapping.code, mapping]));
+    socialScrapeLogger.info(`Loaded ${cachedMappings.size} CODE mappings`);
+};
+
+const getMapping = (code) => {
+    return cachedMappings.get(code) || null;
+};
+
+// First mapping writing to a field, used to clean that field in import formats without CODEs
+const getFieldMapping = (field) => {
+    for (const mapping of cachedMappings.values()) {
+        if (mapping.field === field) return mapping;
+    }
+    return null;
+};
+
+const listMappings = async () => {
+    await seedDefaultMappings();
+    return await CodeMapping.find().sort({ code: 1 }).populate('updatedBy', 'username').lean();
+};
+
+const upsertMapping = async (code, data, userId = null) => {
+    if (PROTECTED_FIELDS.includes(data.field)) {
+        throw new Error(`Field ${data.field} cannot be set from a CODE mapping`);
+    }
+
+    // A mapping saved without a cleaner or isArray keeps the one it has, new ones get the model default
+    const existing = await CodeMapping.findOne({ code }).select('cleaner isArray').lean();
+    const cleaner = data.cleaner || existing?.cleaner || CodeMapping.schema.path('cleaner').defaultValue;
+    const isArray = data.isArray ?? existing?.isArray ?? CodeMapping.schema.path('isArray').defaultValue;
+
+    // Values of a schema field are cast to its type on import, so a mismatch would fail every batch with the CODE
+    const schemaPath = SocialScrape.schema.path(data.field);
+    if (schemaPath && (schemaPath.instance === 'Array') !== isArray) {
+        throw new Error(`Field ${data.field} cannot be set from a CODE mapping with isArray ${isArray}, it ${isArray ? 'is not' : 'is'} an array field`);
+    }
+    if (data.field === PHONE_FIELD && cleaner !== PHONE_CLEANER) {
+        throw new Error(`Field ${PHONE_FIELD} cannot be set from a CODE mapping without the ${PHONE_CLEANER} cleaner`);
+    }
+    if (data.field !== PHONE_FIELD && cleaner === PHONE_CLEANER) {
+        throw new Error(`The ${PHONE_CLEANER} cleaner cannot be set for field ${data.field}, only for ${PHONE_FIELD}`);
+    }
+
+    const mapping = await CodeMapping.findOneAndUpdate(
+        { code },
+        { $set: { ...data, code, updatedBy: userId } },
+        { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    await refreshCache();
+    socialScrapeLogger.info(`CODE mapping ${code} -> ${mapping.field} saved`);
+    return mapping;
+};
+
+const deleteMapping = async (code) => {
+    const mapping = await CodeMapping.findOneAndDelete({ code }).lean();
+    if (mapping) {
+        await refreshCache();
+        socialScrapeLogger.info(`CODE mapping ${code} deleted`);
+    }
+    return mapping;
+};
+
+const CodeMappingService = {
+    refreshCache,
+    getMapping,
+    getFieldMapping,
+    listMappings,
+    upsertMapping,
+    deleteMapping
+};
+
+module.exports = {
+    CodeMappingService,
+    DEFAULT_CODE_MAPPINGS,
+    PROTECTED_FIELDS
+};
@@ -0,0 +1,173 @@
+// services/Export.service.js
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const SocialScrape = require('../models/SocialScrape');
+const { SNAPSHOT_FIELDS } = require('./SocialScrape.service');
+const { ImportJobService } = require('./ImportJob.service');
+const { SocialScrapeFilterService } = require('./SocialScrapeFilter.service');
+const { toCsvLine } = require('../utils/csv');
+const socialScrapeLogger = require('../config/socialScrapeLogger');
+
+const EXPORT_DIR = path.join(__dirname, '../imports/exports');
+
+const EXPORT_FORMATS = {
+    csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+    ndjson: { extension: 'ndjson', contentType: 'application/x-ndjson; charset=utf-8' }
+};
+
+const EXPORT_FIELDS = [...SNAPSHOT_FIELDS, 'is_blacklisted'];
+
+// Extracts with more rows than this are written to a file by a background job instead of the response
+const EXPORT_STREAM_LIMIT = parseInt(process.env.EXPORT_STREAM_LIMIT) || 100000;
+
+const CURSOR_BATCH_SIZE = 1000;
+// Rows between two progress updates of an export job
+const PROGRESS_INTERVAL = 10000;
+
+const toProjection = (fields) => ({ _id: 0, ...Object.fromEntries(fields.map(field => [field, 1])) });
+
+/**
+ * Opens a cursor over the snapshots matching a search, read one batch at a time
+ * @param {Object} options
+ * @param {Object} options.filters - Search filters, see SocialScrapeFilter.service
+ * @param {string[]} options.fields - Fields of EXPORT_FIELDS to read
+ * @param {boolean} [options.latest=false] - Only the latest snapshot of each domain, in no particular order
+ * @returns {Object} Cursor of lean documents, async iterable
+ */
+const openExportCursor = ({ filters, fields, latest = false }) => {
+    const { buildFilterConditions, toQuery, latestSnapshotStages } = SocialScrapeFilterService;
+    const conditions = buildFilterConditions(filters);
+
+    // Every snapshot in url and date order, read along the url+date index
+    if (!latest) {
+        return SocialScrape.find(toQuery(conditions))
+            .select(toProjection(fields))
+            .sort({ url: 1, date: 1 })
+            .lean()
+            .cursor({ batchSize: CURSOR_BATCH_SIZE });
+    }
+
+    return SocialScrape.aggregate([
+        ...latestSnapshotStages(conditions, toProjection(fields)),
+        { $project: toProjection(fields) }
+    ]).allowDiskUse(true).cursor({ batchSize: CURSOR_BATCH_SIZE });
+};
+
+/**
+ * Counts the snapshots matching a search, stopping at limit. Also an upper bound for latest-snapshot exports.
+ * @param {Object} filters - Search filters, see SocialScrapeFilter.service
+ * @param {number} limit - Counting stops here
+ * @returns {Promise<number>}
+ */
+const countRows = async (filters, limit) => {
+    return await SocialScrape.countDocuments(SocialScrapeFilterService.buildFilterQuery(filters), { limit });
+};
+
+// Array fields are written to one CSV cell separated by semicolons, phone numbers in their E.164 form
+const toCsvValue = (field, value) => {
+    if (!Array.isArray(value)) return value;
+    return value.map(entry => (field === 'phone' ? entry?.e164 : entry)).filter(Boolean).join(';');
+};
+
+const formatRow = (doc, fields, format) => {
+    if (format === 'ndjson') {
+        return JSON.stringify(Object.fromEntries(fields.filter(field => doc[field] !== undefined).map(field => [field, doc[field]]))) + '\n';
+    }
+    return toCsvLine(fields.map(field => toCsvValue(field, doc[field])));
+};
+
+/**
+ * Writes the rows of an export cursor to a stream as they are read, waiting whenever the stream is full.
+ * Stops with an AbortError when the signal is aborted, e.g. because the client went away.
+ * @param {Object} cursor - From openExportCursor, closed once done
+ * @param {stream.Writable} stream - Response or file stream, left open
+ * @param {Object} options
+ * @param {string} options.format - csv or ndjson
+ * @param {string[]} options.fields - Columns in order
+ * @param {AbortSignal} [options.signal]
+ * @param {Function} [options.onProgress] - Called with the rows written so far every PROGRESS_INTERVAL rows
+ * @returns {Promise<number>} Rows written
+ */
+const writeExport = async (cursor, stream, { format, fields, signal = undefined, onProgress = null }) => {
+    let rows = 0;
+    // once() only takes an AbortSignal, file exports run without one
+    const drainOptions = signal ? { signal } : {};
+    const write = async (chunk) => {
+        if (!stream.write(chunk)) {
+            await once(stream, 'drain', drainOptions);
+        }
+    };
+
+    try {
+        if (format === 'csv') {
+            await write(toCsvLine(fields));
+        }
+        for await (const doc of cursor) {
+            signal?.throwIfAborted();
+            await write(formatRow(doc, fields, format));
+            rows++;
+            if (onProgress && rows % PROGRESS_INTERVAL === 0) {
+                onProgress(rows);
+            }
+        }
+    } finally {
+        await cursor.close();
+    }
+    return rows;
+};
+
+const exportFilename = (processId, format) => `export_${processId}.${EXPORT_FORMATS[format].extension}`;
+
+/**
+ * Writes an export to EXPORT_DIR for an export job, syncing its progress. A failed export leaves no file behind.
+ * @param {string} processId - Export job
+ * @param {Object} options - Same as openExportCursor, plus format
+ * @returns {Promise<{ file: string, rows: number, size: number }>}
+ */
+const exportToFile = async (processId, { filters, fields, format, latest }) => {
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+    const file = exportFilename(processId, format);
+    const filePath = path.join(EXPORT_DIR, file);
+    const stream = fs.createWriteStream(filePath);
+
+    try {
+        const rows = await writeExport(openExportCursor({ filters, fields, latest }), stream, {
+            format,
+            fields,
+            onProgress: (processed) => ImportJobService.syncJob(processId, { processed })
+        });
+        stream.end();
+        await once(stream, 'finish');
+
+        const { size } = await fs.promises.stat(filePath);
+        socialScrapeLogger.info(`Export ${processId} wrote ${rows} rows to ${file}`);
+        return { file, rows, size };
+    } catch (error) {
+        stream.destroy();
+        await fs.promises.rm(filePath, { force: true });
+        throw error;
+    }
+};
+
+// Path of the file an export job wrote, null when it no longer exists
+const getExportFile = (file) => {
+    const filePath = path.join(EXPORT_DIR, path.basename(file));
+    return fs.existsSync(filePath) ? filePath : null;
+};
+
+const ExportService = {
+    openExportCursor,
+    countRows,
+    writeExport,
+    exportToFile,
+    getExportFile
+};
+
+module.exports = {
+    ExportService,
+    EXPORT_DIR,
+    EXPORT_FORMATS,
+    EXPORT_FIELDS,
+    EXPORT_STREAM_LIMIT
+};
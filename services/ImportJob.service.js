@@ -0,0 +1,286 @@
+// services/ImportJob.service.js
+const ImportJob = require('../models/ImportJob');
+const { paginate } = require('../utils/keysetPagination');
+const socialScrapeLogger = require('../config/socialScrapeLogger');
+
+// Persist progress at most this often per job; the final state is always written
+const SYNC_INTERVAL = 2000;
+// Only the most recent errors are kept on the job document to stay well below the 16MB limit
+const MAX_STORED_ERRORS = 500;
+
+// Fields the job listing can be sorted on, with their type for keyset cursors
+const JOB_SORTS = { startedAt: 'date', finishedAt: 'date' };
+
+// Job documents without their logs and reports, which the listing leaves out
+const LISTING_PROJECTION = '-errorLog -checkpoints -report -changeReport';
+
+const COUNTER_FIELDS = ['processed', 'total', 'upserted', 'modified', 'updated', 'created', 'totalFiles', 'completedFiles'];
+
+// Last time each running job was written to the database
+const lastSyncTimes = new Map();
+
+// Build the $set payload for a progress tracker snapshot
+const toJobUpdate = (progress) => {
+    const update = { currentFile: progress.currentFile || null };
+
+    for (const field of COUNTER_FIELDS) {
+        if (typeof progress[field] === 'number') {
+            update[field] = progress[field];
+        }
+    }
+
+    if (progress.bytes) {
+        update.bytes = { ...progress.bytes };
+    }
+
+    if (Array.isArray(progress.errors)) {
+        update.errorLog = progress.errors.slice(-MAX_STORED_ERRORS);
+        update.errorCount = progress.errors.length;
+    }
+
+    return update;
+};
+
+// Map a job document back to the progress shape the progress endpoints have always returned
+const toProgress = (job) => {
+    if (!job) return null;
+
+    return {
+        processId: job.processId,
+        type: job.type,
+        status: job.status,
+        dryRun: job.dryRun,
+        profile: job.profile,
+        mergePolicy: job.mergePolicy,
+        files: job.files,
+        currentFile: job.currentFile,
+        totalFiles: job.totalFiles,
+        completedFiles: job.completedFiles,
+        processed: job.processed,
+        total: job.total,
+        upserted: job.upserted,
+        modified: job.modified,
+        updated: job.updated,
+        created: job.created,
+        bytes: job.bytes,
+        errors: job.errorLog || [],
+        errorCount: job.errorCount,
+        quarantineRows: job.quarantineRows,
+        isComplete: job.status !== 'running',
+        isRunning: job.status === 'running',
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        triggeredBy: job.triggeredBy,
+        report: job.report
+    };
+};
+
+const createJob = async ({ processId, type, files = [], triggeredBy = null, dryRun = false, profile = null, mergePolicy = null }) => {
+    const job = await ImportJob.create({
+        processId,
+        type,
+        dryRun,
+        profile,
+        mergePolicy,
+        files,
+        totalFiles: files.length,
+        triggeredBy
+    });
+    lastSyncTimes.set(processId, Date.now());
+    socialScrapeLogger.info(`Created ${type} job ${processId} for ${files.length} file(s)`);
+    return job;
+};
+
+// Throttled write of a running job's progress
+const syncJob = async (processId, progress) => {
+    if (!processId) return;
+
+    const now = Date.now();
+    if (now - (lastSyncTimes.get(processId) || 0) < SYNC_INTERVAL) {
+        return;
+    }
+    lastSyncTimes.set(processId, now);
+
+    try {
+        await ImportJob.updateOne(
+            { processId, status: 'running' },
+            { $set: toJobUpdate(progress) }
+        );
+    } catch (error) {
+        socialScrapeLogger.error(`Failed to sync job ${processId}: ${error.message}`);
+    }
+};
+
+// Write the final counters and status. A job that is no longer running keeps its status.
+const finishJob = async (processId, progress, status = 'completed') => {
+    if (!processId) return;
+    lastSyncTimes.delete(processId);
+
+    try {
+        const update = { ...toJobUpdate(progress), currentFile: null, finishedAt: new Date() };
+        const result = await ImportJob.updateOne(
+            { processId, status: 'running' },
+            { $set: { ...update, status } }
+        );
+
+        if (result.matchedCount === 0) {
+            await ImportJob.updateOne({ processId }, { $set: update });
+        }
+
+        socialScrapeLogger.info(`Job ${processId} finished with status: ${status}`);
+    } catch (error) {
+        socialScrapeLogger.error(`Failed to finish job ${processId}: ${error.message}`);
+    }
+};
+
+const saveReport = async (processId, report) => {
+    if (!processId) return;
+    await ImportJob.updateOne({ processId }, { $set: { report } });
+};
+
+// Change report of an import run, see ChangeReport.service
+const saveChangeReport = async (processId, changeReport) => {
+    if (!processId) return;
+    await ImportJob.updateOne({ processId }, { $set: { changeReport } });
+};
+
+// Record the quarantine file a run wrote its rejected rows to
+const saveQuarantine = async (processId, { filename, count }) => {
+    if (!processId || count === 0) return;
+    await ImportJob.updateOne(
+        { processId },
+        { $set: { quarantineFile: filename }, $inc: { quarantineRows: count } }
+    );
+};
+
+// Record a file checkpoint, replacing the previous one for the same file
+const saveCheckpoint = async (processId, checkpoint) => {
+    if (!processId) return;
+
+    const entry = { ...checkpoint, updatedAt: new Date() };
+    const result = await ImportJob.updateOne(
+        { processId, 'checkpoints.file': entry.file },
+        { $set: { 'checkpoints.$': entry } }
+    );
+
+    if (result.matchedCount === 0) {
+        await ImportJob.updateOne({ processId }, { $push: { checkpoints: entry } });
+    }
+};
+
+// The most recent checkpoint holds the committed job totals
+const getLatestCheckpoint = (job) => {
+    const checkpoints = job?.checkpoints || [];
+    return checkpoints.reduce((latest, checkpoint) =>
+        (!latest || checkpoint.updatedAt > latest.updatedAt) ? checkpoint : latest, null);
+};
+
+// Put a finished job back into the running state so it can be resumed
+const reopenJob = async (processId) => {
+    lastSyncTimes.set(processId, Date.now());
+    await ImportJob.updateOne(
+        { processId },
+        { $set: { status: 'running' }, $unset: { finishedAt: 1 } }
+    );
+    socialScrapeLogger.info(`Reopened job ${processId} to resume it`);
+};
+
+const getJob = async (processId) => {
+    return await ImportJob.findOne({ processId }).lean();
+};
+
+const getLatestJob = async (type, status = null) => {
+    const query = status ? { type, status } : { type };
+    return await ImportJob.findOne(query).sort({ startedAt: -1 }).lean();
+};
+
+// Running job of any type, used to keep scheduled runs from overlapping with it
+const getRunningJob = async () => {
+    return await ImportJob.findOne({ status: 'running' }).select('processId type startedAt').lean();
+};
+
+const jobQuery = ({ type, status }) => {
+    const query = {};
+    if (type) query.type = type;
+    if (status) query.status = status;
+    return query;
+};
+
+const listJobs = async ({ type, status, sort = 'startedAt', order = 'desc', page = 1, limit = 20 } = {}) => {
+    const query = jobQuery({ type, status });
+    const direction = order === 'asc' ? 1 : -1;
+
+    const [jobs, total] = await Promise.all([
+        ImportJob.find(query)
+            .select(LISTING_PROJECTION)
+            .sort({ [sort]: direction, _id: direction })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate('triggeredBy', 'username role')
+            .lean(),
+        ImportJob.countDocuments(query)
+    ]);
+
+    return { jobs, total };
+};
+
+// Same listing by keyset cursor, see utils/keysetPagination
+const pageJobs = async ({ type, status, sort = 'startedAt', order = 'desc', cursor = null, limit = 20 } = {}) => {
+    const { data, pagination } = await paginate(ImportJob, {
+        filter: jobQuery({ type, status }),
+        sorts: JOB_SORTS,
+        sort,
+        order,
+        cursor,
+        limit,
+        prepare: (find) => find.select(LISTING_PROJECTION).populate('triggeredBy', 'username role')
+    });
+    return { jobs: data, pagination };
+};
+
+// Jobs still marked as running when the server starts were cut off by a restart or crash
+const markInterruptedJobs = async () => {
+    try {
+        const result = await ImportJob.updateMany(
+            { status: 'running' },
+            { $set: { status: 'interrupted', finishedAt: new Date() } }
+        );
+        if (result.modifiedCount > 0) {
+            socialScrapeLogger.warn(`Marked ${result.modifiedCount} job(s) left running by a previous process as interrupted`);
+        }
+    } catch (error) {
+        socialScrapeLogger.error(`Failed to mark interrupted jobs: ${error.message}`);
+    }
+};
+
+// Persist every progress event a pipeline emits for its running job
+const watchProgress = (emitter) => {
+    emitter.on('progress', (progress) => {
+        syncJob(progress.processId, progress);
+    });
+};
+
+const ImportJobService = {
+    createJob,
+    syncJob,
+    finishJob,
+    saveReport,
+    saveChangeReport,
+    saveQuarantine,
+    saveCheckpoint,
+    getLatestCheckpoint,
+    reopenJob,
+    getJob,
+    getLatestJob,
+    getRunningJob,
+    listJobs,
+    pageJobs,
+    markInterruptedJobs,
+    watchProgress,
+    toProgress
+};
+
+module.exports = {
+    ImportJobService,
+    JOB_SORTS
+};
@@ -0,0 +1,41 @@
+// services/ImportProfile.service.js
+const ImportProfile = require('../models/ImportProfile');
+const socialScrapeLogger = require('../config/socialScrapeLogger');
+
+const listProfiles = async () => {
+    return await ImportProfile.find().sort({ name: 1 }).populate('updatedBy', 'username').lean();
+};
+
+const getProfile = async (name) => {
+    return await ImportProfile.findOne({ name }).lean();
+};
+
+const upsertProfile = async (name, data, userId = null) => {
+    const profile = await ImportProfile.findOneAndUpdate(
+        { name },
+        { $set: { ...data, name, updatedBy: userId } },
+        { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    socialScrapeLogger.info(`Import profile ${name} saved with ${profile.columns.length} column(s)`);
+    return profile;
+};
+
+const deleteProfile = async (name) => {
+    const profile = await ImportProfile.findOneAndDelete({ name }).lean();
+    if (profile) {
+        socialScrapeLogger.info(`Import profile ${name} deleted`);
+    }
+    return profile;
+};
+
+const ImportProfileService = {
+    listProfiles,
+    getProfile,
+    upsertProfile,
+    deleteProfile
+};
+
+module.exports = {
+    ImportProfileService
+};
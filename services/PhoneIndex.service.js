@@ -0,0 +1,145 @@
+// services/PhoneIndex.service.js
+const PhoneIndex = require('../models/PhoneIndex');
+const SocialScrape = require('../models/SocialScrape');
+const socialScrapeLogger = require('../config/socialScrapeLogger');
+
+// Day a snapshot was taken, so repeated imports of the same day add one date
+const toDay = (date) => {
+    const day = new Date(date);
+    day.setUTCHours(0, 0, 0, 0);
+    return day;
+};
+
+// Record the normalised numbers found on domains. Entries are { url, date, phones }.
+// The index is secondary data, so a failed write is logged instead of failing the import.
+const recordPhones = async (entries) => {
+    const operations = [];
+    for (const { url, date, phones } of entries) {
+        const day = toDay(date || new Date());
+        for (const phone of phones || []) {
+            if (!phone?.e164) continue;
+            operations.push({
+                updateOne: {
+                    filter: { e164: phone.e164, url },
+                    update: {
+                        $set: { country: phone.country, type: phone.type },
+                        $addToSet: { dates: day },
+                        $min: { firstSeen: day },
+                        $max: { lastSeen: day }
+                    },
+                    upsert: true
+                }
+            });
+        }
+    }
+
+    if (operations.length === 0) return;
+
+    try {
+        await PhoneIndex.bulkWrite(operations, { ordered: false });
+    } catch (error) {
+        socialScrapeLogger.error(`Failed to update phone index: ${error.message}`);
+    }
+};
+
+// Drop the snapshots of entries ({ url, phones }) that no longer list the numbers from the index: each
+// number's dates are rebuilt from the domain's snapshots still listing it, and its entry is removed when none do.
+// Like recordPhones, a failed write is logged.
+const removePhones = async (entries) => {
+    const pairs = new Map();
+    for (const { url, phones } of entries) {
+        for (const phone of phones || []) {
+            if (phone?.e164) pairs.set(`${phone.e164} ${url}`, { e164: phone.e164, url });
+        }
+    }
+
+    try {
+        for (const { e164, url } of pairs.values()) {
+            const snapshots = await SocialScrape.find({ url, 'phone.e164': e164 }).select('date').lean();
+            if (snapshots.length === 0) {
+                await PhoneIndex.deleteOne({ e164, url });
+                continue;
+            }
+
+            const days = [...new Set(snapshots.map(({ date }) => toDay(date).getTime()))].sort((a, b) => a - b).map(day => new Date(day));
+            await PhoneIndex.updateOne({ e164, url }, {
+                $set: { dates: days, firstSeen: days[0], lastSeen: days[days.length - 1] }
+            });
+        }
+    } catch (error) {
+        socialScrapeLogger.error(`Failed to remove numbers from phone index: ${error.message}`);
+    }
+};
+
+// Domains a number was listed on, most recently seen first
+const findDomains = async (e164, { page = 1, limit = 50 } = {}) => {
+    const query = { e164 };
+    const [domains, total] = await Promise.all([
+        PhoneIndex.find(query)
+            .select('-_id url dates firstSeen lastSeen')
+            .sort({ lastSeen: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        PhoneIndex.countDocuments(query)
+    ]);
+
+    return { domains, total };
+};
+
+// Numbers listed on more than minDomains domains, most shared first
+const findSharedNumbers = async ({ minDomains = 1, country, type, page = 1, limit = 50 } = {}) => {
+    const match = {};
+    if (country) match.country = country;
+    if (type) match.type = type;
+
+    const [result] = await PhoneIndex.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: '$e164',
+                country: { $first: '$country' },
+                type: { $first: '$type' },
+                domainCount: { $sum: 1 },
+                domains: { $push: '$url' },
+                lastSeen: { $max: '$lastSeen' }
+            }
+        },
+        { $match: { domainCount: { $gt: minDomains } } },
+        { $sort: { domainCount: -1, _id: 1 } },
+        {
+            $facet: {
+                numbers: [
+                    { $skip: (page - 1) * limit },
+                    { $limit: limit },
+                    {
+                        $project: {
+                            _id: 0,
+                            e164: '$_id',
+                            country: 1,
+                            type: 1,
+                            domainCount: 1,
+                            lastSeen: 1,
+                            // A sample is enough for the listing, the lookup endpoint pages through all of them
+                            domains: { $slice: ['$domains', 20] }
+                        }
+                    }
+                ],
+                total: [{ $count: 'count' }]
+            }
+        }
+    ]).allowDiskUse(true);
+
+    return { numbers: result.numbers, total: result.total[0]?.count || 0 };
+};
+
+const PhoneIndexService = {
+    recordPhones,
+    removePhones,
+    findDomains,
+    findSharedNumbers
+};
+
+module.exports = {
+    PhoneIndexService
+};
@@ -0,0 +1,256 @@
+// services/Scheduler.service.js
+const fs = require('fs');
+const path = require('path');
+const cronParser = require('cron-parser');
+const Schedule = require('../models/Schedule');
+const { ImportJobService } = require('./ImportJob.service');
+const { UPLOAD_DIRS, PIPELINE_FORMATS } = require('./SocialScrape.service');
+const { isInputFile } = require('../utils/inputFiles');
+const socialScrapeLogger = require('../config/socialScrapeLogger');
+
+const SCHEDULE_JOBS = Schedule.schema.path('job').enumValues;
+
+// Jobs that read a folder and can be started by the watcher
+const WATCHABLE_JOBS = Object.keys(UPLOAD_DIRS);
+
+// How often due schedules and watched folders are checked
+const SCHEDULER_INTERVAL = 30 * 1000;
+// A new file must keep the same size for this long before the watcher starts its job
+const WATCH_SETTLE_TIME = parseInt(process.env.WATCH_SETTLE_TIME) || 60 * 1000;
+
+// Functions starting each job, registered by the controllers that own them.
+// Each takes the run options and returns the HTTP status and body its endpoint would send.
+const launchers = new Map();
+
+// Size of every input file seen in a watched folder, since when it has kept that size,
+// and whether a job has already been started for it
+const watchedFiles = new Map();
+
+let timer = null;
+let ticking = false;
+
+const registerLauncher = (job, launch) => {
+    launchers.set(job, launch);
+};
+
+/**
+ * Next time a cron expression fires
+ * @param {string} cron - Five-field cron expression
+ * @param {string} [timezone='UTC'] - IANA timezone the expression is evaluated in
+ * @param {Date} [from=new Date()] - Time to look forward from
+ * @returns {Date}
+ */
+const getNextRun = (cron, timezone = 'UTC', from = new Date()) => {
+    return cronParser.parseExpression(cron, { currentDate: from, tz: timezone }).next().toDate();
+};
+
+const nextRunOf = (schedule, from = new Date()) => {
+    return schedule.enabled && schedule.cron ? getNextRun(schedule.cron, schedule.timezone, from) : null;
+};
+
+// Start the job of a schedule unless any job is running, and record the outcome on the schedule.
+// Outcomes skipped because a job was running are marked blocked, so watched folders retry their files.
+const runSchedule = async (schedule, trigger) => {
+    let outcome;
+    try {
+        const runningJob = await ImportJobService.getRunningJob();
+        const launch = launchers.get(schedule.job);
+
+        if (runningJob) {
+            outcome = { status: 'skipped', blocked: true, message: `Another ${runningJob.type} job (${runningJob.processId}) is already running` };
+        } else if (!launch) {
+            outcome = { status: 'failed', message: `No launcher registered for ${schedule.job} jobs` };
+        } else {
+            const { status, body } = await launch({ ...(schedule.options || {}), triggeredBy: null });
+            if (status === 200) {
+                outcome = { status: 'started', message: body.message, processId: body.processId };
+            } else if (status === 404 || status === 409) {
+                // Nothing to process, or a job of the same type started in the meantime
+                outcome = { status: 'skipped', blocked: status === 409, message: body.message };
+            } else {
+                outcome = { status: 'failed', message: body.message || body.error };
+            }
+        }
+    } catch (error) {
+        outcome = { status: 'failed', message: error.message };
+    }
+
+    const log = outcome.status === 'failed' ? 'error' : 'info';
+    socialScrapeLogger[log](`Schedule ${schedule.name} (${trigger}) ${outcome.status} ${schedule.job} job: ${outcome.message}`);
+
+    await Schedule.updateOne({ _id: schedule._id }, {
+        $set: {
+            lastRunAt: new Date(),
+            lastTrigger: trigger,
+            lastStatus: outcome.status,
+            lastMessage: outcome.message,
+            lastProcessId: outcome.processId || null
+        }
+    });
+    return outcome;
+};
+
+// Start every enabled schedule whose cron time has passed. Runs missed while the server was down are made up once.
+const runDueSchedules = async (now = new Date()) => {
+    const due = await Schedule.find({ enabled: true, nextRunAt: { $lte: now } }).sort({ nextRunAt: 1 }).lean();
+
+    for (const schedule of due) {
+        // Claim the run by moving nextRunAt forward first, so another server process does not start it as well
+        const claimed = await Schedule.findOneAndUpdate(
+            { _id: schedule._id, nextRunAt: schedule.nextRunAt },
+            { $set: { nextRunAt: nextRunOf(schedule, now) } }
+        );
+        if (claimed) {
+            await runSchedule(schedule, 'cron');
+        }
+    }
+};
+
+// Input files of a folder with their size, missing folders having none
+const statInputFiles = async (dir, formats) => {
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch(() => []);
+    const files = [];
+    for (const entry of entries) {
+        if (!entry.isFile() || !isInputFile(entry.name, formats)) continue;
+
+        const filePath = path.join(dir, entry.name);
+        const stat = await fs.promises.stat(filePath).catch(() => null);
+        if (stat) files.push({ filePath, size: stat.size, mtimeMs: stat.mtimeMs });
+    }
+    return files;
+};
+
+// Start the job of each watching schedule once a new file in its folder has stopped growing.
+// Jobs pick up every file of their folder, so nothing is started while another file is still being written.
+const checkWatchedFolders = async (now = Date.now()) => {
+    const schedules = await Schedule.find({ enabled: true, watch: true, job: { $in: WATCHABLE_JOBS } }).lean();
+    const seen = new Set();
+
+    for (const job of [...new Set(schedules.map(schedule => schedule.job))]) {
+        const files = await statInputFiles(UPLOAD_DIRS[job], PIPELINE_FORMATS[job]);
+
+        for (const { filePath, size, mtimeMs } of files) {
+            seen.add(filePath);
+            const previous = watchedFiles.get(filePath);
+            if (!previous || previous.size !== size || previous.mtimeMs !== mtimeMs) {
+                watchedFiles.set(filePath, { size, mtimeMs, stableSince: now, launched: false });
+            }
+        }
+
+        const states = files.map(({ filePath }) => watchedFiles.get(filePath));
+        const settled = states.every(state => now - state.stableSince >= WATCH_SETTLE_TIME);
+        if (!settled || !states.some(state => !state.launched)) continue;
+
+        for (const schedule of schedules.filter(candidate => candidate.job === job)) {
+            const outcome = await runSchedule(schedule, 'watch');
+
+            // Files are only retried when the job could not start because another one was running
+            if (!outcome.blocked) {
+                states.forEach(state => { state.launched = true; });
+                break;
+            }
+        }
+    }
+
+    // Forget files that have been archived or removed
+    for (const filePath of watchedFiles.keys()) {
+        if (!seen.has(filePath)) watchedFiles.delete(filePath);
+    }
+};
+
+const tick = async () => {
+    if (ticking) return;
+    ticking = true;
+    try {
+        await runDueSchedules();
+        await checkWatchedFolders();
+    } catch (error) {
+        socialScrapeLogger.error(`Scheduler check failed: ${error.message}`);
+    } finally {
+        ticking = false;
+    }
+};
+
+// Fill in the next run of enabled schedules saved without one and start checking them
+const startScheduler = async () => {
+    try {
+        const schedules = await Schedule.find({ enabled: true, cron: { $ne: null }, nextRunAt: null }).lean();
+        for (const schedule of schedules) {
+            await Schedule.updateOne({ _id: schedule._id }, { $set: { nextRunAt: nextRunOf(schedule) } });
+        }
+    } catch (error) {
+        socialScrapeLogger.error(`Failed to initialise schedules: ${error.message}`);
+    }
+
+    if (!timer) {
+        timer = setInterval(tick, SCHEDULER_INTERVAL);
+        socialScrapeLogger.info('Scheduler started');
+    }
+    return timer;
+};
+
+const listSchedules = async () => {
+    return await Schedule.find().sort({ name: 1 }).populate('updatedBy', 'username').lean();
+};
+
+const getSchedule = async (name) => {
+    return await Schedule.findOne({ name }).lean();
+};
+
+// Fields of a schedule's definition, as opposed to the state its runs record
+const DEFINITION_FIELDS = ['job', 'cron', 'timezone', 'watch', 'options', 'enabled', 'description'];
+
+// Saving a schedule replaces its whole definition, fields left out are cleared.
+// A schedule without cron only runs from the watcher.
+const upsertSchedule = async (name, data, userId = null) => {
+    const definition = { ...data, cron: data.cron || null };
+    const cleared = DEFINITION_FIELDS.filter(field => definition[field] === undefined);
+
+    const update = { $set: { ...definition, name, nextRunAt: nextRunOf(definition), updatedBy: userId } };
+    if (cleared.length > 0) {
+        update.$unset = Object.fromEntries(cleared.map(field => [field, '']));
+    }
+
+    const schedule = await Schedule.findOneAndUpdate(
+        { name },
+        update,
+        { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    socialScrapeLogger.info(`Schedule ${name} saved for ${schedule.job} jobs, next run: ${schedule.nextRunAt ? schedule.nextRunAt.toISOString() : 'none'}`);
+    return schedule;
+};
+
+const deleteSchedule = async (name) => {
+    const schedule = await Schedule.findOneAndDelete({ name }).lean();
+    if (schedule) {
+        socialScrapeLogger.info(`Schedule ${name} deleted`);
+    }
+    return schedule;
+};
+
+// Run a schedule now, outside its cron times, with the same overlap check
+const runScheduleNow = async (name) => {
+    const schedule = await Schedule.findOne({ name }).lean();
+    if (!schedule) return null;
+    return await runSchedule(schedule, 'manual');
+};
+
+const SchedulerService = {
+    registerLauncher,
+    getNextRun,
+    startScheduler,
+    runDueSchedules,
+    checkWatchedFolders,
+    listSchedules,
+    getSchedule,
+    upsertSchedule,
+    deleteSchedule,
+    runScheduleNow
+};
+
+module.exports = {
+    SchedulerService,
+    SCHEDULE_JOBS,
+    WATCHABLE_JOBS
+};
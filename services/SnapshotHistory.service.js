@@ -0,0 +1,88 @@
+// services/SnapshotHistory.service.js
+const SocialScrape = require('../models/SocialScrape');
+const { SNAPSHOT_FIELDS } = require('./SocialScrape.service');
+const { diffSnapshots } = require('../utils/snapshotDiff');
+
+// Fields whose changes are tracked between snapshots, the url and date being the key of each snapshot
+const HISTORY_FIELDS = SNAPSHOT_FIELDS.filter(field => field !== 'url' && field !== 'date');
+
+// Changed values of these fields also get a word-level text diff
+const TEXT_DIFF_FIELDS = ['title', 'meta_description'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Every snapshot of a domain in date order, with the changes of each field from one snapshot to the next
+ * @param {string} url - Domain as stored by the importers
+ * @param {Object} [options]
+ * @param {Date} [options.from] - First snapshot date to include
+ * @param {Date} [options.to] - Last snapshot date to include
+ * @returns {Promise<{ snapshots: Object[], changes: Object }>} changes holds, per field that changed,
+ *          the list of { date, previousDate, type, from, to } in date order
+ */
+const getHistory = async (url, { from, to } = {}) => {
+    const query = { url };
+    if (from || to) {
+        query.date = {};
+        if (from) query.date.$gte = from;
+        if (to) query.date.$lte = to;
+    }
+
+    const snapshots = await SocialScrape.find(query).sort({ date: 1 }).select('-__v').lean();
+
+    const changes = {};
+    for (let i = 1; i < snapshots.length; i++) {
+        const previous = snapshots[i - 1];
+        const current = snapshots[i];
+        for (const { field, ...change } of diffSnapshots(previous, current, HISTORY_FIELDS)) {
+            if (!changes[field]) changes[field] = [];
+            changes[field].push({ date: current.date, previousDate: previous.date, ...change });
+        }
+    }
+
+    return { snapshots, changes };
+};
+
+// Snapshot of a domain on the day of the given date (snapshots are stored at midnight UTC)
+const findSnapshot = async (url, date) => {
+    const start = new Date(date);
+    start.setUTCHours(0, 0, 0, 0);
+    return await SocialScrape.findOne({ url, date: { $gte: start, $lt: new Date(start.getTime() + DAY_MS) } })
+        .sort({ date: 1 })
+        .select('-__v')
+        .lean();
+};
+
+const getSnapshot = async (id) => {
+    return await SocialScrape.findById(id).select('-__v').lean();
+};
+
+/**
+ * Field-by-field diff of two snapshots: added and removed phone numbers and other array entries,
+ * added, removed and changed values, with a word-level textDiff for the title and meta description
+ * @param {Object} before - Earlier snapshot
+ * @param {Object} after - Later snapshot
+ * @returns {{ before: Object, after: Object, changes: Object[], summary: Object }}
+ */
+const compareSnapshots = (before, after) => {
+    const changes = diffSnapshots(before, after, HISTORY_FIELDS, { textFields: TEXT_DIFF_FIELDS });
+
+    const summary = { added: 0, removed: 0, changed: 0 };
+    for (const change of changes) {
+        summary[change.type]++;
+    }
+
+    return { before, after, changes, summary };
+};
+
+const SnapshotHistoryService = {
+    getHistory,
+    findSnapshot,
+    getSnapshot,
+    compareSnapshots
+};
+
+module.exports = {
+    SnapshotHistoryService,
+    HISTORY_FIELDS
+};
@@ -1,32 +1,87 @@
 // services/SocialScrapeService.js
 const csv = require('csv-parse');
+const { parse: parseCsvSync } = require('csv-parse/sync');
 const fs = require('fs');
 const path = require('path');
 const { EventEmitter } = require('events');
+const { StringDecoder } = require('string_decoder');
 const SocialScrape = require('../models/SocialScrape');
 const socialScrapeLogger = require('../config/socialScrapeLogger');
 const { isValidDomain } = require('../utils/helpers');
-const { archiveFile } = require('../utils/fileUtils');
+const { archiveFile, readFirstLine, countLines } = require('../utils/fileUtils');
+const { listInputFiles, listZipEntries, resolveInput, inputFormat, inputName, openInputStream, completeInput } = require('../utils/inputFiles');
+const { ImportJobService } = require('./ImportJob.service');
+const { CodeMappingService } = require('./CodeMapping.service');
+const { BlacklistService, BLACKLIST_ACTIONS } = require('./Blacklist.service');
+const { BlacklistRuleService } = require('./BlacklistRule.service');
+const { PhoneIndexService } = require('./PhoneIndex.service');
+const { trimUrl, cleanSocialUrl, cleanText, cleanStatusCode } = require('../utils/cleaners');
+const { normalizePhone, mergePhones } = require('../utils/phone');
+const { DEFAULT_MERGE_POLICY, mergeRecords, buildMergeUpdate } = require('../utils/mergePolicy');
 
 // Reduced batch size and parallel processing for 4GB RAM, 2-core VPS
 const BATCH_SIZE = 1000; // Reduced from 50000 to 1000 for better reliability
 const PARALLEL_BATCHES = 2; // Reduced to match CPU cores
+const CHECKPOINT_INTERVAL = 10; // Save a resume checkpoint every 10 committed batches
+const MAX_REPORT_SAMPLES = 10; // Example values kept per rejection reason in dry-run reports
 const IMPORT_DIR = path.join(__dirname, '../imports/social_scrape');
 const BLACKLIST_DIR = path.join(__dirname, '../imports/social_scrape_blacklisted');
 const PHONE_DIR = path.join(__dirname, '../imports/social_scrape_phone');
 
+// Target directory for each upload type
+const UPLOAD_DIRS = {
+    import: IMPORT_DIR,
+    blacklist: BLACKLIST_DIR,
+    phone: PHONE_DIR
+};
+
+// Formats each pipeline reads from its directory, see utils/inputFiles
+const PIPELINE_FORMATS = {
+    import: ['csv', 'ndjson'],
+    blacklist: ['csv'],
+    phone: ['csv']
+};
+
+// Columns the main import needs in its header row (the first column is always the URL)
+const IMPORT_REQUIRED_COLUMNS = ['CODE', 'RESULT', 'DATE'];
+
+// Fields imports that name their fields (NDJSON objects, wide CSV columns) may not set:
+// managed by mongoose, the blacklist or the phone backfill
+const BLACKLIST_STATE_FIELDS = ['is_blacklisted', 'blacklist_reason', 'blacklisted_at', 'blacklist_expires_at'];
+const SNAPSHOT_EXCLUDED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', ...BLACKLIST_STATE_FIELDS, 'phone_unparsed'];
+const SNAPSHOT_FIELDS = Object.keys(SocialScrape.schema.paths).filter(field => !SNAPSHOT_EXCLUDED_FIELDS.includes(field));
+
+// Cleaners of the fields no CODE mapping writes to, the others use their mapping's cleaner
+const FIELD_DEFAULT_CLEANERS = { phone: 'phone' };
+
+// Code NDJSON rows are counted under in dry-run reports
+const NDJSON_REPORT_CODE = '(ndjson)';
+
 // Create separate event emitters for each process
 const importEventEmitter = new EventEmitter();
 const blacklistEventEmitter = new EventEmitter();
 const phoneEventEmitter = new EventEmitter();
 
+// Compressed and uncompressed bytes read by a job, with the compressed size of the files it has opened
+const createByteProgress = () => ({ compressed: 0, uncompressed: 0, compressedTotal: 0 });
+
+// Byte counters of a progress tracker, added to trackers created before a job reads its first file
+const byteProgressOf = (progressTracker) => {
+    if (!progressTracker.bytes) {
+        progressTracker.bytes = createByteProgress();
+    }
+    return progressTracker.bytes;
+};
+
 // Separate progress trackers for each process
 const importProgressTracker = {
+    processId: null,
     currentFile: null,
     processed: 0,
     total: 0,
     upserted: 0,
     modified: 0,
+    bytes: createByteProgress(),
     errors: [],
     isComplete: false,
     isRunning: false
@@ -38,6 +93,42 @@ const blacklistProgressStore = new Map();
 // Store for phone progress trackers
 const phoneProgressStore = new Map();
 
+// Running jobs with the AbortController used to cancel them and a promise settled when they stop
+const activeJobs = new Map();
+
+// Register a running job and return the signal its pipeline checks between records
+const registerJob = (processId) => {
+    const controller = new AbortController();
+    let markFinished;
+    const finished = new Promise(resolve => { markFinished = resolve; });
+    activeJobs.set(processId, { controller, finished, markFinished });
+    return controller.signal;
+};
+
+const unregisterJob = (processId) => {
+    const job = activeJobs.get(processId);
+    if (job) {
+        job.markFinished();
+        activeJobs.delete(processId);
+    }
+};
+
+// Ask a running job to stop and wait for it to finish its current batch.
+// Returns null when the job is not running in this process, otherwise whether it stopped within waitMs.
+const cancelJob = async (processId, waitMs = 30000) => {
+    const job = activeJobs.get(processId);
+    if (!job) return null;
+
+    socialScrapeLogger.info(`Cancellation requested for job ${processId}`);
+    job.controller.abort();
+
+    let timer;
+    const timedOut = new Promise(resolve => { timer = setTimeout(() => resolve(false), waitMs); });
+    const stopped = await Promise.race([job.finished.then(() => true), timedOut]);
+    clearTimeout(timer);
+    return stopped;
+};
+
 // Utility Functions
 const ensureImportDirectory = async () => {
     try {
@@ -48,12 +139,15 @@ const ensureImportDirectory = async () => {
     }
 };
 
-const resetImportProgress = () => {
+// Counters can be seeded from a checkpoint when a job is resumed
+const resetImportProgress = (processId = null, counters = {}) => {
+    importProgressTracker.processId = processId;
     importProgressTracker.currentFile = null;
-    importProgressTracker.processed = 0;
+    importProgressTracker.processed = counters.processed || 0;
     importProgressTracker.total = 0;
-    importProgressTracker.upserted = 0;
-    importProgressTracker.modified = 0;
+    importProgressTracker.upserted = counters.upserted || 0;
+    importProgressTracker.modified = counters.modified || 0;
+    importProgressTracker.bytes = createByteProgress();
     importProgressTracker.errors = [];
     importProgressTracker.isComplete = false;
     importProgressTracker.isRunning = false;
@@ -65,6 +159,16 @@ const setImportRunning = (running) => {
     socialScrapeLogger.info(`Set import running status to: ${running}`);
 };
 
+// Mark the import as running unless one already is. Checking and setting the flag in one synchronous step
+// keeps two launches from both passing the check while they prepare. Returns false when one is running.
+const claimImportRun = () => {
+    if (importProgressTracker.isRunning && !importProgressTracker.isComplete) return false;
+    importProgressTracker.isRunning = true;
+    importProgressTracker.isComplete = false;
+    socialScrapeLogger.info('Claimed the import running status');
+    return true;
+};
+
 const moveCompletedFile = async (filePath) => {
     try {
         const filename = path.basename(filePath);
@@ -97,15 +201,16 @@ const ensureIndexes = async () => {
 };
 
 // Process batches in parallel with memory management
-const processBatchesInParallel = async (batches, filename, processed) => {
+const processBatchesInParallel = async (batches, filename, processed, mergePolicy = resolveMergePolicy()) => {
     try {
         // Process batches sequentially to avoid memory pressure
-        let results = { upserted: 0, modified: 0 };
+        let results = { upserted: 0, modified: 0, created: [] };
 
         for (const batch of batches) {
-            const result = await insertBatch(batch, filename, processed, null);
+            const result = await insertBatch(batch, filename, processed, null, mergePolicy);
             results.upserted += result.upserted;
             results.modified += result.modified;
+            results.created.push(...result.created);
 
             // Add a small delay between batches to allow memory cleanup
             await new Promise(resolve => setTimeout(resolve, 100));
@@ -118,11 +223,16 @@ const processBatchesInParallel = async (batches, filename, processed) => {
     }
 };
 
-const insertBatch = async (batch, filename, processed, total) => {
-    try {
-        // Group records by URL + date combination to handle duplicates properly
-        const urlDateGroups = new Map();
+// Rows of one URL+date are merged under the import's merge policy, and then merged into the stored document
+// under the same policy, so rows of the same URL+date in earlier batches or files are not overwritten.
+// created lists the { url, date } the write inserted, which did not exist before it.
+const insertBatch = async (batch, filename, processed, total, mergePolicy = resolveMergePolicy()) => {
+    // Group records by URL + date combination to handle duplicates properly
+    const urlDateGroups = new Map();
+    // Phone numbers of the written records, added to the phone index
+    const phoneEntries = [];
 
+    try {
         for (const doc of batch) {
             const key = `${doc.url}_${doc.date.toISOString().split('T')[0]}`; // Use date without time for grouping
             if (!urlDateGroups.has(key)) {
@@ -135,12 +245,15 @@ const insertBatch = async (batch, filename, processed, total) => {
         const operations = [];
         for (const [key, docs] of urlDateGroups) {
             // Merge all records for the same URL + date combination
-            const mergedDoc = mergeRecordsForSameUrlDate(docs);
+            const mergedDoc = castRecord(mergeRecords(docs, mergePolicy));
+            if (mergedDoc.phone?.length > 0) {
+                phoneEntries.push({ url: mergedDoc.url, date: mergedDoc.date, phones: mergedDoc.phone });
+            }
 
             operations.push({
                 updateOne: {
                     filter: { url: mergedDoc.url, date: mergedDoc.date },
-                    update: { $set: mergedDoc },
+                    update: buildMergeUpdate(mergedDoc, mergePolicy),
                     upsert: true
                 }
             });
@@ -157,14 +270,18 @@ const insertBatch = async (batch, filename, processed, total) => {
 
         socialScrapeLogger.info(`Batch insert result - Upserted: ${result.upsertedCount}, Modified: ${result.modifiedCount}`);
 
+        await PhoneIndexService.recordPhones(phoneEntries);
+
         importProgressTracker.upserted += result.upsertedCount;
         importProgressTracker.modified += result.modifiedCount;
         importProgressTracker.processed = processed;
+        importEventEmitter.emit('progress', { ...importProgressTracker });
 
         return {
             success: true,
             upserted: result.upsertedCount,
-            modified: result.modifiedCount
+            modified: result.modifiedCount,
+            created: Object.keys(result.upsertedIds || {}).map(index => operations[index].updateOne.filter)
         };
     } catch (error) {
         // Handle duplicate key errors gracefully
@@ -174,19 +291,26 @@ const insertBatch = async (batch, filename, processed, total) => {
             // Try to insert records one by one to handle duplicates
             let upserted = 0;
             let modified = 0;
+            const created = [];
 
             for (const [key, docs] of urlDateGroups) {
                 try {
-                    const mergedDoc = mergeRecordsForSameUrlDate(docs);
+                    const mergedDoc = castRecord(mergeRecords(docs, mergePolicy));
 
                     const result = await SocialScrape.updateOne(
                         { url: mergedDoc.url, date: mergedDoc.date },
-                        { $set: mergedDoc },
+                        buildMergeUpdate(mergedDoc, mergePolicy),
                         { upsert: true }
                     );
 
-                    if (result.upsertedCount > 0) upserted++;
+                    if (result.upsertedCount > 0) {
+                        upserted++;
+                        created.push({ url: mergedDoc.url, date: mergedDoc.date });
+                    }
                     if (result.modifiedCount > 0) modified++;
+                    if (mergedDoc.phone?.length > 0) {
+                        await PhoneIndexService.recordPhones([{ url: mergedDoc.url, date: mergedDoc.date, phones: mergedDoc.phone }]);
+                    }
 
                 } catch (individualError) {
                     socialScrapeLogger.warn(`Failed to insert URL+date combination ${key}: ${individualError.message}`);
@@ -200,11 +324,13 @@ const insertBatch = async (batch, filename, processed, total) => {
             importProgressTracker.upserted += upserted;
             importProgressTracker.modified += modified;
             importProgressTracker.processed = processed;
+            importEventEmitter.emit('progress', { ...importProgressTracker });
 
             return {
                 success: true,
                 upserted: upserted,
-                modified: modified
+                modified: modified,
+                created
             };
         }
 
@@ -218,90 +344,54 @@ const insertBatch = async (batch, filename, processed, total) => {
     }
 };
 
-// Helper function to merge multiple records for the same URL + date combination
-const mergeRecordsForSameUrlDate = (docs) => {
-    if (docs.length === 1) {
-        return docs[0];
+// Merge policy of an import with the defaults filled in. The blacklist state set by rules always takes the latest value.
+const resolveMergePolicy = (policy = {}) => ({
+    ...DEFAULT_MERGE_POLICY,
+    ...policy,
+    fields: { ...policy?.fields, ...Object.fromEntries(BLACKLIST_STATE_FIELDS.map(field => [field, 'last-wins'])) }
+});
+
+// Update pipelines are not cast by mongoose, so values are cast to the schema types here.
+// Fields the CODE registry writes outside the schema are kept as they are.
+const castRecord = (doc) => {
+    const cast = SocialScrape.castObject(doc);
+    for (const [field, value] of Object.entries(doc)) {
+        if (!SocialScrape.schema.path(field)) cast[field] = value;
     }
+    return cast;
+};
 
-    // Merge multiple records for the same URL + date
-    const mergedDoc = {
-        url: docs[0].url,
-        date: docs[0].date,
-        title: '',
-        twitter: '',
-        facebook: '',
-        instagram: '',
-        linkedin: '',
-        youtube: '',
-        pinterest: '',
-        email: '',
-        phone: [],
-        postcode: '',
-        statusCode: '',
-        redirect_url: '',
-        meta_description: ''
-    };
+// Cleaner implementations for the names a CODE mapping can pick
+const CLEANERS = {
+    text: (value) => cleanText(value),
+    socialUrl: (value) => cleanSocialUrl(value),
+    statusCode: (value) => cleanStatusCode(value),
+    phone: (value, url) => normalizePhone(value, url),
+    raw: (value) => value
+};
 
-    // Merge all fields from all records, taking the first non-empty value
-    for (const doc of docs) {
-        if (doc.title && !mergedDoc.title) mergedDoc.title = doc.title;
-        if (doc.twitter && !mergedDoc.twitter) mergedDoc.twitter = doc.twitter;
-        if (doc.facebook && !mergedDoc.facebook) mergedDoc.facebook = doc.facebook;
-        if (doc.instagram && !mergedDoc.instagram) mergedDoc.instagram = doc.instagram;
-        if (doc.linkedin && !mergedDoc.linkedin) mergedDoc.linkedin = doc.linkedin;
-        if (doc.youtube && !mergedDoc.youtube) mergedDoc.youtube = doc.youtube;
-        if (doc.pinterest && !mergedDoc.pinterest) mergedDoc.pinterest = doc.pinterest;
-        if (doc.email && !mergedDoc.email) mergedDoc.email = doc.email;
-        if (doc.postcode && !mergedDoc.postcode) mergedDoc.postcode = doc.postcode;
-        if (doc.statusCode && !mergedDoc.statusCode) mergedDoc.statusCode = doc.statusCode;
-        if (doc.redirect_url && !mergedDoc.redirect_url) mergedDoc.redirect_url = doc.redirect_url;
-        if (doc.meta_description && !mergedDoc.meta_description) mergedDoc.meta_description = doc.meta_description;
-
-        // Merge phone arrays
-        if (doc.phone && Array.isArray(doc.phone)) {
-            mergedDoc.phone = [...new Set([...mergedDoc.phone, ...doc.phone])];
-        }
+// Match a record's domain against the blacklist rules, flagging it as blacklisted for flag rules.
+// Records matching a drop rule are rejected by the caller.
+const checkBlacklistRules = (processedRecord) => {
+    const blacklistRule = BlacklistRuleService.matchDomain(processedRecord.url);
+    if (blacklistRule && blacklistRule.action !== 'drop') {
+        processedRecord.is_blacklisted = true;
+        processedRecord.blacklist_reason = BlacklistRuleService.describeRule(blacklistRule);
+        processedRecord.blacklisted_at = new Date();
     }
-
-    return mergedDoc;
+    return blacklistRule;
 };
 
+// Process a CSV record, returning either { record } or the { reason } it was rejected
 const processRecord = (record) => {
     try {
-        const trimUrl = (url) => {
-            if (!url) return '';
-            return url
-                .replace(/^(https?:\/\/)/i, '')
-                .replace(/^www\./i, '')
-                .replace(/^([^/]+).*?$/, '$1');
-        };
-
-
-
-        const cleanSocialUrl = (url) => {
-            if (!url) return '';
-            // Remove everything after ? in URLs
-            return url.replace(/^(https?:\/\/)/i, '')
-                .replace(/^www\./i, '').split('?')[0];
-        };
-
-        const cleanText = (text) => {
-            if (!text) return '';
-            // Remove control characters and extra spaces
-            return text.replace(/[\x00-\x1F\x7F-\x9F]/g, '')
-                .replace(/\s+/g, ' ')
-                .trim()
-                .substring(0, 400);
-        };
-
         // Get the URL from the first column
         const url = Object.values(record)[0];
 
         // Skip if URL is not a valid domain
         if (!isValidDomain(url)) {
             socialScrapeLogger.debug(`Skipping invalid domain: ${url}`);
-            return null;
+            return { reason: 'Invalid domain' };
         }
 
         // Skip records with error or no data
@@ -312,7 +402,7 @@ const processRecord = (record) => {
             );
             if (!hasOtherData) {
                 socialScrapeLogger.debug(`Skipping record with no data for URL: ${url}`);
-                return null;
+                return { reason: record.RESULT };
             }
         }
 
@@ -322,176 +412,613 @@ const processRecord = (record) => {
             date: new Date(record.DATE?.split('/').reverse().join('-')),
         };
 
-        switch (record.CODE) {
-            case '[TI]':
-                processedRecord.title = cleanText(record.RESULT);
-                break;
-            case '[SC]':
-            case '[ER]':
-                processedRecord.statusCode = record.RESULT;
-                break;
-            case '[PC]':
-                processedRecord.postcode = cleanText(record.RESULT);
-                break;
-            case '[EM]':
-                processedRecord.email = cleanText(record.RESULT);
-                break;
-            case '[TW]':
-                processedRecord.twitter = cleanSocialUrl(record.RESULT);
-                break;
-            case '[FB]':
-                processedRecord.facebook = cleanSocialUrl(record.RESULT);
-                break;
-            case '[LK]':
-                processedRecord.linkedin = cleanSocialUrl(record.RESULT);
-                break;
-            case '[PT]':
-                processedRecord.pinterest = cleanSocialUrl(record.RESULT);
-                break;
-            case '[YT]':
-                processedRecord.youtube = cleanSocialUrl(record.RESULT);
-                break;
-            case '[IS]':
-                processedRecord.instagram = cleanSocialUrl(record.RESULT);
-                break;
-            case '[RD]':
-                processedRecord.redirect_url = cleanSocialUrl(record.RESULT);
-                break;
-            case '[MD]':
-                processedRecord.meta_description = cleanText(record.RESULT);
-                break;
+        // An unparseable date would break the URL+date key in insertBatch
+        if (isNaN(processedRecord.date.getTime())) {
+            socialScrapeLogger.debug(`Skipping record with invalid date "${record.DATE}" for URL: ${url}`);
+            return { reason: 'Invalid date' };
+        }
+
+        // Domains matching a blacklist rule are either dropped or imported as blacklisted
+        const blacklistRule = checkBlacklistRules(processedRecord);
+        if (blacklistRule?.action === 'drop') {
+            return { reason: `Blacklisted: ${BlacklistRuleService.describeRule(blacklistRule)}`, blacklistRule };
+        }
+
+        // Map the RESULT onto a field using the CODE registry
+        const mapping = CodeMappingService.getMapping(record.CODE);
+        if (mapping) {
+            const value = CLEANERS[mapping.cleaner](record.RESULT, processedRecord.url);
+            if (mapping.isArray) {
+                if (value) processedRecord[mapping.field] = [value];
+            } else {
+                processedRecord[mapping.field] = value;
+            }
         }
 
         // socialScrapeLogger.debug(`Processed record for URL: ${processedRecord.url}`);
-        return processedRecord;
+        return { record: processedRecord, unknownCode: !mapping, blacklistRule };
     } catch (error) {
         socialScrapeLogger.error(`Error processing record: ${error.message}`);
         socialScrapeLogger.error(`Record data: ${JSON.stringify(record)}`);
-        return null;
+        return { reason: `Processing error: ${error.message}` };
+    }
+};
+
+// Date of a snapshot with named fields: DD/MM/YYYY like the CSV files, an ISO string or epoch milliseconds.
+// The time of day is dropped so a domain keeps one snapshot per day, as with the CSV import.
+const parseSnapshotDate = (value) => {
+    if (typeof value !== 'string' && typeof value !== 'number') return null;
+
+    const date = typeof value === 'string' && /^\d{1,2}\/\d{1,2}\/\d{4}$/.test(value.trim())
+        ? new Date(value.trim().split('/').reverse().map(part => part.padStart(2, '0')).join('-'))
+        : new Date(value);
+    if (isNaN(date.getTime())) return null;
+
+    date.setUTCHours(0, 0, 0, 0);
+    return date;
+};
+
+// Clean one field of a snapshot with the cleaner of the CODE mapping writing that field.
+// Returns undefined for values of the wrong type.
+const cleanSnapshotField = (field, value, url) => {
+    const mapping = CodeMappingService.getFieldMapping(field);
+    const cleaner = CLEANERS[mapping?.cleaner || FIELD_DEFAULT_CLEANERS[field] || 'text'];
+    const isScalar = (item) => typeof item === 'string' || typeof item === 'number' || typeof item === 'boolean';
+
+    if (SocialScrape.schema.path(field).instance !== 'Array') {
+        return isScalar(value) ? cleaner(String(value), url) : undefined;
+    }
+
+    const values = Array.isArray(value) ? value : [value];
+    if (!values.every(isScalar)) return undefined;
+
+    const cleaned = values.map(item => cleaner(String(item), url)).filter(Boolean);
+    return field === 'phone' ? mergePhones(cleaned) : [...new Set(cleaned)];
+};
+
+// Process a snapshot given by field name (an NDJSON object or a mapped wide CSV row), returning either
+// { record } or the { reason } it was rejected. Objects may only hold the url, the date and the fields
+// of the SocialScrape schema the importers write.
+const processSnapshotRecord = (object) => {
+    try {
+        const unknownFields = Object.keys(object).filter(field => !SNAPSHOT_FIELDS.includes(field));
+        if (unknownFields.length > 0) {
+            return { reason: `Unknown fields: ${unknownFields.join(', ')}` };
+        }
+
+        const url = typeof object.url === 'string' ? trimUrl(object.url.trim()) : '';
+        if (!isValidDomain(url)) {
+            socialScrapeLogger.debug(`Skipping invalid domain: ${object.url}`);
+            return { reason: 'Invalid domain' };
+        }
+
+        const processedRecord = { url, date: parseSnapshotDate(object.date) };
+        if (!processedRecord.date) {
+            socialScrapeLogger.debug(`Skipping record with invalid date "${object.date}" for URL: ${url}`);
+            return { reason: 'Invalid date' };
+        }
+
+        for (const [field, value] of Object.entries(object)) {
+            if (field === 'url' || field === 'date' || value === null || value === '') continue;
+
+            const cleaned = cleanSnapshotField(field, value, url);
+            if (cleaned === undefined) {
+                return { reason: `Invalid value for field ${field}` };
+            }
+            if (cleaned !== null && !(Array.isArray(cleaned) && cleaned.length === 0)) {
+                processedRecord[field] = cleaned;
+            }
+        }
+
+        // Domains matching a blacklist rule are either dropped or imported as blacklisted
+        const blacklistRule = checkBlacklistRules(processedRecord);
+        if (blacklistRule?.action === 'drop') {
+            return { reason: `Blacklisted: ${BlacklistRuleService.describeRule(blacklistRule)}`, blacklistRule };
+        }
+
+        return { record: processedRecord, blacklistRule };
+    } catch (error) {
+        socialScrapeLogger.error(`Error processing snapshot record: ${error.message}`);
+        socialScrapeLogger.error(`Record data: ${JSON.stringify(object)}`);
+        return { reason: `Processing error: ${error.message}` };
+    }
+};
+
+// Dry-run report for one import file
+const createDryRunReport = (filename) => ({
+    file: filename,
+    rows: 0,
+    accepted: 0,
+    codes: {},
+    unknownCodes: {},
+    invalidDomains: 0,
+    invalidDates: 0,
+    noData: 0,
+    blacklistFlagged: 0,
+    blacklistDropped: 0,
+    otherRejected: 0,
+    malformedLines: 0,
+    samples: { invalidDomains: [], invalidDates: [] },
+    keys: { total: 0, wouldInsert: 0, wouldUpdate: 0 }
+});
+
+// Count one evaluated row into a dry-run report
+const addToDryRunReport = (report, record, result) => {
+    const code = record.CODE || '(empty)';
+    report.rows++;
+    report.codes[code] = (report.codes[code] || 0) + 1;
+
+    if (result.record) {
+        report.accepted++;
+        if (result.unknownCode) {
+            report.unknownCodes[code] = (report.unknownCodes[code] || 0) + 1;
+        }
+        if (result.blacklistRule) {
+            report.blacklistFlagged++;
+        }
+        return;
+    }
+
+    if (result.blacklistRule) {
+        report.blacklistDropped++;
+        return;
+    }
+
+    if (result.reason === 'Invalid domain') {
+        report.invalidDomains++;
+        if (report.samples.invalidDomains.length < MAX_REPORT_SAMPLES) {
+            report.samples.invalidDomains.push(Object.values(record)[0]);
+        }
+    } else if (result.reason === 'Invalid date') {
+        report.invalidDates++;
+        if (report.samples.invalidDates.length < MAX_REPORT_SAMPLES) {
+            report.samples.invalidDates.push(record.DATE);
+        }
+    } else if (result.reason === 'Fetch error or no data found' || result.reason === 'not required') {
+        report.noData++;
+    } else {
+        report.otherRejected++;
     }
 };
 
-const processFile = async (filePath) => {
-    const filename = path.basename(filePath);
+// Combine the per-file dry-run reports into totals for the whole job
+const summarizeDryRunReports = (reports) => {
+    const totals = createDryRunReport(null);
+    delete totals.file;
+    delete totals.samples;
+
+    const addCounts = (target, source) => {
+        for (const [key, count] of Object.entries(source)) {
+            target[key] = (target[key] || 0) + count;
+        }
+    };
+
+    for (const report of reports) {
+        for (const field of ['rows', 'accepted', 'invalidDomains', 'invalidDates', 'noData', 'blacklistFlagged', 'blacklistDropped', 'otherRejected', 'malformedLines']) {
+            totals[field] += report[field];
+        }
+        addCounts(totals.codes, report.codes);
+        addCounts(totals.unknownCodes, report.unknownCodes);
+        addCounts(totals.keys, report.keys);
+    }
+
+    return { totals, files: reports };
+};
+
+// Work out which URL+date keys of a batch already exist, without writing anything
+const analyzeBatch = async (batch, report, seenKeys) => {
+    const newKeys = new Map();
+    for (const doc of batch) {
+        const key = `${doc.url}_${doc.date.toISOString()}`;
+        if (!seenKeys.has(key) && !newKeys.has(key)) {
+            newKeys.set(key, doc.url);
+        }
+    }
+    if (newKeys.size === 0) return;
+
+    const urls = [...new Set(newKeys.values())];
+    const existing = await SocialScrape.find({ url: { $in: urls } }, { url: 1, date: 1 }).lean();
+    const existingKeys = new Set(existing.map(doc => `${doc.url}_${doc.date.toISOString()}`));
+
+    for (const key of newKeys.keys()) {
+        seenKeys.add(key);
+        report.keys.total++;
+        if (existingKeys.has(key)) {
+            report.keys.wouldUpdate++;
+        } else {
+            report.keys.wouldInsert++;
+        }
+    }
+};
+
+// Save how far into a file the import has committed, together with the job's running totals
+const saveImportCheckpoint = async (filename, checkpoint) => {
+    await ImportJobService.saveCheckpoint(importProgressTracker.processId, {
+        file: filename,
+        ...checkpoint,
+        processed: importProgressTracker.processed,
+        upserted: importProgressTracker.upserted,
+        modified: importProgressTracker.modified
+    });
+};
+
+// Rows of a CSV import file as { record, line }. Lines the parser cannot read are passed on as
+// { malformed } in the order they were met, laid out under the file's header for the quarantine file.
+const readCsvRows = async function* (fileStream, headerColumns) {
+    const malformed = [];
+
+    const parser = csv.parse({
+        columns: true,
+        bom: true,
+        skip_empty_lines: true,
+        relax_column_count: true,
+        relax_quotes: true, // Be more flexible with quotes
+        skip_records_with_error: true, // Skip records with parsing errors
+        info: true, // Line numbers of each record, stored with checkpoints
+        raw: true, // Original text of skipped records, written to the quarantine file
+        highWaterMark: 1024 * 1024 // 1MB chunks
+    });
+
+    // The skip event cannot wait for a write, so these are passed on from the read loop
+    parser.on('skip', (error) => {
+        const raw = (error.raw || '').trim();
+        malformed.push({
+            malformed: {
+                row: Object.fromEntries(headerColumns.map((column, index) => [column, index === 0 ? raw : ''])),
+                reason: `Malformed CSV line: ${error.message}`,
+                message: `CSV parsing error (continuing with valid lines): ${error.message}`,
+                line: error.lines
+            }
+        });
+    });
+
+    fileStream.on('error', (error) => parser.destroy(error));
+    fileStream.pipe(parser);
+
+    try {
+        for await (const { record, info } of parser) {
+            yield* malformed.splice(0);
+            yield { record, line: info.lines };
+        }
+        yield* malformed.splice(0);
+    } finally {
+        parser.destroy();
+    }
+};
+
+// Rows of an NDJSON import file as { record, line, raw }, one JSON object per line.
+// Lines that are not a JSON object are passed on as { malformed }.
+const readNdjsonRows = async function* (fileStream) {
+    const decoder = new StringDecoder('utf8');
+    let buffered = '';
+    let line = 0;
+
+    const toRow = (text) => {
+        line++;
+        const raw = (line === 1 ? text.replace(/^\uFEFF/, '') : text).trim();
+        if (!raw) return null;
+
+        let record;
+        try {
+            record = JSON.parse(raw);
+        } catch (error) {
+            return { malformed: { row: [raw], reason: `Malformed JSON line: ${error.message}`, message: `JSON parsing error (continuing with valid lines): ${error.message}`, line } };
+        }
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return { malformed: { row: [raw], reason: 'Malformed JSON line: not an object', message: 'JSON parsing error (continuing with valid lines): not an object', line } };
+        }
+        return { record, line, raw };
+    };
+
+    for await (const chunk of fileStream) {
+        buffered += decoder.write(chunk);
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        for (const text of lines) {
+            const row = toRow(text);
+            if (row) yield row;
+        }
+    }
+
+    const row = toRow(buffered + decoder.end());
+    if (row) yield row;
+};
+
+// Add the domains of written records a blacklist rule flagged to the blacklist history
+const recordRuleFlags = async (records, filename) => {
+    const flags = records
+        .filter(record => record.is_blacklisted && record.blacklist_reason)
+        .map(({ url, blacklist_reason }) => ({ url, reason: blacklist_reason }));
+    if (flags.length > 0) {
+        await BlacklistService.recordRuleFlags(flags, { processId: importProgressTracker.processId, sourceFile: filename });
+    }
+};
+
+// Import the rows of one file given by readRows, each turned into a record by processRow.
+// Records of the same URL+date are combined under mergePolicy, see utils/mergePolicy.
+// In a dry run every row is parsed and checked against the database, but nothing is written or archived.
+// Rejected rows are written to the job's quarantine file when one is given.
+// Written batches are added to the job's change report when one is given, see ChangeReport.service.
+// Domains flagged by blacklist rules are added to the blacklist history once written.
+// When the signal is aborted the current batch is finished, the rest is dropped and the file stays in place.
+const importFile = async (filePath, readRows, processRow, { resumeFrom = null, dryRun = false, quarantine = null, signal = null, mergePolicy = null, changeReport = null } = {}) => {
+    const filename = inputName(filePath);
+    const policy = resolveMergePolicy(mergePolicy);
     let processed = 0;
     let batches = [];
     let currentBatch = [];
 
+    let skippedLines = resumeFrom?.skippedLines || 0;
+    let recordsRead = 0;
+    let lastLine = 0;
+    let batchesSinceCheckpoint = 0;
+    const skipRecords = resumeFrom?.records || 0;
+    const skipLines = resumeFrom?.line || 0;
 
-    let skippedLines = 0;
+    // Position and counts as of the last batch written to the database
+    let committed = { records: skipRecords, line: skipLines, skippedLines, processed: 0 };
 
-    // Reset progress for new file
+    const report = dryRun ? createDryRunReport(filename) : null;
+    const seenKeys = dryRun ? new Set() : null;
+
+    // Counters accumulate across the files of one job (they are reset by resetImportProgress)
+    const processedBefore = importProgressTracker.processed;
     importProgressTracker.currentFile = filename;
-    importProgressTracker.processed = 0;
-    importProgressTracker.total = 0;
-    importProgressTracker.upserted = 0;
-    importProgressTracker.modified = 0;
-    importProgressTracker.errors = [];
     importProgressTracker.isComplete = false;
 
+    if (skipRecords > 0) {
+        socialScrapeLogger.info(`Resuming ${filename} after ${skipRecords} committed records (line ${resumeFrom.line})`);
+    }
+
     // Ensure indexes exist
     // await ensureIndexes();
 
-    return new Promise((resolve, reject) => {
-        const parser = csv.parse({
-            columns: true,
-            skip_empty_lines: true,
-            relax_column_count: true,
-            relax_quotes: true, // Be more flexible with quotes
-            // skip_records_with_error: true, // Skip records with parsing errors
-            highWaterMark: 1024 * 1024 // 1MB chunks
-        });
+    // Gzipped files and zip entries are decompressed as they are read
+    const fileStream = await openInputStream(filePath, { bytes: importProgressTracker.bytes });
 
-        parser.on('readable', async () => {
-            let record;
-            while ((record = parser.read()) !== null) {
-                try {
-                    const processedRecord = processRecord(record);
-                    if (processedRecord) {
-                        currentBatch.push(processedRecord);
-                        processed++;
-                        importProgressTracker.processed = processed;
-
-                        // Process in batches when we have enough records
-                        if (currentBatch.length >= BATCH_SIZE) {
-                            batches.push([...currentBatch]);
-                            currentBatch = [];
-                            // Process batches when we have enough
-                            if (batches.length >= PARALLEL_BATCHES) {
-                                const results = await processBatchesInParallel(batches, filename, processed);
-                                batches = [];
-
-                                // Add a small delay to allow memory cleanup
-                                await new Promise(resolve => setTimeout(resolve, 100));
-                            }
-                        }
-                    }
-                } catch (error) {
-                    skippedLines++;
-                    // console the exact line that is causing the error with the line number and data could be read from the parser.read()
-                    const line = parser.read();
-                    // log these using logger.warn
-                    socialScrapeLogger.error(`Skipping malformed line: ${error.message} at line: ${line}`);
+    // Records are pulled one at a time, so the reader waits while a batch is being written
+    for await (const row of readRows(fileStream)) {
+        if (signal?.aborted) {
+            break;
+        }
 
+        // Lines before the checkpoint were already counted and quarantined by the run this one resumes
+        if (row.malformed) {
+            const { row: rawRow, reason, message, line } = row.malformed;
+            if (line <= skipLines) continue;
 
+            // For parsing errors, log but don't stop the entire process
+            socialScrapeLogger.warn(`Error in ${filename}: ${message}`);
+            skippedLines++;
+            if (report) report.malformedLines++;
+            importProgressTracker.errors.push({
+                filename,
+                error: message
+            });
+            if (quarantine) {
+                await quarantine.write(rawRow, reason, { file: filename, line });
+            }
+            continue;
+        }
 
-                    // Add to errors but don't stop the process
-                    importProgressTracker.errors.push({
-                        filename,
-                        error: `Skipped malformed line: ${error.message}`
-                    });
-                }
+        recordsRead++;
+        lastLine = row.line;
+
+        // Already committed by the run this one resumes
+        if (recordsRead <= skipRecords) {
+            continue;
+        }
+
+        const { result, reportRow, quarantineRow } = processRow(row);
+        if (report) {
+            addToDryRunReport(report, reportRow, result);
+        }
+        if (!result.record) {
+            if (quarantine) {
+                await quarantine.write(quarantineRow, result.reason, { file: filename, line: row.line });
             }
-        });
+            continue;
+        }
 
-        parser.on('end', async () => {
-            try {
-                // Process remaining records
-                if (currentBatch.length > 0) {
-                    batches.push([...currentBatch]);
-                }
-                if (batches.length > 0) {
-                    await processBatchesInParallel(batches, filename, processed);
-                }
+        currentBatch.push(result.record);
+        processed++;
+        importProgressTracker.processed = processedBefore + processed;
 
-                // Log summary of skipped lines
-                if (skippedLines > 0) {
-                    socialScrapeLogger.info(`Completed processing ${filename}. Processed: ${processed}, Skipped: ${skippedLines} malformed lines`);
-                    importProgressTracker.errors.push({
-                        filename,
-                        error: `Skipped ${skippedLines} malformed lines during processing`
-                    });
+        if (dryRun) {
+            if (currentBatch.length >= BATCH_SIZE) {
+                await analyzeBatch(currentBatch, report, seenKeys);
+                currentBatch = [];
+            }
+            continue;
+        }
+
+        // Process in batches when we have enough records
+        if (currentBatch.length >= BATCH_SIZE) {
+            batches.push(currentBatch);
+            currentBatch = [];
+
+            // Process batches when we have enough
+            if (batches.length >= PARALLEL_BATCHES) {
+                const { created } = await processBatchesInParallel(batches, filename, processedBefore + processed, policy);
+                await recordRuleFlags(batches.flat(), filename);
+                if (changeReport) {
+                    await changeReport.record(batches.flat(), { created, file: filename });
+                }
+                batchesSinceCheckpoint += batches.length;
+                batches = [];
+                committed = { records: recordsRead, line: lastLine, skippedLines, processed };
+
+                // Every record read so far is now either written or rejected
+                if (batchesSinceCheckpoint >= CHECKPOINT_INTERVAL) {
+                    await saveImportCheckpoint(filename, { records: recordsRead, line: lastLine, skippedLines });
+                    batchesSinceCheckpoint = 0;
                 }
 
-                await moveCompletedFile(filePath);
-                importProgressTracker.isComplete = true;
-                resolve({ filename, processed });
-            } catch (error) {
-                reject(error);
+                // Add a small delay to allow memory cleanup
+                await new Promise(resolve => setTimeout(resolve, 100));
             }
-        });
+        }
+    }
 
-        parser.on('error', (error) => {
-            // For CSV parsing errors, log but don't stop the entire process
-            const errorMessage = `CSV parsing error (continuing with valid lines): ${error.message}`;
-            socialScrapeLogger.warn(`Error in ${filename}: ${errorMessage}`);
+    fileStream.destroy();
 
-            skippedLines++;
-            importProgressTracker.errors.push({
-                filename,
-                error: errorMessage
-            });
+    if (signal?.aborted) {
+        // Rows read after the last written batch are dropped, so the counts and checkpoint stop right after it
+        importProgressTracker.processed = processedBefore + committed.processed;
+        if (!dryRun) {
+            await saveImportCheckpoint(filename, { records: committed.records, line: committed.line, skippedLines: committed.skippedLines });
+        }
+        socialScrapeLogger.info(`Cancelled ${filename} after ${committed.records} committed records (line ${committed.line}), file left in place`);
+        return { filename, processed: committed.processed, cancelled: true, report };
+    }
+
+    if (dryRun) {
+        if (currentBatch.length > 0) {
+            await analyzeBatch(currentBatch, report, seenKeys);
+        }
+        socialScrapeLogger.info(`Dry run of ${filename}: ${report.rows} rows, ${report.accepted} accepted, ${report.keys.wouldInsert} new and ${report.keys.wouldUpdate} existing URL+date keys`);
+        importProgressTracker.isComplete = true;
+        return { filename, processed, report };
+    }
 
-            // Don't reject the promise, let it continue processing
-            // The parser will skip the problematic line and continue
+    // Process remaining records
+    if (currentBatch.length > 0) {
+        batches.push(currentBatch);
+    }
+    if (batches.length > 0) {
+        const { created } = await processBatchesInParallel(batches, filename, processedBefore + processed, policy);
+        await recordRuleFlags(batches.flat(), filename);
+        if (changeReport) {
+            await changeReport.record(batches.flat(), { created, file: filename });
+        }
+    }
+
+    // Log summary of skipped lines
+    if (skippedLines > 0) {
+        socialScrapeLogger.info(`Completed processing ${filename}. Processed: ${processed}, Skipped: ${skippedLines} malformed lines`);
+        importProgressTracker.errors.push({
+            filename,
+            error: `Skipped ${skippedLines} malformed lines during processing`
         });
+    }
 
-        // Use streams with smaller chunks for better memory management
-        fs.createReadStream(filePath, { highWaterMark: 1024 * 1024 }) // 1MB chunks
-            .pipe(parser);
-    });
+    await saveImportCheckpoint(filename, { records: recordsRead, line: lastLine, skippedLines, completed: true });
+    await completeInput(filePath, moveCompletedFile, PIPELINE_FORMATS.import);
+    importProgressTracker.isComplete = true;
+    return { filename, processed };
+};
+
+// Import a long-format CSV file (URL, CODE, RESULT, DATE), one field of one snapshot per row
+const processFile = async (filePath, options = {}) => {
+    // Header of this file, used to lay out malformed lines in the quarantine file
+    const headerColumns = parseCsvSync(await readFirstLine(filePath), { relax_quotes: true, relax_column_count: true })[0] || [];
+
+    return importFile(
+        filePath,
+        (fileStream) => readCsvRows(fileStream, headerColumns),
+        ({ record }) => ({ result: processRecord(record), reportRow: record, quarantineRow: record }),
+        options
+    );
+};
+
+// Import an NDJSON file, one snapshot of one domain with all its fields per line.
+// Takes the same options and upserts by URL+date like processFile.
+const processNdjsonFile = async (filePath, options = {}) => {
+    return importFile(
+        filePath,
+        readNdjsonRows,
+        ({ record, raw }) => ({
+            result: processSnapshotRecord(record),
+            // Dry-run reports count NDJSON rows under a code of their own
+            reportRow: { URL: record.url, CODE: NDJSON_REPORT_CODE, DATE: record.date },
+            quarantineRow: [raw]
+        }),
+        options
+    );
+};
+
+// Columns of a wide-format CSV each column of an import profile is read from, matched by header
+// regardless of case and surrounding spaces. Profile columns the file does not have are returned as missing.
+const matchProfileColumns = (profile, headerColumns) => {
+    const columns = [];
+    const missing = [];
+    for (const { header, field } of profile.columns) {
+        const key = headerColumns.find(column => column.trim().toLowerCase() === header.trim().toLowerCase());
+        if (key === undefined) {
+            missing.push({ header, field });
+        } else {
+            columns.push({ key, field });
+        }
+    }
+    return { columns, missing };
+};
+
+// Turn a wide-format CSV row into a snapshot object for processSnapshotRecord.
+// Columns mapped to an array field (phone1, phone2 -> phone) are collected into it, for other fields the first non-empty column wins.
+const toSnapshotObject = (record, columns) => {
+    const object = {};
+    for (const { key, field } of columns) {
+        const value = (record[key] || '').trim();
+        if (!value) continue;
+
+        if (SocialScrape.schema.path(field).instance === 'Array') {
+            object[field] = [...(object[field] || []), value];
+        } else if (object[field] === undefined) {
+            object[field] = value;
+        }
+    }
+    return object;
+};
+
+// Import a wide-format CSV file, one snapshot of one domain per row, with its columns mapped by an import profile.
+// Takes the same options and upserts by URL+date like processFile.
+const processWideFile = async (filePath, profile, options = {}) => {
+    const headerColumns = parseCsvSync(await readFirstLine(filePath), { relax_quotes: true, relax_column_count: true })[0] || [];
+    const { columns, missing } = matchProfileColumns(profile, headerColumns);
+
+    const missingKeys = missing.filter(({ field }) => field === 'url' || field === 'date');
+    if (missingKeys.length > 0) {
+        throw new Error(`${inputName(filePath)} has no ${missingKeys.map(({ header }) => header).join(', ')} column required by import profile ${profile.name}`);
+    }
+    if (missing.length > 0) {
+        socialScrapeLogger.warn(`${inputName(filePath)} has no ${missing.map(({ header }) => header).join(', ')} column(s) of import profile ${profile.name}, importing without them`);
+    }
+
+    // Without a date column every row is a snapshot of the day of the import
+    const importDate = columns.some(({ field }) => field === 'date') ? undefined : new Date().toISOString();
+
+    return importFile(
+        filePath,
+        (fileStream) => readCsvRows(fileStream, headerColumns),
+        ({ record }) => {
+            const object = toSnapshotObject(record, columns);
+            if (importDate) object.date = importDate;
+            return {
+                result: processSnapshotRecord(object),
+                // Dry-run reports count the rows of a profile under a code of their own
+                reportRow: { URL: object.url, CODE: `(profile ${profile.name})`, DATE: object.date },
+                quarantineRow: record
+            };
+        },
+        options
+    );
+};
+
+// Import one file of the import directory with the reader of its format.
+// CSV files are read as wide-format files when an import profile is given.
+const processImportFile = async (filePath, { profile = null, ...options } = {}) => {
+    if (resolveInput(filePath).format === 'ndjson') {
+        return processNdjsonFile(filePath, options);
+    }
+    return profile ? processWideFile(filePath, profile, options) : processFile(filePath, options);
 };
 
+// Zip bundles that cannot be read are left out of the listing
+const logUnreadableBundle = (filename, error) => {
+    socialScrapeLogger.error(`Unable to read zip bundle ${filename}: ${error.message}`);
+};
+
+// Files and zip bundle entries waiting in a pipeline directory, see listInputFiles
 const getImportFiles = async (isBlackList = false) => {
     try {
         await ensureImportDirectory();
@@ -503,13 +1030,10 @@ const getImportFiles = async (isBlackList = false) => {
         }
 
         if (isBlackList) {
-            const files = await fs.promises.readdir(BLACKLIST_DIR);
-            return files.filter(file => file.endsWith('.csv'));
-
+            return await listInputFiles(BLACKLIST_DIR, logUnreadableBundle, PIPELINE_FORMATS.blacklist);
         }
         else {
-            const files = await fs.promises.readdir(IMPORT_DIR);
-            return files.filter(file => file.endsWith('.csv'));
+            return await listInputFiles(IMPORT_DIR, logUnreadableBundle, PIPELINE_FORMATS.import);
         }
 
     } catch (error) {
@@ -521,8 +1045,7 @@ const getImportFiles = async (isBlackList = false) => {
 const getBlacklistFiles = async () => {
     try {
         await ensureImportDirectory();
-        const files = await fs.promises.readdir(BLACKLIST_DIR);
-        return files.filter(file => file.endsWith('.csv'));
+        return await listInputFiles(BLACKLIST_DIR, logUnreadableBundle, PIPELINE_FORMATS.blacklist);
     } catch (error) {
         socialScrapeLogger.error('Error reading blacklist directory:', error);
         throw new Error('Failed to read blacklist directory');
@@ -530,7 +1053,153 @@ const getBlacklistFiles = async () => {
 };
 
 
-const processBlacklistFile = async (filePath, urlColumn, processId) => {
+// Check whether a file with this name is already waiting in, or was already archived from, the upload directory
+const isDuplicateUpload = async (type, filename) => {
+    const dir = UPLOAD_DIRS[type];
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch(() => []);
+
+    for (const entry of entries) {
+        if (entry.isFile() && entry.name === filename) {
+            return true;
+        }
+        if (entry.isDirectory() && entry.name.startsWith('completed_')) {
+            const archived = await fs.promises.readdir(path.join(dir, entry.name)).catch(() => []);
+            if (archived.includes(filename)) {
+                return true;
+            }
+        }
+    }
+
+    return false;
+};
+
+// Validate the first row of an uploaded file (or zip entry) against the layout its pipeline expects
+const validateUploadHeader = async (type, input, { urlColumn = 1, profile = null } = {}) => {
+    const firstLine = await readFirstLine(input);
+    if (!firstLine.trim()) {
+        return 'File is empty';
+    }
+
+    // NDJSON imports have no header, the first object is checked instead
+    if (input.format === 'ndjson') {
+        let object;
+        try {
+            object = JSON.parse(firstLine);
+        } catch (error) {
+            return `Unable to parse first line as JSON: ${error.message}`;
+        }
+        if (!object || typeof object !== 'object' || Array.isArray(object) || !object.url || !object.date) {
+            return `Invalid first line, expected a JSON object with url and date but got: ${firstLine.substring(0, 200)}`;
+        }
+        return null;
+    }
+
+    let columns;
+    try {
+        [columns] = parseCsvSync(firstLine, { relax_quotes: true, relax_column_count: true });
+    } catch (error) {
+        return `Unable to parse first row: ${error.message}`;
+    }
+    columns = (columns || []).map(column => column.trim());
+
+    switch (type) {
+        case 'import': {
+            // Wide-format files need the url and date columns of their import profile
+            if (profile) {
+                const { missing } = matchProfileColumns(profile, columns);
+                const missingKeys = missing.filter(({ field }) => field === 'url' || field === 'date');
+                if (missingKeys.length > 0) {
+                    return `Invalid header row, import profile ${profile.name} needs the ${missingKeys.map(({ header }) => header).join(', ')} column(s) but got: ${firstLine.substring(0, 200)}`;
+                }
+                return null;
+            }
+
+            const header = columns.map(column => column.toUpperCase());
+            const missing = IMPORT_REQUIRED_COLUMNS.filter(column => !header.includes(column));
+            if (columns.length < 4 || missing.length > 0) {
+                return `Invalid header row, expected URL,${IMPORT_REQUIRED_COLUMNS.join(',')} but got: ${firstLine.substring(0, 200)}`;
+            }
+            return null;
+        }
+        case 'phone':
+            // Phone files have no header: url,code,phone_number,date
+            if (columns.length < 3 || !/^\[[A-Z]{2}\]$/.test(columns[1])) {
+                return `Invalid first row, expected url,[PN],phone_number,date but got: ${firstLine.substring(0, 200)}`;
+            }
+            return null;
+        case 'blacklist':
+            if (columns.length < urlColumn || !columns[urlColumn - 1]) {
+                return `Invalid first row, no URL found in column ${urlColumn}: ${firstLine.substring(0, 200)}`;
+            }
+            return null;
+        default:
+            return `Unknown upload type: ${type}`;
+    }
+};
+
+// Files an upload will be read as: the file itself, or each entry of a zip bundle in a format of the pipeline.
+// The format is taken from the original filename since the temporary path has its own extension.
+const getUploadInputs = async (type, tempPath, filename) => {
+    if (!filename.toLowerCase().endsWith('.zip')) {
+        return [{ ...resolveInput(filename), archivePath: tempPath }];
+    }
+    const entries = await listZipEntries(tempPath, PIPELINE_FORMATS[type]);
+    return entries.map(entryName => ({ archivePath: tempPath, entryName, gzip: false, format: inputFormat(entryName) }));
+};
+
+// Validate an upload written to a temporary path and move it into place under its original name
+const finalizeUpload = async (type, tempPath, filename, options = {}) => {
+    try {
+        let inputs;
+        try {
+            inputs = await getUploadInputs(type, tempPath, filename);
+            if (inputs.length === 0) {
+                return { filename, error: 'Zip file contains no files this pipeline can read' };
+            }
+
+            for (const input of inputs) {
+                const headerError = await validateUploadHeader(type, input, options);
+                if (headerError) {
+                    return { filename, error: input.entryName ? `${input.entryName}: ${headerError}` : headerError };
+                }
+            }
+        } catch (error) {
+            // Corrupt gzip streams and zip files
+            return { filename, error: `Unable to read file: ${error.message}` };
+        }
+
+        // Another request may have uploaded the same file while this one was streaming
+        if (await isDuplicateUpload(type, filename)) {
+            return { filename, error: 'A file with this name has already been uploaded' };
+        }
+
+        const finalPath = path.join(UPLOAD_DIRS[type], filename);
+        await fs.promises.rename(tempPath, finalPath);
+        const { size } = await fs.promises.stat(finalPath);
+
+        socialScrapeLogger.info(`Uploaded ${type} file ${filename} (${size} bytes)`);
+        return inputs[0].entryName ? { filename, size, entries: inputs.map(input => input.entryName) } : { filename, size };
+    } finally {
+        await fs.promises.unlink(tempPath).catch(() => {});
+    }
+};
+
+// Each row blacklists or unblacklists its domain. The action, reason and expiry date are taken from the given
+// columns when set (1-based, like urlColumn) and fall back to the values given for the whole run.
+// Stops between batches when the signal is aborted, leaving the file in place.
+const processBlacklistFile = async (filePath, urlColumn, processId, options = {}) => {
+    const {
+        quarantine = null,
+        signal = null,
+        actor = null,
+        action = 'blacklist',
+        reason = null,
+        expiresAt = null,
+        actionColumn = null,
+        reasonColumn = null,
+        expiresAtColumn = null
+    } = options;
+
     try {
         // Get or create progress tracker for this process
         let progressTracker = blacklistProgressStore.get(processId);
@@ -547,344 +1216,297 @@ const processBlacklistFile = async (filePath, urlColumn, processId) => {
             blacklistProgressStore.set(processId, progressTracker);
         }
 
-        // Reset progress for new file
-        progressTracker.currentFile = path.basename(filePath);
-        progressTracker.processed = 0;
-        progressTracker.total = 0;
-        progressTracker.upserted = 0;
-        progressTracker.modified = 0;
-        progressTracker.errors = [];
+        const filename = inputName(filePath);
+
+        // Counters accumulate across the files of one job
+        progressTracker.currentFile = filename;
         progressTracker.isComplete = false;
+        progressTracker.total += await countLines(filePath);
 
         // Create logs directory if it doesn't exist
         const logsDir = path.join(process.cwd(), 'logs', 'social_scrape');
         await fs.promises.mkdir(logsDir, { recursive: true });
         const logFile = path.join(logsDir, 'blacklisted_logs.log');
 
-        const fileContent = await fs.promises.readFile(filePath, 'utf-8');
-        const records = fileContent.split('\n').filter(line => line.trim());
-        progressTracker.total = records.length;
+        // Log lines are buffered and appended once per batch
+        let logLines = [];
+        const log = (message) => logLines.push(`[${new Date().toISOString()}] ${message}\n`);
+        const flushLog = async () => {
+            if (logLines.length === 0) return;
+            const content = logLines.join('');
+            logLines = [];
+            await fs.promises.appendFile(logFile, content);
+        };
 
         // Log start of processing
-        await fs.promises.appendFile(logFile, `\n[${new Date().toISOString()}] Starting processing of file: ${path.basename(filePath)}\n`);
+        await fs.promises.appendFile(logFile, `\n[${new Date().toISOString()}] Starting processing of file: ${filename}\n`);
 
-        for (const record of records) {
-            try {
-                const columns = record.split(',');
-                if (columns.length < urlColumn) {
-                    const errorMsg = `Invalid record format: ${record}`;
-                    progressTracker.errors.push(errorMsg);
-                    await fs.promises.appendFile(logFile, `[${new Date().toISOString()}] ${errorMsg}\n`);
-                    continue;
-                }
+        const reject = async (columns, lineNumber, errorMsg, reason) => {
+            progressTracker.errors.push(errorMsg);
+            log(errorMsg);
+            await quarantine?.write(columns, reason, { file: filename, line: lineNumber });
+        };
 
-                let url = columns[urlColumn - 1].trim();
-                if (!url) {
-                    const errorMsg = `Empty URL in record: ${record}`;
-                    progressTracker.errors.push(errorMsg);
-                    await fs.promises.appendFile(logFile, `[${new Date().toISOString()}] ${errorMsg}\n`);
-                    continue;
-                }
+        // Value of an optional column of the row
+        const columnValue = (columns, column) => (column ? (columns[column - 1] || '').trim() : '');
 
-                // Clean the URL
-                url = url
-                    .replace(/^(https?:\/\/)/i, '')
-                    .replace(/^www\./i, '')
-                    .replace(/^([^/]+).*?$/, '$1')
-                    .toLowerCase();
-
-                if (!isValidDomain(url)) {
-                    const errorMsg = `Invalid domain format: ${url}`;
-                    progressTracker.errors.push(errorMsg);
-                    await fs.promises.appendFile(logFile, `[${new Date().toISOString()}] ${errorMsg}\n`);
-                    continue;
-                }
+        // Entry per domain waiting to be written, with the rows it came from for the quarantine file.
+        // When a domain appears more than once in a batch the last row wins.
+        let batch = new Map();
 
-                // Create a new document with default values
-                const defaultDoc = {
-                    url,
-                    date: new Date()
-                };
-
-                const result = await SocialScrape.findOneAndUpdate(
-                    { url },
-                    {
-                        $set: {
-                            is_blacklisted: true
-                        },
-                        $setOnInsert: defaultDoc
-                    },
-                    {
-                        upsert: true,
-                        new: true,
-                        setDefaultsOnInsert: true
-                    }
-                );
-
-                if (result.isNew) {
-                    progressTracker.upserted++;
-                    await fs.promises.appendFile(logFile, `[${new Date().toISOString()}] Inserted new record for URL: ${url}\n`);
-                } else if (result.isModified('is_blacklisted')) {
-                    progressTracker.modified++;
-                    await fs.promises.appendFile(logFile, `[${new Date().toISOString()}] Updated blacklist status for URL: ${url}\n`);
-                }
-
-                progressTracker.processed++;
-                blacklistEventEmitter.emit('progress', { processId, ...progressTracker });
+        const flushBatch = async () => {
+            if (batch.size === 0) return;
+            const entries = [...batch.values()].map(({ entry }) => entry);
+            const rowCount = [...batch.values()].reduce((count, { rows }) => count + rows.length, 0);
+            const result = await BlacklistService.applyEntries(entries, { processId, sourceFile: filename, actor });
 
-            } catch (error) {
-                const errorMsg = `Error processing record: ${error.message}`;
+            for (const url of result.inserted) {
+                log(`Inserted new record for URL: ${url}`);
+            }
+            let failedRows = 0;
+            for (const { entry, error } of result.failed) {
+                const errorMsg = `Error processing record: ${error}`;
                 progressTracker.errors.push(errorMsg);
-                await fs.promises.appendFile(logFile, `[${new Date().toISOString()}] ${errorMsg}\n`);
+                log(`${errorMsg} (${entry.url})`);
+                for (const row of batch.get(entry.url).rows) {
+                    failedRows++;
+                    await quarantine?.write(row.columns, errorMsg, { file: filename, line: row.line });
+                }
             }
-        }
+            log(`Batch of ${batch.size} domains written. Upserted: ${result.upserted}, Modified: ${result.modified}, Failed: ${result.failed.length}`);
 
-        // Archive the file after processing
-        const archiveDir = path.join(process.cwd(), 'imports', 'social_scrape_blacklisted', 'completed_' + new Date().toISOString().split('T')[0]);
-        await archiveFile(filePath, {
-            archiveDir,
-            useTimestamp: true,
-            timestampFormat: 'ISO',
-            prefix: 'blacklist'
-        });
+            progressTracker.upserted += result.upserted;
+            progressTracker.modified += result.modified;
+            progressTracker.processed += rowCount - failedRows;
+            batch = new Map();
 
-        // Log completion
-        await fs.promises.appendFile(logFile, `[${new Date().toISOString()}] Processing completed. Processed: ${progressTracker.processed}, Upserted: ${progressTracker.upserted}, Modified: ${progressTracker.modified}, Errors: ${progressTracker.errors.length}\n`);
+            await flushLog();
+            blacklistEventEmitter.emit('progress', { processId, ...progressTracker });
+        };
 
-        progressTracker.isComplete = true;
-        blacklistEventEmitter.emit('progress', { processId, ...progressTracker });
+        const parser = csv.parse({
+            columns: false,
+            bom: true,
+            skip_empty_lines: true,
+            relax_column_count: true,
+            relax_quotes: true,
+            skip_records_with_error: true,
+            info: true,
+            raw: true,
+            highWaterMark: 1024 * 1024 // 1MB chunks
+        });
 
-    } catch (error) {
-        const errorMsg = `Error processing blacklist file: ${error.message}`;
-        socialScrapeLogger.error(errorMsg);
-        throw error;
-    }
-};
+        parser.on('skip', (error) => {
+            const errorMsg = `CSV parsing error (continuing with valid lines): ${error.message}`;
+            progressTracker.errors.push(errorMsg);
+            log(errorMsg);
+            socialScrapeLogger.warn(`Error in ${filename}: ${errorMsg}`);
+        });
 
-const getCollectionStats = async () => {
-    return await SocialScrape.countDocuments();
-};
+        const fileStream = await openInputStream(filePath, { bytes: byteProgressOf(progressTracker) });
+        fileStream.on('error', (error) => parser.destroy(error));
+        fileStream.pipe(parser);
 
-const getBlacklistProgress = (processId) => {
-    const progress = blacklistProgressStore.get(processId);
-    return progress ? { ...progress } : null;
-};
+        let lineNumber = 0;
+        for await (const { record: columns, info, raw } of parser) {
+            if (signal?.aborted) {
+                break;
+            }
 
-// Phone number validation utility
-const isValidPhoneNumber = (phone) => {
-    if (!phone || typeof phone !== 'string') return false;
+            lineNumber = info.lines;
 
-    // Clean the phone number first
-    const cleanedPhone = cleanPhoneNumber(phone);
-    if (!cleanedPhone) return false;
+            if (columns.length < urlColumn) {
+                await reject(columns, lineNumber, `Invalid record format: ${raw.trim()}`, 'Invalid record format');
+                continue;
+            }
 
-    let digitsOnly;
-    if (cleanedPhone.includes(']')) {
-        // Extract number part after the closing bracket
-        const parts = cleanedPhone.split('] ');
-        if (parts.length === 2) {
-            digitsOnly = parts[1].replace(/\D/g, '');
-        } else {
-            digitsOnly = cleanedPhone.replace(/\D/g, '');
-        }
-    } else {
-        // No formatting, just remove non-digits
-        digitsOnly = cleanedPhone.replace(/\D/g, '');
-    }
+            const rawUrl = (columns[urlColumn - 1] || '').trim();
+            if (!rawUrl) {
+                await reject(columns, lineNumber, `Empty URL in record: ${raw.trim()}`, 'Empty URL');
+                continue;
+            }
 
-    // Check if it's exactly 10 or 11 digits
-    if (digitsOnly.length !== 10 && digitsOnly.length !== 11) {
-        socialScrapeLogger.debug(`Phone validation failed for "${phone}" - cleaned to "${cleanedPhone}" with ${digitsOnly.length} digits (expected 10 or 11)`);
-        return false;
-    }
+            const url = BlacklistService.toBlacklistDomain(rawUrl);
+            if (!url) {
+                await reject(columns, lineNumber, `Invalid domain format: ${rawUrl}`, 'Invalid domain');
+                continue;
+            }
 
-    socialScrapeLogger.debug(`Phone validation passed for "${phone}" - cleaned to "${cleanedPhone}" with ${digitsOnly.length} digits`);
-    return true;
-};
+            const rowAction = columnValue(columns, actionColumn).toLowerCase() || action;
+            if (!BLACKLIST_ACTIONS.includes(rowAction)) {
+                await reject(columns, lineNumber, `Invalid blacklist action: ${rowAction}`, 'Invalid action');
+                continue;
+            }
 
-// Clean phone number for storage
-const cleanPhoneNumber = (phone, url = '') => {
-    if (!phone || typeof phone !== 'string') return null;
+            const rowExpiry = columnValue(columns, expiresAtColumn);
+            const rowExpiresAt = rowExpiry ? new Date(rowExpiry) : expiresAt;
+            if (rowExpiresAt && isNaN(rowExpiresAt.getTime())) {
+                await reject(columns, lineNumber, `Invalid expiry date: ${rowExpiry}`, 'Invalid expiry date');
+                continue;
+            }
 
-    let cleaned = phone.trim();
-    socialScrapeLogger.debug(`Cleaning phone number: "${phone}" for URL: "${url}"`);
+            const entry = {
+                url,
+                action: rowAction,
+                reason: columnValue(columns, reasonColumn) || reason,
+                expiresAt: rowExpiresAt
+            };
+            const rows = batch.get(url)?.rows || [];
+            rows.push({ columns, line: lineNumber });
+            batch.set(url, { entry, rows });
 
-    // Remove spaces
-    cleaned = cleaned.replace(/\s+/g, '');
+            if (batch.size >= BATCH_SIZE) {
+                await flushBatch();
+            }
+        }
 
-    // Remove dashes
-    cleaned = cleaned.replace(/-/g, '');
+        fileStream.destroy();
 
-    // Remove dots (decimal points)
-    cleaned = cleaned.replace(/\./g, '');
+        if (signal?.aborted) {
+            // Domains read after the last written batch are dropped
+            log(`Processing cancelled at line ${lineNumber}. Processed: ${progressTracker.processed}, Upserted: ${progressTracker.upserted}, Modified: ${progressTracker.modified}`);
+            await flushLog();
+            socialScrapeLogger.info(`Cancelled blacklist file ${filename} at line ${lineNumber}, file left in place`);
+            blacklistEventEmitter.emit('progress', { processId, ...progressTracker });
+            return { filename, cancelled: true };
+        }
+
+        await flushBatch();
 
-    // Remove brackets (both round and square brackets)
-    cleaned = cleaned.replace(/[\(\)\[\]]/g, '');
+        // Archive the file after processing, zip bundles once all their entries are done
+        const archiveDir = path.join(process.cwd(), 'imports', 'social_scrape_blacklisted', 'completed_' + new Date().toISOString().split('T')[0]);
+        await completeInput(filePath, (archivePath) => archiveFile(archivePath, {
+            archiveDir,
+            useTimestamp: true,
+            timestampFormat: 'ISO',
+            prefix: 'blacklist'
+        }));
 
-    socialScrapeLogger.debug(`After basic cleaning: "${cleaned}"`);
+        // Log completion
+        log(`Processing completed. Processed: ${progressTracker.processed}, Upserted: ${progressTracker.upserted}, Modified: ${progressTracker.modified}, Errors: ${progressTracker.errors.length}`);
+        await flushLog();
 
-    // Check for valid country codes and format accordingly
-    const formattedPhone = formatPhoneWithCountryCode(cleaned, url);
+        progressTracker.isComplete = true;
+        blacklistEventEmitter.emit('progress', { processId, ...progressTracker });
+        return { filename };
 
-    if (!formattedPhone) {
-        socialScrapeLogger.debug(`formatPhoneWithCountryCode returned null for "${cleaned}"`);
-        return null;
+    } catch (error) {
+        const errorMsg = `Error processing blacklist file: ${error.message}`;
+        socialScrapeLogger.error(errorMsg);
+        throw error;
     }
-
-    socialScrapeLogger.debug(`Final formatted phone: "${formattedPhone}"`);
-    return formattedPhone;
 };
 
-// Format phone number with country code validation
-const formatPhoneWithCountryCode = (phone, url = '') => {
-    // Import country phone codes
-    const countryPhoneCodes = require('../utils/phone_country_code');
-
-    // Check if URL is UK domain for special handling
-    const isUKDomain = url && (url.endsWith('.co.uk') || url.endsWith('.uk'));
-
-    socialScrapeLogger.debug(`Formatting phone: "${phone}" for URL: "${url}" (UK domain: ${isUKDomain})`);
-
-    // Check if it starts with + (international format)
-    if (phone.startsWith('+')) {
-        socialScrapeLogger.debug(`Phone starts with +, checking country codes`);
-        // Find matching country code
-        for (const country of countryPhoneCodes) {
-            const countryCode = '+' + country.phone;
-
-            if (phone.startsWith(countryCode)) {
-                const numberPart = phone.substring(countryCode.length);
-                const digitsOnly = numberPart.replace(/\D/g, '');
+// Blacklist the existing domains matching a rule, reporting progress like a blacklist file run.
+// Domains that are already blacklisted are left alone so their history keeps the original reason.
+const applyBlacklistRule = async (rule, processId, { actor = null, signal = null } = {}) => {
+    const progressTracker = {
+        currentFile: `${rule.type} rule ${rule.pattern}`,
+        processed: 0,
+        total: 0,
+        upserted: 0,
+        modified: 0,
+        errors: [],
+        isComplete: false
+    };
+    blacklistProgressStore.set(processId, progressTracker);
 
-                socialScrapeLogger.debug(`Found country match: ${country.label} (${countryCode}), number part: "${numberPart}", digits: "${digitsOnly}" (length: ${digitsOnly.length})`);
+    const match = { ...BlacklistRuleService.toUrlQuery(rule), is_blacklisted: { $ne: true } };
+    const reason = BlacklistRuleService.describeRule(rule);
 
-                // Check if length is valid for this country
-                const isValidLength = checkPhoneLength(digitsOnly, country);
+    const domains = SocialScrape.aggregate([
+        { $match: match },
+        { $group: { _id: '$url' } }
+    ]).allowDiskUse(true).cursor({ batchSize: BATCH_SIZE });
 
-                socialScrapeLogger.debug(`Length validation for ${country.label}: ${isValidLength} (expected: ${country.phoneLength})`);
+    let batch = [];
+    const flushBatch = async () => {
+        if (batch.length === 0) return;
+        const result = await BlacklistService.applyEntries(batch, { processId, actor });
 
-                if (isValidLength) {
-                    // Format with proper spacing
-                    const result = `[${countryCode}] ${digitsOnly}`;
-                    socialScrapeLogger.debug(`Valid length, returning: "${result}"`);
-                    return result;
-                } else {
-                    // Try to add leading zero if length is short
-                    const expectedLength = getExpectedLength(country);
-                    if (digitsOnly.length === expectedLength - 1) {
-                        const result = `[${countryCode}] 0${digitsOnly}`;
-                        socialScrapeLogger.debug(`Added leading zero, returning: "${result}"`);
-                        return result;
-                    } else {
-                        socialScrapeLogger.debug(`Length mismatch: got ${digitsOnly.length}, expected ${expectedLength}, cannot add leading zero`);
-                    }
-                }
-            }
+        for (const { entry, error } of result.failed) {
+            progressTracker.errors.push(`Error blacklisting ${entry.url}: ${error}`);
         }
-        socialScrapeLogger.debug(`No country code match found for "${phone}"`);
-    }
-
-    // Check without + prefix
-    socialScrapeLogger.debug(`Checking without + prefix`);
-    for (const country of countryPhoneCodes) {
-        const countryCode = country.phone;
-
-        if (phone.startsWith(countryCode)) {
-            const numberPart = phone.substring(countryCode.length);
-            const digitsOnly = numberPart.replace(/\D/g, '');
-
-            socialScrapeLogger.debug(`Found country match (no +): ${country.label} (${countryCode}), number part: "${numberPart}", digits: "${digitsOnly}" (length: ${digitsOnly.length})`);
-
-            // Check if length is valid for this country
-            const isValidLength = checkPhoneLength(digitsOnly, country);
+        progressTracker.modified += result.modified;
+        progressTracker.processed += batch.length - result.failed.length;
+        batch = [];
+        blacklistEventEmitter.emit('progress', { processId, ...progressTracker });
+    };
 
-            socialScrapeLogger.debug(`Length validation for ${country.label}: ${isValidLength} (expected: ${country.phoneLength})`);
+    try {
+        for await (const { _id: url } of domains) {
+            if (signal?.aborted) {
+                break;
+            }
 
-            if (isValidLength) {
-                // Format with proper spacing
-                const result = `[+${countryCode}] ${digitsOnly}`;
-                socialScrapeLogger.debug(`Valid length, returning: "${result}"`);
-                return result;
-            } else {
-                // Try to add leading zero if length is short
-                const expectedLength = getExpectedLength(country);
-                if (digitsOnly.length === expectedLength - 1) {
-                    const result = `[+${countryCode}] 0${digitsOnly}`;
-                    socialScrapeLogger.debug(`Added leading zero, returning: "${result}"`);
-                    return result;
-                } else {
-                    socialScrapeLogger.debug(`Length mismatch: got ${digitsOnly.length}, expected ${expectedLength}, cannot add leading zero`);
-                }
+            progressTracker.total++;
+            batch.push({ url, action: 'blacklist', reason });
+            if (batch.length >= BATCH_SIZE) {
+                await flushBatch();
             }
         }
+    } finally {
+        await domains.close();
     }
 
-    // If no valid country code found, keep as-is if length is 10-11 digits
-    const digitsOnly = phone.replace(/\D/g, '');
-    socialScrapeLogger.debug(`No country code match, checking if digits only (${digitsOnly.length}) is 10-11 digits`);
-    if (digitsOnly.length === 10 || digitsOnly.length === 11) {
-        socialScrapeLogger.debug(`Valid length for digits only, returning: "${digitsOnly}"`);
-        return digitsOnly;
-    }
-
-    socialScrapeLogger.debug(`No valid format found for "${phone}"`);
-    return null;
-};
-
-// Check if phone number length is valid for a country
-const checkPhoneLength = (digits, country) => {
-    if (country.phoneLength) {
-        if (Array.isArray(country.phoneLength)) {
-            return country.phoneLength.includes(digits.length);
-        } else {
-            return digits.length === country.phoneLength;
-        }
+    if (signal?.aborted) {
+        // Domains read after the last written batch are not counted
+        progressTracker.total = progressTracker.processed + progressTracker.errors.length;
+        socialScrapeLogger.info(`Cancelled applying blacklist rule ${rule.type} ${rule.pattern} after ${progressTracker.processed} domains`);
+        blacklistEventEmitter.emit('progress', { processId, ...progressTracker });
+        return { cancelled: true };
     }
 
-    // Fallback for countries with min/max
-    if (country.min && country.max) {
-        return digits.length >= country.min && digits.length <= country.max;
-    }
+    await flushBatch();
+    await BlacklistRuleService.markApplied(rule._id, processId);
+    socialScrapeLogger.info(`Applied blacklist rule ${rule.type} ${rule.pattern} to ${progressTracker.processed} existing domains`);
 
-    return false;
+    progressTracker.isComplete = true;
+    blacklistEventEmitter.emit('progress', { processId, ...progressTracker });
+    return {};
 };
 
-// Get expected length for a country
-const getExpectedLength = (country) => {
-    if (country.phoneLength) {
-        if (Array.isArray(country.phoneLength)) {
-            return country.phoneLength[0]; // Use first length as default
-        } else {
-            return country.phoneLength;
-        }
-    }
-
-    if (country.min) {
-        return country.min;
-    }
+const getCollectionStats = async () => {
+    return await SocialScrape.countDocuments();
+};
 
-    return 10; // Default fallback
+// Statistics that take full collection scans, computed in the background by stats jobs rather than per request
+const computeCollectionStats = async () => {
+    const [documents, domains, blacklisted, withPhone, latest] = await Promise.all([
+        SocialScrape.countDocuments(),
+        SocialScrape.aggregate([{ $group: { _id: '$url' } }, { $count: 'domains' }]).allowDiskUse(true),
+        SocialScrape.countDocuments({ is_blacklisted: true }),
+        SocialScrape.countDocuments({ 'phone.0': { $exists: true } }),
+        SocialScrape.findOne().sort({ date: -1 }).select('date').lean()
+    ]);
+
+    return {
+        documents,
+        domains: domains[0]?.domains || 0,
+        blacklisted,
+        withPhone,
+        latestSnapshot: latest?.date || null,
+        computedAt: new Date()
+    };
 };
 
-// Convert various country codes to UK format (legacy function - keeping for backward compatibility)
-const convertCountryCodeToUK = (phone) => {
-    // This function is now deprecated in favor of the new country code validation
-    // Keeping it for backward compatibility but it should not be used in new logic
-    return phone;
+const getBlacklistProgress = (processId) => {
+    const progress = blacklistProgressStore.get(processId);
+    return progress ? { ...progress } : null;
 };
 
 const getPhoneFiles = async () => {
     try {
         await ensureImportDirectory();
-        const files = await fs.promises.readdir(PHONE_DIR);
-        return files.filter(file => file.endsWith('.csv'));
+        return await listInputFiles(PHONE_DIR, logUnreadableBundle, PIPELINE_FORMATS.phone);
     } catch (error) {
         socialScrapeLogger.error('Error reading phone directory:', error);
         throw new Error('Failed to read phone directory');
     }
 };
 
-const processPhoneFile = async (filePath, processId) => {
+// When the signal is aborted the batch being written is finished, unwritten rows are dropped and the file stays in place
+const processPhoneFile = async (filePath, processId, { quarantine = null, signal = null } = {}) => {
     try {
         // Get or create progress tracker for this process
         let progressTracker = phoneProgressStore.get(processId);
@@ -907,7 +1529,8 @@ const processPhoneFile = async (filePath, processId) => {
         }
 
         // Update current file (don't reset other progress)
-        progressTracker.currentFile = path.basename(filePath);
+        const filename = inputName(filePath);
+        progressTracker.currentFile = filename;
         // Don't reset processed, updated, created, errors, or total - accumulate them
         progressTracker.isComplete = false;
 
@@ -917,7 +1540,10 @@ const processPhoneFile = async (filePath, processId) => {
         const logFile = path.join(logsDir, 'phone_logs.log');
 
         // Log start of processing
-        await fs.promises.appendFile(logFile, `\n[${new Date().toISOString()}] Starting phone processing of file: ${path.basename(filePath)}\n`);
+        await fs.promises.appendFile(logFile, `\n[${new Date().toISOString()}] Starting phone processing of file: ${filename}\n`);
+
+        // Gzipped files and zip entries are decompressed as they are read
+        const fileStream = await openInputStream(filePath, { bytes: byteProgressOf(progressTracker) });
 
         return new Promise((resolve, reject) => {
             // Add timeout to prevent hanging
@@ -925,7 +1551,7 @@ const processPhoneFile = async (filePath, processId) => {
                 const errorMsg = 'Phone processing timeout - process took too long';
                 progressTracker.errors.push(errorMsg);
                 progressTracker.completedFiles++;
-                socialScrapeLogger.info(`Marked file ${path.basename(filePath)} as completed (timeout). Total completed: ${progressTracker.completedFiles}/${progressTracker.totalFiles}`);
+                socialScrapeLogger.info(`Marked file ${filename} as completed (timeout). Total completed: ${progressTracker.completedFiles}/${progressTracker.totalFiles}`);
                 phoneEventEmitter.emit('progress', { processId, ...progressTracker });
                 reject(new Error(errorMsg));
             }, 300000); // 5 minutes timeout
@@ -942,30 +1568,47 @@ const processPhoneFile = async (filePath, processId) => {
             let urlCountMap = new Map(); // To count occurrences of each URL
             let lineNumber = 0;
             let totalLines = 0;
+            let pendingRecords = 0; // Counted as processed but not yet written
+            let pendingBatch = null;
+            let ending = false;
 
-            // First pass: count total lines for progress calculation
-            const countLines = () => {
-                return new Promise((resolve) => {
-                    const lineCount = fs.readFileSync(filePath, 'utf-8').split('\n').filter(line => line.trim()).length;
-                    resolve(lineCount);
-                });
+            const onAbort = async () => {
+                // The end handler is already writing the last batch, let it finish the file
+                if (ending) return;
+
+                clearTimeout(timeout);
+                fileStream.unpipe(parser);
+                fileStream.destroy();
+                await pendingBatch;
+                parser.destroy();
+
+                progressTracker.processed -= pendingRecords;
+                await fs.promises.appendFile(logFile, `[${new Date().toISOString()}] Phone processing cancelled at line ${lineNumber}. Processed: ${progressTracker.processed}, Updated: ${progressTracker.updated}, Created: ${progressTracker.created}\n`);
+                socialScrapeLogger.info(`Cancelled phone file ${filename} at line ${lineNumber}, file left in place`);
+                phoneEventEmitter.emit('progress', { processId, ...progressTracker });
+                resolve({ filename, processed: progressTracker.processed, cancelled: true });
             };
+            signal?.addEventListener('abort', onAbort, { once: true });
 
-            countLines().then((lineCount) => {
+            // First pass: count total lines for progress calculation
+            countLines(filePath).then((lineCount) => {
                 totalLines = lineCount;
                 progressTracker.total += lineCount;
                 phoneEventEmitter.emit('progress', { processId, ...progressTracker });
+            }).catch((error) => {
+                socialScrapeLogger.warn(`Unable to count lines of ${filename}: ${error.message}`);
             });
 
             parser.on('readable', async () => {
                 let record;
-                while ((record = parser.read()) !== null) {
+                while (!signal?.aborted && (record = parser.read()) !== null) {
                     lineNumber++;
                     try {
                         // Skip records with insufficient data
                         if (!record || record.length < 3) {
                             const errorMsg = `Line ${lineNumber}: Invalid record format - expected at least 3 columns, got ${record ? record.length : 0}`;
                             progressTracker.errors.push(errorMsg);
+                            await quarantine?.write(record || [], 'Invalid record format', { file: filename, line: lineNumber });
                             continue;
                         }
 
@@ -977,6 +1620,7 @@ const processPhoneFile = async (filePath, processId) => {
                         if (!url || !code || !phoneData) {
                             const errorMsg = `Line ${lineNumber}: Missing required data - URL: ${!!url}, Code: ${!!code}, Phone: ${!!phoneData}`;
                             progressTracker.errors.push(errorMsg);
+                            await quarantine?.write(record, 'Missing required data', { file: filename, line: lineNumber });
                             continue;
                         }
 
@@ -995,64 +1639,69 @@ const processPhoneFile = async (filePath, processId) => {
                         if (!isValidDomain(cleanUrl)) {
                             const errorMsg = `Line ${lineNumber}: Invalid domain format: ${cleanUrl}`;
                             progressTracker.errors.push(errorMsg);
+                            await quarantine?.write(record, 'Invalid domain', { file: filename, line: lineNumber });
                             continue;
                         }
 
                         // Count URL occurrences
                         urlCountMap.set(cleanUrl, (urlCountMap.get(cleanUrl) || 0) + 1);
 
-                        // Validate phone number
-                        if (!isValidPhoneNumber(phoneData)) {
+                        // Normalise the number, reading national numbers in the region of the domain's TLD
+                        const phone = normalizePhone(phoneData, cleanUrl);
+                        if (!phone) {
                             const errorMsg = `Line ${lineNumber}: Invalid phone number: ${phoneData} for URL: ${cleanUrl}`;
                             progressTracker.errors.push(errorMsg);
+                            await quarantine?.write(record, 'Invalid phone number', { file: filename, line: lineNumber });
                             continue;
                         }
 
-                        // Clean phone number
-                        const cleanPhone = cleanPhoneNumber(phoneData, cleanUrl);
-                        if (!cleanPhone) {
-                            const errorMsg = `Line ${lineNumber}: Failed to clean phone number: ${phoneData} for URL: ${cleanUrl}`;
-                            progressTracker.errors.push(errorMsg);
-                            continue;
-                        }
-
-                        // Group phones by URL
+                        // Group phones by URL, keyed by E.164 number
                         if (!urlPhoneMap.has(cleanUrl)) {
-                            urlPhoneMap.set(cleanUrl, new Set());
+                            urlPhoneMap.set(cleanUrl, new Map());
                         }
-                        urlPhoneMap.get(cleanUrl).add(cleanPhone);
+                        urlPhoneMap.get(cleanUrl).set(phone.e164, phone);
 
                         progressTracker.processed++;
+                        pendingRecords++;
                         phoneEventEmitter.emit('progress', { processId, ...progressTracker });
 
                         // Process in batches
                         if (urlPhoneMap.size >= BATCH_SIZE) {
-                            await processPhoneBatch(urlPhoneMap, progressTracker, logFile);
+                            pendingBatch = processPhoneBatch(urlPhoneMap, progressTracker, logFile);
+                            await pendingBatch;
+                            pendingBatch = null;
+                            pendingRecords = 0;
                             urlPhoneMap.clear();
                         }
 
                     } catch (error) {
                         const errorMsg = `Line ${lineNumber}: Error processing record: ${error.message}`;
                         progressTracker.errors.push(errorMsg);
+                        await quarantine?.write(record, `Error processing record: ${error.message}`, { file: filename, line: lineNumber });
                         socialScrapeLogger.error(`Phone processing error on line ${lineNumber}:`, error);
                     }
                 }
             });
 
             parser.on('end', async () => {
+                ending = true;
+                signal?.removeEventListener('abort', onAbort);
                 try {
                     clearTimeout(timeout); // Clear timeout on successful completion
 
                     // Filter out URLs with more than 3 rows
                     const filteredUrlPhoneMap = new Map();
-                    for (const [url, phoneSet] of urlPhoneMap) {
+                    for (const [url, phones] of urlPhoneMap) {
                         const urlCount = urlCountMap.get(url) || 0;
                         if (urlCount <= 3) {
-                            filteredUrlPhoneMap.set(url, phoneSet);
+                            filteredUrlPhoneMap.set(url, phones);
                         } else {
                             const errorMsg = `Skipped URL ${url} - has ${urlCount} rows (more than 3)`;
                             progressTracker.errors.push(errorMsg);
                             await fs.promises.appendFile(logFile, `[${new Date().toISOString()}] ${errorMsg}\n`);
+                            for (const phone of phones.keys()) {
+                                await quarantine?.write([url, '[PN]', phone], `URL has ${urlCount} rows (more than 3)`, { file: filename });
+                            }
                         }
                     }
 
@@ -1061,21 +1710,21 @@ const processPhoneFile = async (filePath, processId) => {
                         await processPhoneBatch(filteredUrlPhoneMap, progressTracker, logFile);
                     }
 
-                    // Archive the file after processing
+                    // Archive the file after processing, zip bundles once all their entries are done
                     const archiveDir = path.join(process.cwd(), 'imports', 'social_scrape_phone', 'completed_' + new Date().toISOString().split('T')[0]);
-                    await archiveFile(filePath, {
+                    await completeInput(filePath, (archivePath) => archiveFile(archivePath, {
                         archiveDir,
                         useTimestamp: true,
                         timestampFormat: 'ISO',
                         prefix: 'phone'
-                    });
+                    }));
 
                     // Log completion
                     await fs.promises.appendFile(logFile, `[${new Date().toISOString()}] Phone processing completed. Processed: ${progressTracker.processed}, Updated: ${progressTracker.updated}, Created: ${progressTracker.created}, Errors: ${progressTracker.errors.length}\n`);
 
                     // Mark file as completed
                     progressTracker.completedFiles++;
-                    socialScrapeLogger.info(`Marked file ${path.basename(filePath)} as completed. Total completed: ${progressTracker.completedFiles}/${progressTracker.totalFiles}`);
+                    socialScrapeLogger.info(`Marked file ${filename} as completed. Total completed: ${progressTracker.completedFiles}/${progressTracker.totalFiles}`);
 
                     // Check if all files are completed
                     if (progressTracker.completedFiles >= progressTracker.totalFiles) {
@@ -1095,12 +1744,12 @@ const processPhoneFile = async (filePath, processId) => {
                     // Update progress tracker with timestamp
                     updateProgressTracker(processId, progressTracker);
                     phoneEventEmitter.emit('progress', { processId, ...progressTracker });
-                    resolve({ filename: path.basename(filePath), processed: progressTracker.processed });
+                    resolve({ filename, processed: progressTracker.processed });
                 } catch (error) {
                     clearTimeout(timeout);
                     // Mark file as completed even on error
                     progressTracker.completedFiles++;
-                    socialScrapeLogger.info(`Marked file ${path.basename(filePath)} as completed (CSV error). Total completed: ${progressTracker.completedFiles}/${progressTracker.totalFiles}`);
+                    socialScrapeLogger.info(`Marked file ${filename} as completed (CSV error). Total completed: ${progressTracker.completedFiles}/${progressTracker.totalFiles}`);
 
                     // Check if all files are completed
                     if (progressTracker.completedFiles >= progressTracker.totalFiles) {
@@ -1126,13 +1775,14 @@ const processPhoneFile = async (filePath, processId) => {
 
             parser.on('error', (error) => {
                 clearTimeout(timeout);
+                signal?.removeEventListener('abort', onAbort);
                 const errorMsg = `CSV parsing error: ${error.message}`;
                 progressTracker.errors.push(errorMsg);
                 socialScrapeLogger.error('CSV parsing error:', error);
 
                 // Mark file as completed even on error
                 progressTracker.completedFiles++;
-                socialScrapeLogger.info(`Marked file ${path.basename(filePath)} as completed (CSV error). Total completed: ${progressTracker.completedFiles}/${progressTracker.totalFiles}`);
+                socialScrapeLogger.info(`Marked file ${filename} as completed (CSV error). Total completed: ${progressTracker.completedFiles}/${progressTracker.totalFiles}`);
 
                 // Check if all files are completed
                 if (progressTracker.completedFiles >= progressTracker.totalFiles) {
@@ -1156,9 +1806,8 @@ const processPhoneFile = async (filePath, processId) => {
                 reject(error);
             });
 
-            // Use streams with smaller chunks for better memory management
-            fs.createReadStream(filePath, { highWaterMark: 1024 * 1024 }) // 1MB chunks
-                .pipe(parser);
+            fileStream.on('error', (error) => parser.destroy(error));
+            fileStream.pipe(parser);
         });
 
     } catch (error) {
@@ -1170,9 +1819,9 @@ const processPhoneFile = async (filePath, processId) => {
 
 const processPhoneBatch = async (urlPhoneMap, progressTracker, logFile) => {
     try {
-        for (const [urlKey, phoneSet] of urlPhoneMap) {
+        for (const [urlKey, phoneMap] of urlPhoneMap) {
             try {
-                let phones = Array.from(phoneSet);
+                let phones = [...phoneMap.values()];
 
                 // Limit to maximum 3 phone numbers per URL
                 if (phones.length > 3) {
@@ -1184,29 +1833,33 @@ const processPhoneBatch = async (urlPhoneMap, progressTracker, logFile) => {
                 }
 
                 // Find ALL existing records with this URL
-                const existingRecords = await SocialScrape.find({ url: urlKey });
+                const existingRecords = await SocialScrape.find({ url: urlKey }).lean();
 
                 socialScrapeLogger.debug(`Processing URL: ${urlKey}, found ${existingRecords.length} existing records`);
 
                 if (existingRecords.length > 0) {
                     // Update all existing records with this URL
                     for (const existingRecord of existingRecords) {
-                        const existingPhones = existingRecord.phone || [];
-                        const newPhones = [...new Set([...existingPhones, ...phones])];
+                        // Records not yet migrated by scripts/backfillPhones.js still hold plain strings
+                        const existingPhones = (existingRecord.phone || [])
+                            .map(phone => (typeof phone === 'string' ? normalizePhone(phone, urlKey) : phone))
+                            .filter(Boolean);
+                        const newPhones = mergePhones(existingPhones, phones);
 
                         // Limit to maximum 3 phone numbers total
                         const finalPhones = newPhones.slice(0, 3);
 
-                        socialScrapeLogger.debug(`Updating record ${existingRecord._id} for URL ${urlKey}: existing phones [${existingPhones.join(', ')}], new phones [${phones.join(', ')}], final phones [${finalPhones.join(', ')}]`);
+                        socialScrapeLogger.debug(`Updating record ${existingRecord._id} for URL ${urlKey}: existing phones [${existingPhones.map(phone => phone.e164).join(', ')}], new phones [${phones.map(phone => phone.e164).join(', ')}], final phones [${finalPhones.map(phone => phone.e164).join(', ')}]`);
 
                         await SocialScrape.updateOne(
                             { _id: existingRecord._id },
                             { $set: { phone: finalPhones } }
                         );
+                        await PhoneIndexService.recordPhones([{ url: urlKey, date: existingRecord.date, phones: finalPhones }]);
                     }
 
                     progressTracker.updated++;
-                    await fs.promises.appendFile(logFile, `[${new Date().toISOString()}] Updated phone numbers for URL: ${urlKey} (${existingRecords.length} records), phones: ${phones.join(', ')}\n`);
+                    await fs.promises.appendFile(logFile, `[${new Date().toISOString()}] Updated phone numbers for URL: ${urlKey} (${existingRecords.length} records), phones: ${phones.map(phone => phone.e164).join(', ')}\n`);
                 } else {
                     // Create new record only if no existing records found
                     const newRecord = {
@@ -1215,12 +1868,13 @@ const processPhoneBatch = async (urlPhoneMap, progressTracker, logFile) => {
                         phone: phones
                     };
 
-                    socialScrapeLogger.debug(`Creating new record for URL ${urlKey} with phones [${phones.join(', ')}]`);
+                    socialScrapeLogger.debug(`Creating new record for URL ${urlKey} with phones [${phones.map(phone => phone.e164).join(', ')}]`);
 
                     await SocialScrape.create(newRecord);
+                    await PhoneIndexService.recordPhones([{ url: urlKey, date: newRecord.date, phones }]);
 
                     progressTracker.created++;
-                    await fs.promises.appendFile(logFile, `[${new Date().toISOString()}] Created new record for URL: ${urlKey}, phones: ${phones.join(', ')}\n`);
+                    await fs.promises.appendFile(logFile, `[${new Date().toISOString()}] Created new record for URL: ${urlKey}, phones: ${phones.map(phone => phone.e164).join(', ')}\n`);
                 }
 
             } catch (error) {
@@ -1304,12 +1958,29 @@ const SocialScrapeService = {
     getBlacklistFiles,
     getPhoneFiles,
     getCollectionStats,
+    computeCollectionStats,
+    isDuplicateUpload,
+    finalizeUpload,
     processFile,
+    processNdjsonFile,
+    processWideFile,
+    processImportFile,
+    matchProfileColumns,
+    toSnapshotObject,
+    summarizeDryRunReports,
+    parseSnapshotDate,
+    cleanSnapshotField,
+    checkBlacklistRules,
+    registerJob,
+    unregisterJob,
+    cancelJob,
     processBlacklistFile,
+    applyBlacklistRule,
     processPhoneFile,
     getImportProgress: () => ({ ...importProgressTracker }),
     resetImportProgress,
     setImportRunning,
+    claimImportRun,
     getBlacklistProgress,
     getPhoneProgress,
     findDuplicateUrls,
@@ -1317,6 +1988,11 @@ const SocialScrapeService = {
     updateProgressTracker
 };
 
+// Persist progress of running jobs so their state survives a restart
+ImportJobService.watchProgress(importEventEmitter);
+ImportJobService.watchProgress(blacklistEventEmitter);
+ImportJobService.watchProgress(phoneEventEmitter);
+
 // Start periodic cleanup of old progress trackers (every 6 hours)
 setInterval(() => {
     cleanupOldProgressTrackers();
@@ -1327,6 +2003,9 @@ module.exports = {
     IMPORT_DIR,
     BLACKLIST_DIR,
     PHONE_DIR,
+    UPLOAD_DIRS,
+    PIPELINE_FORMATS,
+    SNAPSHOT_FIELDS,
     importEventEmitter,
     blacklistEventEmitter,
     phoneEventEmitter,
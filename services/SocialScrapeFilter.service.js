@@ -0,0 +1,164 @@
+// services/SocialScrapeFilter.service.js
+const SocialScrape = require('../models/SocialScrape');
+const { escapeRegex } = require('../utils/helpers');
+
+// Fields a snapshot can be required to have, or to lack, a value for
+const PRESENCE_FIELDS = ['email', 'phone', 'postcode', 'facebook', 'twitter', 'instagram', 'linkedin', 'youtube', 'pinterest'];
+
+const STATUS_CLASSES = ['1xx', '2xx', '3xx', '4xx', '5xx'];
+
+// Fields the listing can be sorted on, with their type for keyset cursors (see utils/keysetPagination).
+// Each has an index on the field and _id, in models/SocialScrape.
+const LISTING_SORTS = { date: 'date', url: 'string', updatedAt: 'date', statusCode: 'string' };
+
+// Non-empty values are matched as strings greater than '', which is what the partial indexes of these fields
+// hold (see models/SocialScrape), and phone numbers by their E.164 form in the phone index
+const hasValue = (field) => (field === 'phone' ? { 'phone.e164': { $gt: '' } } : { [field]: { $gt: '' } });
+
+// No index holds the missing values, so these narrow down the snapshots the other filters select
+const lacksValue = (field) => (field === 'phone' ? { 'phone.0': { $exists: false } } : { [field]: { $in: [null, ''] } });
+
+// Codes are compared as stored strings, classes by their first digit so the statusCode index bounds the scan
+const statusCondition = (statusCodes = [], statusClasses = []) => {
+    const conditions = [];
+    if (statusCodes.length > 0) {
+        conditions.push({ statusCode: { $in: statusCodes } });
+    }
+    if (statusClasses.length > 0) {
+        conditions.push({ statusCode: { $regex: `^[${statusClasses.map(statusClass => statusClass[0]).join('')}]\\d\\d$` } });
+    }
+    return conditions.length > 1 ? { $or: conditions } : conditions[0];
+};
+
+/**
+ * Conditions of a social scrape search, one per filter, all of which a snapshot must match
+ * @param {Object} [filters] - Parsed by socialScrapeFilterSchema
+ * @param {string} [filters.searchUrl] - A full domain, matched exactly, or the start of one
+ * @param {string} [filters.tld] - Domains ending in this TLD, without the leading dot (uk, co.uk)
+ * @param {Date} [filters.from] - Snapshots dated on or after
+ * @param {Date} [filters.to] - Snapshots dated on or before
+ * @param {boolean} [filters.blacklisted] - Only blacklisted, or only not blacklisted, snapshots
+ * @param {string[]} [filters.statusCode] - Status codes, any of which matches
+ * @param {string[]} [filters.statusClass] - Status classes of STATUS_CLASSES, any of which matches (with statusCode too)
+ * @param {string[]} [filters.has] - Fields of PRESENCE_FIELDS that must not be empty
+ * @param {string[]} [filters.missing] - Fields of PRESENCE_FIELDS that must be empty
+ * @param {string} [filters.postcode] - Start of the postcode, in any case
+ * @param {string} [filters.keyword] - Words searched for in the title and meta description through their text index
+ * @param {Date} [filters.updatedSince] - Snapshots written or changed since
+ * @returns {Object[]} MongoDB conditions, combined by toQuery
+ */
+const buildFilterConditions = (filters = {}) => {
+    const { searchUrl, tld, from, to, blacklisted, statusCode, statusClass, has = [], missing = [], postcode, keyword, updatedSince } = filters;
+    const conditions = [];
+
+    if (searchUrl) {
+        // A full domain (contains a dot and no spaces) is an exact match, anything else a prefix search
+        const isFullDomain = searchUrl.includes('.') && !searchUrl.includes(' ');
+        conditions.push({ url: isFullDomain ? searchUrl : { $regex: '^' + escapeRegex(searchUrl), $options: 'i' } });
+    }
+    if (tld) {
+        // Suffixes cannot bound an index scan, but are checked against the url index keys without reading documents
+        conditions.push({ url: { $regex: `\\.${escapeRegex(tld)}$` } });
+    }
+    if (from || to) {
+        const date = {};
+        if (from) date.$gte = from;
+        if (to) date.$lte = to;
+        conditions.push({ date });
+    }
+    if (blacklisted !== undefined) {
+        // Records imported before the flag existed have no value, which counts as not blacklisted
+        conditions.push({ is_blacklisted: blacklisted ? true : { $ne: true } });
+    }
+    if (statusCode?.length > 0 || statusClass?.length > 0) {
+        conditions.push(statusCondition(statusCode, statusClass));
+    }
+    for (const field of has) {
+        conditions.push(hasValue(field));
+    }
+    for (const field of missing) {
+        conditions.push(lacksValue(field));
+    }
+    if (postcode) {
+        conditions.push({ postcode: { $gt: '', $regex: '^' + escapeRegex(postcode), $options: 'i' } });
+    }
+    if (keyword) {
+        conditions.push({ $text: { $search: keyword } });
+    }
+    if (updatedSince) {
+        conditions.push({ updatedAt: { $gte: updatedSince } });
+    }
+
+    return conditions;
+};
+
+const toQuery = (conditions) => (conditions.length > 0 ? { $and: conditions } : {});
+
+// Conditions on the domain alone hold for every snapshot of it, the others depend on the snapshot
+const isUrlCondition = (condition) => Object.keys(condition).every(key => key === 'url');
+
+const buildFilterQuery = (filters) => toQuery(buildFilterConditions(filters));
+
+// Fields the conditions applied after picking the latest snapshot of each domain read
+const FILTER_FIELDS = [...PRESENCE_FIELDS, 'is_blacklisted', 'statusCode', 'updatedAt'];
+
+// A keyword search can only run in the first stage, which picks the latest of the snapshots matching it.
+// These stages keep it only when it is the domain's latest snapshot, looked up on the url and date index.
+const currentSnapshotStages = () => [
+    {
+        $lookup: {
+            from: SocialScrape.collection.collectionName,
+            let: { url: '$url' },
+            pipeline: [
+                { $match: { $expr: { $eq: ['$url', '$$url'] } } },
+                { $sort: { date: -1 } },
+                { $limit: 1 },
+                { $project: { _id: 0, date: 1 } }
+            ],
+            as: 'latest'
+        }
+    },
+    { $match: { $expr: { $eq: ['$date', { $arrayElemAt: ['$latest.date', 0] }] } } },
+    { $project: { latest: 0 } }
+];
+
+/**
+ * Aggregation stages keeping the latest snapshot of each domain, in no particular order.
+ * The latest snapshot is picked before the conditions on snapshot fields apply, so a domain whose latest
+ * snapshot has lost its email is not matched by an older one, nor one whose latest snapshot no longer
+ * matches a keyword search.
+ * @param {Object[]} conditions - From buildFilterConditions
+ * @param {Object} projection - Fields the stages pass on, the ones the conditions read are added
+ * @returns {Object[]} Pipeline stages
+ */
+const latestSnapshotStages = (conditions, projection) => {
+    const isFirstStageCondition = (condition) => isUrlCondition(condition) || condition.$text !== undefined;
+    const firstStageConditions = conditions.filter(isFirstStageCondition);
+    const snapshotConditions = conditions.filter(condition => !isFirstStageCondition(condition));
+    const hasKeyword = conditions.some(condition => condition.$text !== undefined);
+
+    return [
+        { $match: toQuery(firstStageConditions) },
+        { $sort: { url: 1, date: -1 } },
+        { $project: { url: 1, date: 1, ...Object.fromEntries(FILTER_FIELDS.map(field => [field, 1])), ...projection } },
+        { $group: { _id: '$url', snapshot: { $first: '$$ROOT' } } },
+        { $replaceRoot: { newRoot: '$snapshot' } },
+        ...(hasKeyword ? currentSnapshotStages() : []),
+        { $match: toQuery(snapshotConditions) }
+    ];
+};
+
+const SocialScrapeFilterService = {
+    buildFilterConditions,
+    buildFilterQuery,
+    toQuery,
+    isUrlCondition,
+    latestSnapshotStages
+};
+
+module.exports = {
+    SocialScrapeFilterService,
+    PRESENCE_FIELDS,
+    STATUS_CLASSES,
+    LISTING_SORTS
+};
@@ -0,0 +1,148 @@
+// services/SocialScrapeRecord.service.js
+const SocialScrape = require('../models/SocialScrape');
+const SocialScrapeEdit = require('../models/SocialScrapeEdit');
+const { SocialScrapeService, SNAPSHOT_FIELDS } = require('./SocialScrape.service');
+const { BlacklistRuleService } = require('./BlacklistRule.service');
+const { BlacklistService } = require('./Blacklist.service');
+const { PhoneIndexService } = require('./PhoneIndex.service');
+const { diffSnapshots } = require('../utils/snapshotDiff');
+const socialScrapeLogger = require('../config/socialScrapeLogger');
+
+// Most recent edits returned with a record
+const EDIT_HISTORY_LIMIT = 20;
+
+// The edit history is written after the change itself, so a failed write is logged instead of failing the change
+const recordEdit = async (action, record, changes, userId) => {
+    try {
+        await SocialScrapeEdit.create({ record: record._id, url: record.url, date: record.date, action, changes, actor: userId });
+    } catch (error) {
+        socialScrapeLogger.error(`Failed to record ${action} of social scrape record ${record._id}: ${error.message}`);
+    }
+};
+
+// Numbers added by hand are indexed like imported ones
+const indexPhones = async (record) => {
+    if (record.phone?.length > 0) {
+        await PhoneIndexService.recordPhones([{ url: record.url, date: record.date, phones: record.phone }]);
+    }
+};
+
+const findRecord = async (id) => {
+    return await SocialScrape.findById(id).lean();
+};
+
+// A record with its most recent edits, null when it does not exist
+const getRecord = async (id) => {
+    const record = await findRecord(id);
+    if (!record) return null;
+
+    const edits = await SocialScrapeEdit.find({ record: id })
+        .sort({ createdAt: -1 })
+        .limit(EDIT_HISTORY_LIMIT)
+        .populate('actor', 'username role')
+        .lean();
+    return { record, edits };
+};
+
+// Create a record cleaned by socialScrapeRecordSchema. Blacklist rules apply as on import: the record is
+// flagged, or rejected with a Blacklisted error for drop rules.
+const createRecord = async (data, userId = null) => {
+    const fields = { ...data };
+    const blacklistRule = SocialScrapeService.checkBlacklistRules(fields);
+    if (blacklistRule?.action === 'drop') {
+        throw new Error(`Blacklisted: ${BlacklistRuleService.describeRule(blacklistRule)}`);
+    }
+
+    const record = (await SocialScrape.create(fields)).toObject();
+    if (blacklistRule) {
+        await BlacklistService.recordRuleFlags([{ url: record.url, reason: record.blacklist_reason }], { actor: userId });
+    }
+    await indexPhones(record);
+    await recordEdit('create', record, diffSnapshots({}, record, SNAPSHOT_FIELDS), userId);
+
+    socialScrapeLogger.info(`Social scrape record ${record.url} ${record.date.toISOString()} created by hand`);
+    return record;
+};
+
+// Numbers of the record before an update whose index entries no longer hold: all of them when the domain
+// or the day changed, as the entries of the old domain and day are recomputed from the remaining snapshots
+const stalePhones = (before, after) => {
+    if (before.url !== after.url || +before.date !== +after.date) return before.phone || [];
+    const kept = new Set((after.phone || []).map(phone => phone.e164));
+    return (before.phone || []).filter(phone => !kept.has(phone.e164));
+};
+
+// Apply changes cleaned by socialScrapeRecordUpdateSchema to a record from findRecord, clearing the null fields.
+// A new domain is checked against the blacklist rules like a created record.
+const updateRecord = async (record, changes, userId = null) => {
+    let blacklistRule = null;
+    if (changes.url && changes.url !== record.url) {
+        const checked = { url: changes.url };
+        blacklistRule = SocialScrapeService.checkBlacklistRules(checked);
+        if (blacklistRule?.action === 'drop') {
+            throw new Error(`Blacklisted: ${BlacklistRuleService.describeRule(blacklistRule)}`);
+        }
+        if (blacklistRule) {
+            Object.assign(changes, {
+                is_blacklisted: checked.is_blacklisted,
+                blacklist_reason: checked.blacklist_reason,
+                blacklisted_at: checked.blacklisted_at
+            });
+        }
+    }
+
+    const $set = {};
+    const $unset = {};
+    for (const [field, value] of Object.entries(changes)) {
+        if (value === null) {
+            $unset[field] = '';
+        } else {
+            $set[field] = value;
+        }
+    }
+
+    const update = {};
+    if (Object.keys($set).length > 0) update.$set = $set;
+    if (Object.keys($unset).length > 0) update.$unset = $unset;
+
+    const updated = await SocialScrape.findByIdAndUpdate(record._id, update, { new: true, runValidators: true }).lean();
+    if (!updated) return null;
+
+    if (blacklistRule) {
+        await BlacklistService.recordRuleFlags([{ url: updated.url, reason: updated.blacklist_reason }], { actor: userId });
+    }
+
+    const fieldChanges = diffSnapshots(record, updated, SNAPSHOT_FIELDS);
+    if (fieldChanges.length > 0) {
+        if (fieldChanges.some(change => ['phone', 'url', 'date'].includes(change.field))) {
+            await PhoneIndexService.removePhones([{ url: record.url, phones: stalePhones(record, updated) }]);
+            await indexPhones(updated);
+        }
+        await recordEdit('update', updated, fieldChanges, userId);
+        socialScrapeLogger.info(`Social scrape record ${updated._id} updated by hand: ${fieldChanges.map(change => change.field).join(', ')}`);
+    }
+    return updated;
+};
+
+// Delete a record, keeping its values in the edit history. Returns the deleted record, null when it did not exist.
+const deleteRecord = async (id, userId = null) => {
+    const record = await SocialScrape.findByIdAndDelete(id).lean();
+    if (!record) return null;
+
+    await PhoneIndexService.removePhones([{ url: record.url, phones: record.phone }]);
+    await recordEdit('delete', record, diffSnapshots(record, {}, SNAPSHOT_FIELDS), userId);
+    socialScrapeLogger.info(`Social scrape record ${record.url} ${record.date.toISOString()} deleted by hand`);
+    return record;
+};
+
+const SocialScrapeRecordService = {
+    findRecord,
+    getRecord,
+    createRecord,
+    updateRecord,
+    deleteRecord
+};
+
+module.exports = {
+    SocialScrapeRecordService
+};
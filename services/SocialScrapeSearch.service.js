@@ -0,0 +1,59 @@
+// services/SocialScrapeSearch.service.js
+const SocialScrape = require('../models/SocialScrape');
+const { SocialScrapeFilterService } = require('./SocialScrapeFilter.service');
+
+// Fields returned for each result, along with its relevance score
+const RESULT_FIELDS = [
+    'url', 'date', 'title', 'meta_description', 'email', 'phone', 'postcode',
+    'facebook', 'twitter', 'instagram', 'linkedin', 'youtube', 'pinterest', 'statusCode', 'is_blacklisted'
+];
+
+/**
+ * Full-text search over the titles and meta descriptions, ranked by relevance, title words weighing more
+ * (see the text index in models/SocialScrape). The query is MongoDB text search syntax: words match any of
+ * their forms ("plumbers" finds "plumber"), "quoted phrases" must appear as written, and -words or
+ * -"phrases" exclude the snapshots containing them.
+ * @param {string} q - Search query
+ * @param {Object} [options]
+ * @param {Object} [options.filters] - Structured filters, see SocialScrapeFilter.service
+ * @param {boolean} [options.latest=true] - One result per domain, its latest snapshot, when that matches the search
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=20]
+ * @returns {Promise<{ results: Object[], total: number }>} One page of results, most relevant first, each with its score
+ */
+const searchSnapshots = async (q, { filters = {}, latest = true, page = 1, limit = 20 } = {}) => {
+    const { buildFilterConditions, toQuery, latestSnapshotStages } = SocialScrapeFilterService;
+    const conditions = buildFilterConditions({ ...filters, keyword: q });
+    const projection = { ...Object.fromEntries(RESULT_FIELDS.map(field => [field, 1])), score: { $meta: 'textScore' } };
+
+    const stages = latest
+        ? latestSnapshotStages(conditions, projection)
+        : [{ $match: toQuery(conditions) }, { $project: projection }];
+
+    const [{ results, total }] = await SocialScrape.aggregate([
+        ...stages,
+        // Equal scores are ordered newest first and then by domain, so pages do not overlap
+        { $sort: { score: -1, date: -1, url: 1 } },
+        {
+            $facet: {
+                results: [
+                    { $skip: (page - 1) * limit },
+                    { $limit: limit },
+                    { $project: { ...Object.fromEntries(RESULT_FIELDS.map(field => [field, 1])), score: 1 } }
+                ],
+                total: [{ $count: 'count' }]
+            }
+        }
+    ]).allowDiskUse(true);
+
+    return { results, total: total[0]?.count || 0 };
+};
+
+const SocialScrapeSearchService = {
+    searchSnapshots
+};
+
+module.exports = {
+    SocialScrapeSearchService,
+    RESULT_FIELDS
+};
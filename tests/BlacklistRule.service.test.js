@@ -0,0 +1,62 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const BlacklistRule = require('../models/BlacklistRule');
+const { BlacklistRuleService } = require('../services/BlacklistRule.service');
+
+// Stubs the writes of createRule, keeping the created rules as the enabled ones refreshCache loads
+const stubRules = () => {
+    const rules = [];
+    mock.method(BlacklistRule, 'create', async (data) => {
+        rules.push({ enabled: true, action: 'flag', ...data });
+        return { ...data, toObject: () => ({ ...data }) };
+    });
+    mock.method(BlacklistRule, 'find', () => ({ lean: async () => rules }));
+    return rules;
+};
+
+afterEach(() => mock.restoreAll());
+
+test('regex rules with syntax JavaScript and MongoDB read differently are rejected', async () => {
+    stubRules();
+    const unportable = [
+        ['^shop\\d+\\.com$', /\\d/],
+        ['\\bcasino', /\\b/],
+        ['^(a)\\1\\.com$', /\\1/],
+        ['^(?=.*bet).*\\.com$', /lookarounds/],
+        ['^(?<name>x)\\.com$', /named groups/],
+        ['[]a]\\.com', /first class member/],
+        ['[[:alpha:]]+\\.com', /nested \[/],
+        ['[\\w-]+\\.com', /in character classes/],
+        ['^café\\.fr$', /non-ASCII/]
+    ];
+
+    for (const [pattern, message] of unportable) {
+        await assert.rejects(
+            BlacklistRuleService.createRule({ type: 'regex', pattern, action: 'flag' }),
+            (error) => error.message.startsWith('Invalid pattern: regex rules do not support') && message.test(error.message),
+            pattern
+        );
+    }
+    assert.strictEqual(BlacklistRule.create.mock.callCount(), 0);
+});
+
+test('portable regex rules are saved and match domains case-insensitively', async () => {
+    stubRules();
+
+    for (const pattern of ['^(?:casino|bet)[0-9]*\\.co\\.uk$', '^[a-z-]+-loans\\.com$', 'spam\\.']) {
+        await BlacklistRuleService.createRule({ type: 'regex', pattern, action: 'drop' });
+    }
+
+    assert.strictEqual(BlacklistRuleService.matchDomain('Casino42.co.uk')?.pattern, '^(?:casino|bet)[0-9]*\\.co\\.uk$');
+    assert.strictEqual(BlacklistRuleService.matchDomain('quick-loans.com')?.action, 'drop');
+    assert.strictEqual(BlacklistRuleService.matchDomain('example.co.uk'), null);
+});
+
+test('regex rules that do not compile are rejected', async () => {
+    stubRules();
+
+    await assert.rejects(
+        BlacklistRuleService.createRule({ type: 'regex', pattern: '^(casino', action: 'flag' }),
+        /^Error: Invalid pattern: (?!regex rules)/
+    );
+});
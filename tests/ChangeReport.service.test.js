@@ -0,0 +1,119 @@
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const SocialScrape = require('../models/SocialScrape');
+const { ChangeReportService } = require('../services/ChangeReport.service');
+
+const day = (value) => new Date(`${value}T00:00:00Z`);
+
+// Snapshots the model stubs read, written by write() as the import's upserts would
+let stored = [];
+
+const matches = (snapshot, query) => {
+    if (query.$or) return query.$or.some(clause => matches(snapshot, clause));
+    if (query.url && (query.url.$in ? !query.url.$in.includes(snapshot.url) : query.url !== snapshot.url)) return false;
+    if (query.date?.$lt) return snapshot.date < query.date.$lt;
+    if (query.date) return +snapshot.date === +query.date;
+    return true;
+};
+
+const chain = (value) => ({ sort() { return this; }, select() { return this; }, lean: async () => value });
+
+// Upserts the records, returning the { url, date } the write created
+const write = (records) => {
+    const created = [];
+    for (const record of records) {
+        const existing = stored.find(snapshot => snapshot.url === record.url && +snapshot.date === +record.date);
+        if (existing) {
+            Object.assign(existing, record);
+        } else {
+            stored.push({ ...record });
+            created.push({ url: record.url, date: record.date });
+        }
+    }
+    return created;
+};
+
+const recordBatch = (report, records, file = 'a.csv') => report.record(records, { created: write(records), file });
+
+beforeEach(() => {
+    stored = [
+        { url: 'a.com', date: day('2024-01-01'), statusCode: '200', email: 'x@a.com' },
+        { url: 'old.com', date: day('2024-05-01'), statusCode: '200' }
+    ];
+    mock.method(SocialScrape, 'find', (query) => chain(stored.filter(snapshot => matches(snapshot, query))));
+    mock.method(SocialScrape, 'findOne', (query) => chain(
+        stored.filter(snapshot => matches(snapshot, query)).sort((a, b) => b.date - a.date)[0] || null
+    ));
+    mock.method(SocialScrape, 'aggregate', async ([{ $match }, second]) => {
+        const found = stored.filter(snapshot => matches(snapshot, $match)).sort((a, b) => b.date - a.date);
+        const byUrl = new Map();
+        for (const snapshot of found) {
+            if (!byUrl.has(snapshot.url)) byUrl.set(snapshot.url, []);
+            byUrl.get(snapshot.url).push(snapshot);
+        }
+        if (second.$sort) {
+            return [...byUrl].map(([_id, snapshots]) => ({ _id, snapshot: snapshots[0] }));
+        }
+        return [...byUrl].map(([_id, snapshots]) => ({ _id, dates: snapshots.map(snapshot => snapshot.date) }));
+    });
+});
+
+afterEach(() => mock.restoreAll());
+
+test('classifies created snapshots against the previous one of their domain', async () => {
+    const report = ChangeReportService.createChangeReport();
+    await recordBatch(report, [
+        { url: 'a.com', date: day('2024-02-01'), statusCode: '503' },
+        { url: 'new.com', date: day('2024-02-01'), statusCode: '200' }
+    ]);
+
+    const json = report.toJSON();
+    assert.strictEqual(json.snapshots, 2);
+    assert.strictEqual(json.newDomains.count, 1);
+    assert.strictEqual(json.newDomains.samples[0].url, 'new.com');
+    assert.strictEqual(json.statusErrors.count, 1);
+    assert.strictEqual(json.lost.email.count, 1);
+});
+
+test('a re-imported snapshot is not a new domain', async () => {
+    const report = ChangeReportService.createChangeReport();
+    await recordBatch(report, [{ url: 'old.com', date: day('2024-05-01'), statusCode: '200' }]);
+
+    const json = report.toJSON();
+    assert.strictEqual(json.snapshots, 0);
+    assert.strictEqual(json.existingSnapshots, 1);
+    assert.strictEqual(json.newDomains.count, 0);
+});
+
+test('a snapshot merged again in a later batch of the file is classified once', async () => {
+    const report = ChangeReportService.createChangeReport();
+    await recordBatch(report, [{ url: 'a.com', date: day('2024-02-01'), statusCode: '200' }]);
+    await recordBatch(report, [{ url: 'a.com', date: day('2024-02-01'), email: 'y@a.com' }]);
+
+    const json = report.toJSON();
+    assert.strictEqual(json.snapshots, 1);
+    assert.strictEqual(json.lost.email.count, 0);
+});
+
+test('a new domain backfilled with older snapshots is counted once', async () => {
+    const report = ChangeReportService.createChangeReport();
+    await recordBatch(report, [{ url: 'z.com', date: day('2024-06-01') }]);
+    await recordBatch(report, [{ url: 'z.com', date: day('2024-04-01') }]);
+    await recordBatch(report, [{ url: 'z.com', date: day('2024-03-01') }], 'b.csv');
+
+    assert.strictEqual(report.toJSON().newDomains.count, 1);
+});
+
+test('a resumed run does not count the snapshots the cancelled run wrote again', async () => {
+    const first = ChangeReportService.createChangeReport();
+    const batch = [{ url: 'new.com', date: day('2024-02-01'), statusCode: '200' }];
+    await recordBatch(first, batch);
+
+    const resumed = ChangeReportService.createChangeReport(first.toJSON());
+    await recordBatch(resumed, batch);
+
+    const json = resumed.toJSON();
+    assert.strictEqual(json.snapshots, 1);
+    assert.strictEqual(json.newDomains.count, 1);
+    assert.strictEqual(json.existingSnapshots, 1);
+});
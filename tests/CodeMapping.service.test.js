@@ -0,0 +1,49 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const CodeMapping = require('../models/CodeMapping');
+const { CodeMappingService } = require('../services/CodeMapping.service');
+
+// Query chain of a lean findOne resolving to the stored mapping
+const findOneResult = (mapping) => ({ select: () => ({ lean: async () => mapping }) });
+
+afterEach(() => mock.restoreAll());
+
+test('upsertMapping rejects isArray on a scalar field', async () => {
+    mock.method(CodeMapping, 'findOne', () => findOneResult(null));
+    const update = mock.method(CodeMapping, 'findOneAndUpdate', () => ({ lean: async () => ({}) }));
+
+    await assert.rejects(
+        CodeMappingService.upsertMapping('[XX]', { field: 'title', isArray: true }),
+        /cannot be set .* not an array field/
+    );
+    assert.strictEqual(update.mock.callCount(), 0);
+});
+
+test('upsertMapping rejects a scalar mapping onto an array field', async () => {
+    mock.method(CodeMapping, 'findOne', () => findOneResult(null));
+
+    await assert.rejects(
+        CodeMappingService.upsertMapping('[PN]', { field: 'phone', cleaner: 'phone' }),
+        /cannot be set .* is an array field/
+    );
+});
+
+test('upsertMapping keeps the stored isArray when it is left out', async () => {
+    mock.method(CodeMapping, 'findOne', () => findOneResult({ cleaner: 'text', isArray: true }));
+
+    await assert.rejects(
+        CodeMappingService.upsertMapping('[TI]', { field: 'title' }),
+        /cannot be set/
+    );
+});
+
+test('upsertMapping saves a mapping whose isArray matches the field', async () => {
+    mock.method(CodeMapping, 'findOne', () => findOneResult(null));
+    const update = mock.method(CodeMapping, 'findOneAndUpdate', () => ({ lean: async () => ({ code: '[XX]', field: 'title' }) }));
+    mock.method(CodeMapping, 'estimatedDocumentCount', async () => 1);
+    mock.method(CodeMapping, 'find', () => ({ lean: async () => [] }));
+
+    const mapping = await CodeMappingService.upsertMapping('[XX]', { field: 'title', isArray: false });
+    assert.strictEqual(mapping.field, 'title');
+    assert.strictEqual(update.mock.callCount(), 1);
+});
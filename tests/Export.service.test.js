@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ExportService } = require('../services/Export.service');
+
+// Export cursor over rows held in memory
+const createCursor = (rows) => ({
+    async *[Symbol.asyncIterator]() {
+        yield* rows;
+    },
+    close: async () => {}
+});
+
+test('writeExport waits for a full file stream to drain without an abort signal', async () => {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'export-'));
+    const filePath = path.join(dir, 'export.ndjson');
+    const stream = fs.createWriteStream(filePath, { highWaterMark: 1024 });
+    const rows = Array.from({ length: 500 }, (_, i) => ({ url: `domain${i}.co.uk`, title: 'x'.repeat(50) }));
+
+    try {
+        const written = await ExportService.writeExport(createCursor(rows), stream, { format: 'ndjson', fields: ['url', 'title'] });
+        stream.end();
+        await new Promise(resolve => stream.on('finish', resolve));
+
+        assert.strictEqual(written, rows.length);
+        const lines = (await fs.promises.readFile(filePath, 'utf8')).trim().split('\n');
+        assert.strictEqual(lines.length, rows.length);
+        assert.ok(lines.join('\n').length > stream.writableHighWaterMark);
+    } finally {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+});
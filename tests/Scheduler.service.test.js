@@ -0,0 +1,34 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const Schedule = require('../models/Schedule');
+const { SchedulerService } = require('../services/Scheduler.service');
+
+// Stubs the save, returning the mock holding the update it was called with
+const stubSave = () => mock.method(Schedule, 'findOneAndUpdate', (filter, update) => ({
+    lean: async () => ({ name: filter.name, ...update.$set })
+}));
+
+afterEach(() => mock.restoreAll());
+
+test('upsertSchedule clears the definition fields left out of the new one', async () => {
+    const save = stubSave();
+
+    await SchedulerService.upsertSchedule('nightly', { job: 'phone', watch: true, timezone: 'UTC', enabled: true, options: {} });
+
+    const [, update] = save.mock.calls[0].arguments;
+    assert.deepStrictEqual(update.$unset, { description: '' });
+    assert.strictEqual(update.$set.cron, null);
+    assert.strictEqual(update.$set.nextRunAt, null);
+});
+
+test('upsertSchedule unsets nothing when the whole definition is sent', async () => {
+    const save = stubSave();
+
+    await SchedulerService.upsertSchedule('nightly', {
+        job: 'stats', cron: '0 3 * * *', timezone: 'Europe/London', watch: false, enabled: true, options: {}, description: 'Nightly stats'
+    });
+
+    const [, update] = save.mock.calls[0].arguments;
+    assert.strictEqual(update.$unset, undefined);
+    assert.ok(update.$set.nextRunAt instanceof Date);
+});
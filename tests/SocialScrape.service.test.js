@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { SocialScrapeService } = require('../services/SocialScrape.service');
+
+const { matchProfileColumns, toSnapshotObject } = SocialScrapeService;
+
+const profile = {
+    name: 'directory',
+    columns: [
+        { header: 'Website', field: 'url' },
+        { header: 'Scraped On', field: 'date' },
+        { header: 'Phone 1', field: 'phone' },
+        { header: 'Phone 2', field: 'phone' },
+        { header: 'Email', field: 'email' },
+        { header: 'Contact Email', field: 'email' },
+        { header: 'Fax', field: 'postcode' }
+    ]
+};
+
+test('matchProfileColumns matches headers regardless of case and spaces and lists the missing ones', () => {
+    const { columns, missing } = matchProfileColumns(profile, [' website ', 'SCRAPED ON', 'Phone 1', 'phone 2', 'Email', 'Contact Email']);
+
+    assert.deepStrictEqual(columns, [
+        { key: ' website ', field: 'url' },
+        { key: 'SCRAPED ON', field: 'date' },
+        { key: 'Phone 1', field: 'phone' },
+        { key: 'phone 2', field: 'phone' },
+        { key: 'Email', field: 'email' },
+        { key: 'Contact Email', field: 'email' }
+    ]);
+    assert.deepStrictEqual(missing, [{ header: 'Fax', field: 'postcode' }]);
+});
+
+test('toSnapshotObject collects array fields and keeps the first non-empty value of the others', () => {
+    const headers = ['Website', 'Scraped On', 'Phone 1', 'Phone 2', 'Email', 'Contact Email'];
+    const { columns } = matchProfileColumns(profile, headers);
+
+    const object = toSnapshotObject({
+        'Website': ' example.co.uk ',
+        'Scraped On': '2024-03-05',
+        'Phone 1': '020 7946 0018',
+        'Phone 2': ' 0800 123 4567 ',
+        'Email': '  ',
+        'Contact Email': 'info@example.co.uk'
+    }, columns);
+
+    assert.deepStrictEqual(object, {
+        url: 'example.co.uk',
+        date: '2024-03-05',
+        phone: ['020 7946 0018', '0800 123 4567'],
+        email: 'info@example.co.uk'
+    });
+});
+
+test('toSnapshotObject leaves out empty and absent columns', () => {
+    const { columns } = matchProfileColumns(profile, ['Website', 'Phone 1']);
+
+    assert.deepStrictEqual(toSnapshotObject({ 'Website': 'example.co.uk', 'Phone 1': '' }, columns), { url: 'example.co.uk' });
+});
@@ -0,0 +1,25 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { SocialScrapeFilterService } = require('../services/SocialScrapeFilter.service');
+
+const { buildFilterConditions, latestSnapshotStages } = SocialScrapeFilterService;
+
+test('a keyword search runs first and keeps only matches that are the latest snapshot of their domain', () => {
+    const stages = latestSnapshotStages(buildFilterConditions({ keyword: 'plumber', has: ['email'] }), { title: 1 });
+
+    assert.deepStrictEqual(stages[0], { $match: { $and: [{ $text: { $search: 'plumber' } }] } });
+    const lookup = stages.findIndex(stage => stage.$lookup);
+    const group = stages.findIndex(stage => stage.$group);
+    assert.ok(lookup > group, 'the latest snapshot is looked up after picking the latest match');
+    assert.deepStrictEqual(stages[lookup].$lookup.pipeline.slice(1, 3), [{ $sort: { date: -1 } }, { $limit: 1 }]);
+    assert.deepStrictEqual(stages[lookup + 1], { $match: { $expr: { $eq: ['$date', { $arrayElemAt: ['$latest.date', 0] }] } } });
+    assert.deepStrictEqual(stages.at(-1), { $match: { $and: [{ email: { $gt: '' } }] } });
+});
+
+test('filters without a keyword pick the latest snapshot without a lookup', () => {
+    const stages = latestSnapshotStages(buildFilterConditions({ searchUrl: 'example.co.uk', has: ['phone'] }), {});
+
+    assert.deepStrictEqual(stages[0], { $match: { $and: [{ url: 'example.co.uk' }] } });
+    assert.ok(!stages.some(stage => stage.$lookup));
+    assert.deepStrictEqual(stages.at(-1), { $match: { $and: [{ 'phone.e164': { $gt: '' } }] } });
+});
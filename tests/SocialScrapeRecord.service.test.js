@@ -0,0 +1,40 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const SocialScrape = require('../models/SocialScrape');
+const SocialScrapeEdit = require('../models/SocialScrapeEdit');
+const { PhoneIndexService } = require('../services/PhoneIndex.service');
+const { SocialScrapeRecordService } = require('../services/SocialScrapeRecord.service');
+
+const phone = { e164: '+442079460018', national: '020 7946 0018', country: 'GB', type: 'FIXED_LINE' };
+const record = { _id: 'a1', url: 'example.co.uk', date: new Date('2024-03-05T00:00:00Z'), title: 'Example', phone: [phone] };
+
+// Stubs the writes of an update applying changes to record, returning the calls to the phone index
+const stubUpdate = () => {
+    mock.method(SocialScrape, 'findByIdAndUpdate', (id, update) => ({ lean: async () => ({ ...record, ...update.$set }) }));
+    mock.method(SocialScrapeEdit, 'create', async (edit) => edit);
+    return {
+        removed: mock.method(PhoneIndexService, 'removePhones', async () => {}),
+        recorded: mock.method(PhoneIndexService, 'recordPhones', async () => {})
+    };
+};
+
+afterEach(() => mock.restoreAll());
+
+test('updateRecord moves the phone index entries to the new date', async () => {
+    const { removed, recorded } = stubUpdate();
+    const date = new Date('2024-04-01T00:00:00Z');
+
+    await SocialScrapeRecordService.updateRecord(record, { date });
+
+    assert.deepStrictEqual(removed.mock.calls[0].arguments[0], [{ url: record.url, phones: [phone] }]);
+    assert.deepStrictEqual(recorded.mock.calls[0].arguments[0], [{ url: record.url, date, phones: [phone] }]);
+});
+
+test('updateRecord leaves the phone index alone when neither phone, url nor date change', async () => {
+    const { removed, recorded } = stubUpdate();
+
+    await SocialScrapeRecordService.updateRecord(record, { title: 'Renamed' });
+
+    assert.strictEqual(removed.mock.callCount(), 0);
+    assert.strictEqual(recorded.mock.callCount(), 0);
+});
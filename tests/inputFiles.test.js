@@ -0,0 +1,156 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { inputFormat, isInputFile, listInputFiles, resolveInput, inputName, openInputStream, completeInput } = require('../utils/inputFiles');
+const { archiveFile, readFirstLine, countLines } = require('../utils/fileUtils');
+
+let dir;
+
+const PACKED_CSV = 'url,title\n\nb.com,B\nc.com,C';
+
+// CRC-32 checksums the zip entries are stored with
+const crcTable = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+const crc32 = (buffer) => {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Zip file of uncompressed entries, { name: content }
+const createZip = (entries) => {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const [name, content] of Object.entries(entries)) {
+        const data = Buffer.from(content);
+        const fileName = Buffer.from(name);
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt32LE(crc32(data), 14);
+        header.writeUInt32LE(data.length, 18);
+        header.writeUInt32LE(data.length, 22);
+        header.writeUInt16LE(fileName.length, 26);
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt32LE(crc32(data), 16);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(fileName.length, 28);
+        central.writeUInt32LE(offset, 42);
+        locals.push(header, fileName, data);
+        centrals.push(central, fileName);
+        offset += header.length + fileName.length + data.length;
+    }
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Object.keys(entries).length, 8);
+    end.writeUInt16LE(Object.keys(entries).length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]);
+};
+
+const readAll = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf-8');
+};
+
+before(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'input-files-'));
+    await fs.promises.writeFile(path.join(dir, 'plain.csv'), 'url,title\na.com,A\n');
+    await fs.promises.writeFile(path.join(dir, 'packed.csv.gz'), zlib.gzipSync(PACKED_CSV));
+    await fs.promises.writeFile(path.join(dir, 'rows.ndjson.gz'), zlib.gzipSync('{"url":"d.com"}\n'));
+    await fs.promises.writeFile(path.join(dir, 'notes.txt'), 'skip me');
+    await fs.promises.writeFile(path.join(dir, 'bundle.zip'), createZip({
+        'one.csv': 'url\ne.com\n',
+        'nested/two.csv': 'url\nf.com\n',
+        '__MACOSX/._one.csv': 'junk',
+        'inner.csv.gz': 'not read from zips',
+        'readme.txt': 'skip me'
+    }));
+});
+
+after(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+test('inputFormat and isInputFile tell formats apart, gzipped or not', () => {
+    assert.strictEqual(inputFormat('Data.CSV.GZ'), 'csv');
+    assert.strictEqual(inputFormat('rows.jsonl'), 'ndjson');
+    assert.strictEqual(inputFormat('notes.txt'), null);
+    assert.strictEqual(isInputFile('rows.ndjson.gz'), false);
+    assert.strictEqual(isInputFile('rows.ndjson.gz', ['csv', 'ndjson']), true);
+    assert.strictEqual(isInputFile('bundle.ZIP'), true);
+});
+
+test('listInputFiles lists plain and gzipped files and the input entries of zip bundles', async () => {
+    const files = await listInputFiles(dir, () => {}, ['csv', 'ndjson']);
+
+    assert.deepStrictEqual(files.sort(), [
+        'bundle.zip/nested/two.csv',
+        'bundle.zip/one.csv',
+        'packed.csv.gz',
+        'plain.csv',
+        'rows.ndjson.gz'
+    ]);
+});
+
+test('resolveInput and inputName split zip entries from their bundle', () => {
+    const entryPath = path.join(dir, 'bundle.zip/nested/two.csv');
+
+    assert.deepStrictEqual(resolveInput(entryPath), {
+        archivePath: path.join(dir, 'bundle.zip'), entryName: 'nested/two.csv', gzip: false, format: 'csv'
+    });
+    assert.strictEqual(inputName(entryPath), 'bundle.zip/nested/two.csv');
+    assert.strictEqual(resolveInput(path.join(dir, 'packed.csv.gz')).gzip, true);
+    assert.strictEqual(inputName(path.join(dir, 'packed.csv.gz')), 'packed.csv.gz');
+});
+
+test('openInputStream reads gzipped files and zip entries uncompressed, counting the bytes', async () => {
+    const bytes = { compressed: 0, uncompressed: 0, compressedTotal: 0 };
+
+    assert.strictEqual(await readAll(await openInputStream(path.join(dir, 'packed.csv.gz'), { bytes })), PACKED_CSV);
+    assert.strictEqual(bytes.uncompressed, Buffer.byteLength(PACKED_CSV));
+    assert.strictEqual(bytes.compressed, bytes.compressedTotal);
+    assert.strictEqual(await readAll(await openInputStream(path.join(dir, 'bundle.zip/nested/two.csv'))), 'url\nf.com\n');
+
+    assert.strictEqual(await readFirstLine(path.join(dir, 'packed.csv.gz')), 'url,title');
+    assert.strictEqual(await countLines(path.join(dir, 'packed.csv.gz')), 3);
+});
+
+test('completeInput archives a bundle once its last entry is processed', async () => {
+    const archived = [];
+    const archive = async (filePath) => archived.push(path.basename(filePath));
+
+    assert.strictEqual(await completeInput(path.join(dir, 'bundle.zip/one.csv'), archive), false);
+    assert.deepStrictEqual(await listInputFiles(dir), ['bundle.zip/nested/two.csv', 'packed.csv.gz', 'plain.csv']);
+    assert.strictEqual(await completeInput(path.join(dir, 'bundle.zip/nested/two.csv'), archive), true);
+    assert.deepStrictEqual(archived, ['bundle.zip']);
+    assert.strictEqual(fs.existsSync(path.join(dir, 'bundle.zip.completed')), false);
+});
+
+test('archiveFile keeps gzipped input extensions whole', async () => {
+    const archiveDir = path.join(dir, 'completed');
+    for (const name of ['one.csv.gz', 'two.ndjson.gz', 'three.jsonl.gz', 'four.csv']) {
+        await fs.promises.writeFile(path.join(dir, name), '');
+    }
+
+    const names = [];
+    for (const name of ['one.csv.gz', 'two.ndjson.gz', 'three.jsonl.gz', 'four.csv']) {
+        names.push(path.basename(await archiveFile(path.join(dir, name), { archiveDir, useTimestamp: false, suffix: 'done' })));
+    }
+
+    assert.deepStrictEqual(names, ['one_done.csv.gz', 'two_done.ndjson.gz', 'three_done.jsonl.gz', 'four_done.csv']);
+});
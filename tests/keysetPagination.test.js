@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { encodeCursor, decodeCursor, paginate } = require('../utils/keysetPagination');
+
+const SORTS = { date: 'date', url: 'string' };
+
+// Values compared as MongoDB orders them here: missing values first, ObjectIds by their hex form
+const rank = (value) => (value === null || value === undefined ? [0, ''] : [1, value instanceof mongoose.Types.ObjectId ? value.toHexString() : value]);
+const compare = (a, b) => {
+    const [ra, va] = rank(a);
+    const [rb, vb] = rank(b);
+    if (ra !== rb) return ra - rb;
+    return va < vb ? -1 : va > vb ? 1 : 0;
+};
+
+const matches = (row, query) => Object.entries(query).every(([key, condition]) => {
+    if (key === '$and') return condition.every(clause => matches(row, clause));
+    if (key === '$or') return condition.some(clause => matches(row, clause));
+    const value = row[key];
+    if (condition === null || condition instanceof Date || typeof condition !== 'object' || condition instanceof mongoose.Types.ObjectId) {
+        return compare(value, condition) === 0;
+    }
+    return Object.entries(condition).every(([operator, operand]) => {
+        const order = compare(value, operand);
+        return { $gt: order > 0, $lt: order < 0, $ne: order !== 0 }[operator];
+    });
+});
+
+// Model whose find reads rows held in memory
+const createModel = (rows) => ({
+    find: (query) => {
+        let sort = {};
+        let limit = Infinity;
+        const chain = {
+            sort: (value) => { sort = value; return chain; },
+            limit: (value) => { limit = value; return chain; },
+            lean: async () => rows
+                .filter(row => matches(row, query))
+                .sort((a, b) => {
+                    for (const [field, direction] of Object.entries(sort)) {
+                        const order = compare(a[field], b[field]) * direction;
+                        if (order !== 0) return order;
+                    }
+                    return 0;
+                })
+                .slice(0, limit)
+        };
+        return chain;
+    }
+});
+
+const day = (value) => new Date(`2024-03-0${value}T00:00:00Z`);
+const rows = [1, 2, 2, 2, null, 3, 1, null, 4].map(value => ({
+    _id: new mongoose.Types.ObjectId(),
+    date: value === null ? null : day(value)
+}));
+
+test('cursors round-trip and anything else decodes to null', () => {
+    const id = new mongoose.Types.ObjectId();
+    const cursor = { sort: 'date', order: 'desc', value: '2024-03-05T00:00:00.000Z', id: String(id), direction: 'next' };
+
+    assert.deepStrictEqual(decodeCursor(encodeCursor(cursor)), cursor);
+    assert.strictEqual(decodeCursor('not a cursor'), null);
+    assert.strictEqual(decodeCursor(encodeCursor({ ...cursor, order: 'sideways' })), null);
+    assert.strictEqual(decodeCursor(encodeCursor({ ...cursor, id: 'x' })), null);
+});
+
+for (const order of ['asc', 'desc']) {
+    test(`pages sorted ${order} visit every row once, forward and back, with ties and missing values`, async () => {
+        const Model = createModel(rows);
+        const pages = [];
+        let page = await paginate(Model, { sorts: SORTS, sort: 'date', order, limit: 2 });
+        pages.push(page.data);
+        while (page.pagination.nextCursor) {
+            page = await paginate(Model, { sorts: SORTS, cursor: decodeCursor(page.pagination.nextCursor), limit: 2 });
+            pages.push(page.data);
+        }
+
+        const visited = pages.flat().map(row => String(row._id));
+        assert.strictEqual(new Set(visited).size, rows.length);
+        const dates = pages.flat().map(row => row.date);
+        assert.deepStrictEqual(dates, [...dates].sort((a, b) => compare(a, b) * (order === 'asc' ? 1 : -1)));
+        assert.strictEqual(page.pagination.hasNextPage, false);
+
+        // Going back from the last page returns the pages before it, in order
+        for (let index = pages.length - 2; index >= 0; index--) {
+            page = await paginate(Model, { sorts: SORTS, cursor: decodeCursor(page.pagination.previousCursor), limit: 2 });
+            assert.deepStrictEqual(page.data.map(row => String(row._id)), pages[index].map(row => String(row._id)));
+        }
+        assert.strictEqual(page.pagination.hasPreviousPage, false);
+    });
+}
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_MERGE_POLICY, mergeRecords, buildMergeUpdate } = require('../utils/mergePolicy');
+
+const date = new Date('2024-03-05T00:00:00Z');
+const phone = (e164) => ({ e164 });
+
+const rows = [
+    { url: 'example.co.uk', date, title: 'First', email: '', phone: [phone('+1')], facebook: 'fb/long-page' },
+    { url: 'example.co.uk', date, title: '', email: 'a@example.co.uk', phone: [phone('+1'), phone('+2')], facebook: 'fb/x' },
+    { url: 'example.co.uk', date, title: 'Third', email: null, phone: [] }
+];
+
+test('mergeRecords keeps the last scalar and unions arrays by default, never taking empty values', () => {
+    assert.deepStrictEqual(mergeRecords(rows), {
+        url: 'example.co.uk',
+        date,
+        title: 'Third',
+        email: 'a@example.co.uk',
+        phone: [phone('+1'), phone('+2')],
+        facebook: 'fb/x'
+    });
+});
+
+test('mergeRecords applies first-wins, longest and per-field policies', () => {
+    const policy = { scalars: 'first-wins', arrays: 'longest', fields: { facebook: 'longest' } };
+
+    assert.deepStrictEqual(mergeRecords(rows, policy), {
+        url: 'example.co.uk',
+        date,
+        title: 'First',
+        email: 'a@example.co.uk',
+        phone: [phone('+1'), phone('+2')],
+        facebook: 'fb/long-page'
+    });
+});
+
+test('a union policy on a scalar field falls back to last-wins', () => {
+    const merged = mergeRecords(rows, { ...DEFAULT_MERGE_POLICY, fields: { title: 'union' } });
+    assert.strictEqual(merged.title, 'Third');
+});
+
+test('buildMergeUpdate merges with the stored document under the same policies', () => {
+    const [{ $set }] = buildMergeUpdate(
+        { url: 'example.co.uk', date, title: '$where', email: '', phone: [phone('+2')], facebook: 'fb/x' },
+        { scalars: 'last-wins', arrays: 'union', fields: { facebook: 'first-wins' } }
+    );
+
+    assert.deepStrictEqual($set.url, { $literal: 'example.co.uk' });
+    // Values starting with $ are not read as field paths
+    assert.deepStrictEqual($set.title, { $literal: '$where' });
+    assert.strictEqual($set.email, undefined);
+    assert.deepStrictEqual($set.facebook, { $cond: [{ $in: [{ $ifNull: ['$facebook', ''] }, ['', []]] }, { $literal: 'fb/x' }, '$facebook'] });
+    // Phone numbers already stored are told apart by their E.164 form
+    assert.deepStrictEqual($set.phone.$concatArrays[1].$filter.cond, { $not: [{ $in: ['$$this.e164', { $cond: [{ $isArray: '$phone' }, '$phone.e164', []] }] }] });
+    assert.deepStrictEqual($set.createdAt, { $ifNull: ['$createdAt', '$$NOW'] });
+    assert.deepStrictEqual($set.is_blacklisted, { $ifNull: ['$is_blacklisted', false] });
+});
+
+test('buildMergeUpdate keeps the longer stored value under longest', () => {
+    const [{ $set }] = buildMergeUpdate({ url: 'example.co.uk', date, title: 'Été' }, { scalars: 'longest', arrays: 'union', fields: {} });
+
+    assert.deepStrictEqual($set.title, {
+        $cond: [{ $gte: [{ $strLenCP: { $toString: { $ifNull: ['$title', ''] } } }, 3] }, '$title', { $literal: 'Été' }]
+    });
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_PHONE_REGION, normalizePhone, regionFromDomain, mergePhones } = require('../utils/phone');
+
+test('normalizePhone reads national numbers in the region of the domain', () => {
+    assert.deepStrictEqual(normalizePhone('020 7946 0018', 'example.co.uk'), {
+        e164: '+442079460018', national: '020 7946 0018', country: 'GB', type: 'landline'
+    });
+    assert.strictEqual(normalizePhone('(02) 9374 4000', 'shop.com.au')?.e164, '+61293744000');
+    assert.strictEqual(normalizePhone('06 12 34 56 78', 'boutique.fr')?.type, 'mobile');
+});
+
+test('normalizePhone prefers the given region over the one of the domain', () => {
+    assert.strictEqual(normalizePhone('06 12 34 56 78', 'example.co.uk'), null);
+    assert.strictEqual(normalizePhone('06 12 34 56 78', 'example.co.uk', 'FR')?.e164, '+33612345678');
+    assert.strictEqual(normalizePhone('0800 123 4567', 'example.co.uk')?.type, 'freephone');
+});
+
+test('normalizePhone reads international numbers and the old bracketed storage format', () => {
+    assert.strictEqual(normalizePhone('+1 212-555-0199', 'example.co.uk')?.e164, '+12125550199');
+    assert.strictEqual(normalizePhone('[+44] 020 7946 0018', 'example.com')?.e164, '+442079460018');
+});
+
+test('normalizePhone rejects values that are not valid numbers', () => {
+    for (const value of ['', '12', 'call us', '020 7946 001', null, 442079460018]) {
+        assert.strictEqual(normalizePhone(value, 'example.co.uk'), null, String(value));
+    }
+});
+
+test('regionFromDomain maps ccTLDs to their country and other TLDs to the default region', () => {
+    assert.strictEqual(regionFromDomain('example.co.uk'), 'GB');
+    assert.strictEqual(regionFromDomain('example.de/kontakt'), 'DE');
+    assert.strictEqual(regionFromDomain('example.com'), DEFAULT_PHONE_REGION);
+    assert.strictEqual(regionFromDomain('example.eu'), DEFAULT_PHONE_REGION);
+});
+
+test('mergePhones keeps the first occurrence of each number', () => {
+    const first = { e164: '+442079460018', national: '020 7946 0018' };
+    const again = { e164: '+442079460018', national: '+44 20 7946 0018' };
+    const other = { e164: '+448001234567' };
+
+    assert.deepStrictEqual(mergePhones([first], [again, other], null), [first, other]);
+});
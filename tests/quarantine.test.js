@@ -0,0 +1,61 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { QUARANTINE_DIR, createQuarantineWriter } = require('../utils/quarantine');
+
+const written = [];
+
+// Writer of a test job, whose file is removed after the tests
+const createWriter = (name) => {
+    const writer = createQuarantineWriter(`test-${process.pid}-${name}`, 'import');
+    written.push(path.join(QUARANTINE_DIR, writer.filename));
+    return writer;
+};
+
+const readLines = async (writer) => (await fs.promises.readFile(path.join(QUARANTINE_DIR, writer.filename), 'utf8')).trim().split('\n');
+
+after(async () => {
+    for (const filePath of written) {
+        await fs.promises.rm(filePath, { recursive: true, force: true });
+    }
+});
+
+test('rows of each input file are written under their own header', async () => {
+    const writer = createWriter('headers');
+    await writer.write({ url: 'a.com', title: 'A' }, 'Invalid domain', { file: 'one.csv', line: 2 });
+    await writer.write({ url: 'b.com', title: 'B' }, 'Invalid domain', { file: 'one.csv', line: 3 });
+    await writer.write({ domain: 'c.com' }, 'Invalid domain', { file: 'two.csv', line: 2 });
+    await writer.write(['{not json'], 'Malformed NDJSON line', { file: 'three.ndjson', line: 1 });
+    await writer.close();
+
+    assert.deepStrictEqual(await readLines(writer), [
+        'url,title,reject_reason,source_file,source_line',
+        'a.com,A,Invalid domain,one.csv,2',
+        'b.com,B,Invalid domain,one.csv,3',
+        'domain,reject_reason,source_file,source_line',
+        'c.com,Invalid domain,two.csv,2',
+        'column_1,reject_reason,source_file,source_line',
+        '{not json,Malformed NDJSON line,three.ndjson,1'
+    ]);
+    assert.strictEqual(writer.count, 4);
+});
+
+test('rows of headerless files are written without a header', async () => {
+    const writer = createWriter('headerless');
+    await writer.write(['a.com', 'spam'], 'Invalid domain', { file: 'list.csv', line: 1 });
+    await writer.close();
+
+    assert.deepStrictEqual(await readLines(writer), ['a.com,spam,Invalid domain,list.csv,1']);
+});
+
+test('a file that cannot be written is logged and skipped instead of failing the job', async () => {
+    const writer = createWriter('unwritable');
+    // A directory in place of the file makes the stream fail with EISDIR
+    await fs.promises.mkdir(path.join(QUARANTINE_DIR, writer.filename), { recursive: true });
+
+    await writer.write({ url: 'a.com' }, 'Invalid domain', { file: 'one.csv', line: 2 });
+    await writer.close();
+    await writer.write({ url: 'b.com' }, 'Invalid domain', { file: 'one.csv', line: 3 });
+    await writer.close();
+});
@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { diffText, diffField, diffSnapshots } = require('../utils/snapshotDiff');
+
+test('diffField tells added, removed and changed values apart and ignores empty ones', () => {
+    assert.deepStrictEqual(diffField('email', '', 'a@example.co.uk'), { field: 'email', type: 'added', from: null, to: 'a@example.co.uk' });
+    assert.deepStrictEqual(diffField('email', 'a@example.co.uk', null), { field: 'email', type: 'removed', from: 'a@example.co.uk', to: null });
+    assert.deepStrictEqual(diffField('title', 'Old', 'New'), { field: 'title', type: 'changed', from: 'Old', to: 'New' });
+    assert.strictEqual(diffField('statusCode', 200, '200'), null);
+    assert.strictEqual(diffField('email', undefined, ''), null);
+});
+
+test('diffField compares phone numbers by their E.164 form', () => {
+    const before = [{ e164: '+442079460018', national: '020 7946 0018' }, { e164: '+448001234567' }];
+    const after = [{ e164: '+442079460018', national: '+44 20 7946 0018' }, { e164: '+12125550199' }];
+
+    assert.deepStrictEqual(diffField('phone', before, after), {
+        field: 'phone',
+        type: 'changed',
+        from: before,
+        to: after,
+        added: [{ e164: '+12125550199' }],
+        removed: [{ e164: '+448001234567' }]
+    });
+    assert.strictEqual(diffField('phone', before, [...before].reverse()), null);
+    assert.strictEqual(diffField('phone', [], after).type, 'added');
+    assert.strictEqual(diffField('phone', before, undefined).type, 'removed');
+});
+
+test('diffSnapshots lists the changes of the given fields only', () => {
+    const changes = diffSnapshots(
+        { title: 'Old', email: 'a@example.co.uk', facebook: 'fb/a' },
+        { title: 'New', email: 'a@example.co.uk', twitter: 'tw/a' },
+        ['title', 'email', 'twitter']
+    );
+
+    assert.deepStrictEqual(changes.map(({ field, type }) => [field, type]), [['title', 'changed'], ['twitter', 'added']]);
+});
+
+test('diffText marks the words inserted and deleted between two texts', () => {
+    assert.deepStrictEqual(diffText('Best plumbers in Leeds', 'Best local plumbers in York'), [
+        { type: 'equal', text: 'Best ' },
+        { type: 'insert', text: 'local ' },
+        { type: 'equal', text: 'plumbers in ' },
+        { type: 'delete', text: 'Leeds' },
+        { type: 'insert', text: 'York' }
+    ]);
+    assert.deepStrictEqual(diffText('', 'New title'), [{ type: 'insert', text: 'New title' }]);
+    assert.deepStrictEqual(diffText('Same', 'Same'), [{ type: 'equal', text: 'Same' }]);
+});
+
+test('diffText replaces long texts as a whole', () => {
+    const before = 'word '.repeat(2001);
+    const after = 'other '.repeat(10);
+
+    assert.deepStrictEqual(diffText(before, after), [{ type: 'delete', text: before }, { type: 'insert', text: after }]);
+});
+
+test('diffSnapshots adds a word diff to the changed text fields it is asked for', () => {
+    const [title, description] = diffSnapshots(
+        { title: 'Old title', meta_description: 'Old' },
+        { title: 'New title', meta_description: 'New' },
+        ['title', 'meta_description'],
+        { textFields: ['title'] }
+    );
+
+    assert.deepStrictEqual(title.textDiff, [{ type: 'delete', text: 'Old' }, { type: 'insert', text: 'New' }, { type: 'equal', text: ' title' }]);
+    assert.strictEqual(description.textDiff, undefined);
+});
@@ -0,0 +1,41 @@
+// Value cleaners shared by the social scrape importers
+
+// Names a CODE mapping can use to pick its cleaner
+const CLEANER_NAMES = ['text', 'socialUrl', 'statusCode', 'phone', 'raw'];
+
+const trimUrl = (url) => {
+    if (!url) return '';
+    return url
+        .replace(/^(https?:\/\/)/i, '')
+        .replace(/^www\./i, '')
+        .replace(/^([^/]+).*?$/, '$1');
+};
+
+const cleanSocialUrl = (url) => {
+    if (!url) return '';
+    // Remove everything after ? in URLs
+    return url.replace(/^(https?:\/\/)/i, '')
+        .replace(/^www\./i, '').split('?')[0];
+};
+
+const cleanText = (text) => {
+    if (!text) return '';
+    // Remove control characters and extra spaces
+    return text.replace(/[\x00-\x1F\x7F-\x9F]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .substring(0, 400);
+};
+
+const cleanStatusCode = (value) => {
+    if (value === undefined || value === null) return '';
+    return String(value).trim();
+};
+
+module.exports = {
+    CLEANER_NAMES,
+    trimUrl,
+    cleanSocialUrl,
+    cleanText,
+    cleanStatusCode
+};
@@ -0,0 +1,22 @@
+/**
+ * Quotes a value for a CSV cell when it contains a delimiter, quote or line break
+ * @param {*} value - Cell value, null and undefined become an empty cell
+ * @returns {string} Escaped cell
+ */
+const escapeCsvValue = (value) => {
+    if (value === undefined || value === null) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes one row of values as a CSV line
+ * @param {Array} values - Cell values in column order
+ * @returns {string} CSV line including the trailing line break
+ */
+const toCsvLine = (values) => values.map(escapeCsvValue).join(',') + '\n';
+
+module.exports = {
+    escapeCsvValue,
+    toCsvLine
+};
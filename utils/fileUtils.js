@@ -1,5 +1,14 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { openInputStream, INPUT_FORMATS } = require('./inputFiles');
+
+// Extensions of gzipped input files, kept whole in archive names: .csv.gz, .ndjson.gz, .jsonl.gz
+const COMPOUND_EXTENSIONS = Object.values(INPUT_FORMATS).flat().map(ext => `${ext}.gz`);
+
+const extensionOf = (filename) => {
+    const compound = COMPOUND_EXTENSIONS.find(ext => filename.toLowerCase().endsWith(ext));
+    return compound ? filename.slice(-compound.length) : path.extname(filename);
+};
 
 /**
  * Archives a file to a specified directory with optional timestamp and format
@@ -25,9 +34,9 @@ const archiveFile = async (filePath, options) => {
         // Create archive directory if it doesn't exist
         await fs.mkdir(archiveDir, { recursive: true });
 
-        // Get original filename and extension
+        // Get original filename and extension, keeping compound extensions such as .ndjson.gz together
         const originalName = path.basename(filePath);
-        const ext = path.extname(originalName);
+        const ext = extensionOf(originalName);
         const baseName = path.basename(originalName, ext);
 
         // Generate timestamp if needed
@@ -60,6 +69,56 @@ const archiveFile = async (filePath, options) => {
     }
 };
 
+/**
+ * Reads the first line of an input file without loading the whole file into memory
+ * @param {string|Object} input - Path to the file to read, which may be gzipped or a zip entry, or an input resolved by resolveInput
+ * @param {number} [maxBytes=65536] - Maximum number of bytes to read while looking for a line break
+ * @returns {Promise<string>} First line of the file, without BOM or line terminator
+ */
+const readFirstLine = async (input, maxBytes = 64 * 1024) => {
+    const stream = await openInputStream(input, { highWaterMark: maxBytes });
+    const chunks = [];
+    let length = 0;
+    try {
+        for await (const chunk of stream) {
+            chunks.push(chunk);
+            length += chunk.length;
+            if (length >= maxBytes || chunk.includes(0x0a)) break;
+        }
+    } finally {
+        stream.destroy();
+    }
+
+    const content = Buffer.concat(chunks).subarray(0, maxBytes).toString('utf-8').replace(/^\uFEFF/, '');
+    return content.split(/\r?\n/)[0];
+};
+
+/**
+ * Counts the lines of an input file that are not blank by streaming it, without loading it into memory
+ * @param {string} filePath - Path to the file to count, which may be gzipped or a zip entry
+ * @returns {Promise<number>} Number of lines with at least one non-whitespace character
+ */
+const countLines = async (filePath) => {
+    let count = 0;
+    let lineHasContent = false;
+
+    for await (const chunk of await openInputStream(filePath)) {
+        for (let i = 0; i < chunk.length; i++) {
+            const byte = chunk[i];
+            if (byte === 0x0a) {
+                if (lineHasContent) count++;
+                lineHasContent = false;
+            } else if (byte !== 0x20 && byte !== 0x09 && byte !== 0x0d) {
+                lineHasContent = true;
+            }
+        }
+    }
+
+    return lineHasContent ? count + 1 : count;
+};
+
 module.exports = {
-    archiveFile
+    archiveFile,
+    readFirstLine,
+    countLines
 }; 
\ No newline at end of file
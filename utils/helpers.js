@@ -2,6 +2,10 @@ const isValidDomain = (domain) => {
     return /^[a-zA-Z0-9-]+(\.[a-zA-Z0-9-]+)+$/.test(domain);
 };
 
+// Escapes a value for use as a literal in a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
 module.exports = {
-    isValidDomain
+    isValidDomain,
+    escapeRegex
 }; 
\ No newline at end of file
@@ -0,0 +1,251 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline, Transform } = require('stream');
+const yauzl = require('yauzl');
+
+// Formats the import pipelines read, by file extension. Each may also be gzipped (.csv.gz), and each matching
+// file inside a zip bundle is processed as its own logical file.
+const INPUT_FORMATS = {
+    csv: ['.csv'],
+    ndjson: ['.ndjson', '.jsonl']
+};
+
+// Logical name of a zip entry: "<bundle>.zip/<entry path>"
+const ZIP_ENTRY_PATTERN = /^(.*?\.zip)[\\/](.+)$/i;
+
+// Entries of a bundle that have been processed are listed in this file until the whole bundle is archived
+const COMPLETED_ENTRIES_SUFFIX = '.completed';
+
+// Format of a file or zip entry, or null when it is not an input file
+const inputFormat = (filename) => {
+    const name = filename.toLowerCase().replace(/\.gz$/, '');
+    const format = Object.keys(INPUT_FORMATS).find(key => INPUT_FORMATS[key].some(ext => name.endsWith(ext)));
+    return format || null;
+};
+
+// Extensions accepted for the given formats, for messages listing them
+const inputExtensions = (formats = ['csv']) => [
+    ...formats.flatMap(format => INPUT_FORMATS[format].flatMap(ext => [ext, `${ext}.gz`])),
+    '.zip'
+];
+
+const isInputFile = (filename, formats = ['csv']) => {
+    return filename.toLowerCase().endsWith('.zip') || formats.includes(inputFormat(filename));
+};
+
+const isZipEntryFile = (filename, formats) => {
+    return !filename.startsWith('__MACOSX/') && !filename.toLowerCase().endsWith('.gz') && formats.includes(inputFormat(filename));
+};
+
+const openZip = (zipPath) => new Promise((resolve, reject) => {
+    yauzl.open(zipPath, { lazyEntries: true, autoClose: false }, (error, zipfile) => (error ? reject(error) : resolve(zipfile)));
+});
+
+/**
+ * Reads the central directory of a zip file, calling onEntry for each entry until it returns true
+ * @param {Object} zipfile - Zip file opened by yauzl with lazyEntries
+ * @param {Function} onEntry - Called with each entry, returning true stops the walk
+ * @returns {Promise<Object|null>} Entry the walk stopped at, or null when every entry was read
+ */
+const walkEntries = (zipfile, onEntry) => new Promise((resolve, reject) => {
+    zipfile.on('error', reject);
+    zipfile.on('end', () => resolve(null));
+    zipfile.on('entry', (entry) => {
+        if (onEntry(entry)) {
+            resolve(entry);
+        } else {
+            zipfile.readEntry();
+        }
+    });
+    zipfile.readEntry();
+});
+
+/**
+ * Lists the entries of a zip file in the given formats
+ * @param {string} zipPath - Path to the zip file
+ * @param {string[]} [formats=['csv']] - Formats of the entries to list
+ * @returns {Promise<string[]>} Entry names, in the order they are stored
+ */
+const listZipEntries = async (zipPath, formats = ['csv']) => {
+    const zipfile = await openZip(zipPath);
+    try {
+        const entries = [];
+        await walkEntries(zipfile, (entry) => {
+            if (isZipEntryFile(entry.fileName, formats)) entries.push(entry.fileName);
+            return false;
+        });
+        return entries;
+    } finally {
+        zipfile.close();
+    }
+};
+
+const readCompletedEntries = async (zipPath) => {
+    const content = await fs.promises.readFile(zipPath + COMPLETED_ENTRIES_SUFFIX, 'utf-8').catch(() => '');
+    return new Set(content.split('\n').filter(Boolean));
+};
+
+/**
+ * Lists the logical input files of a directory: plain and gzipped files by name, and each entry
+ * of a zip bundle that has not been processed yet as "<bundle>.zip/<entry>"
+ * @param {string} dir - Directory to list
+ * @param {Function} [onError] - Called with the filename and error of a zip bundle that cannot be read
+ * @param {string[]} [formats=['csv']] - Formats the pipeline reading the directory accepts
+ * @returns {Promise<string[]>} Logical file names relative to the directory
+ */
+const listInputFiles = async (dir, onError = () => {}, formats = ['csv']) => {
+    const files = [];
+    for (const filename of await fs.promises.readdir(dir)) {
+        if (!isInputFile(filename, formats)) continue;
+
+        if (!filename.toLowerCase().endsWith('.zip')) {
+            files.push(filename);
+            continue;
+        }
+
+        try {
+            const zipPath = path.join(dir, filename);
+            const completed = await readCompletedEntries(zipPath);
+            for (const entry of await listZipEntries(zipPath, formats)) {
+                if (!completed.has(entry)) files.push(`${filename}/${entry}`);
+            }
+        } catch (error) {
+            onError(filename, error);
+        }
+    }
+    return files;
+};
+
+/**
+ * Splits the path of a logical input file into the file on disk, the zip entry to read, whether it is gzipped
+ * and its format. Already resolved inputs are returned as they are, which lets uploads be read from their temporary path.
+ * @param {string|Object} input - Path to the input, as joined from its directory and logical name
+ * @returns {{ archivePath: string, entryName: string|null, gzip: boolean, format: string|null }}
+ */
+const resolveInput = (input) => {
+    if (typeof input !== 'string') return input;
+
+    const match = input.match(ZIP_ENTRY_PATTERN);
+    if (match) {
+        const entryName = match[2].replace(/\\/g, '/');
+        return { archivePath: match[1], entryName, gzip: false, format: inputFormat(entryName) };
+    }
+    return { archivePath: input, entryName: null, gzip: input.toLowerCase().endsWith('.gz'), format: inputFormat(input) };
+};
+
+// Name of an input in progress reports, checkpoints and logs, including the bundle of zip entries
+const inputName = (filePath) => {
+    const { archivePath, entryName } = resolveInput(filePath);
+    return entryName ? `${path.basename(archivePath)}/${entryName}` : path.basename(archivePath);
+};
+
+// Pass-through stream reporting the size of every chunk
+const byteCounter = (onChunk) => new Transform({
+    transform(chunk, encoding, callback) {
+        onChunk(chunk.length);
+        callback(null, chunk);
+    }
+});
+
+const openZipEntryStream = async (zipPath, entryName) => {
+    const zipfile = await openZip(zipPath);
+    try {
+        const entry = await walkEntries(zipfile, (candidate) => candidate.fileName === entryName);
+        if (!entry) {
+            throw new Error(`Entry ${entryName} not found in ${path.basename(zipPath)}`);
+        }
+
+        // Deflated entries are inflated here rather than by yauzl so the compressed bytes can be counted.
+        // Method 0 entries are stored without compression.
+        if (![0, 8].includes(entry.compressionMethod)) {
+            throw new Error(`Entry ${entryName} uses unsupported compression method ${entry.compressionMethod}`);
+        }
+        const options = entry.compressionMethod === 8 ? { decompress: false } : {};
+        const stream = await new Promise((resolve, reject) => {
+            zipfile.openReadStream(entry, options, (error, readStream) => (error ? reject(error) : resolve(readStream)));
+        });
+        return { stream, entry };
+    } finally {
+        // The file is closed once the entry stream has ended
+        zipfile.close();
+    }
+};
+
+/**
+ * Opens a logical input file as a stream of uncompressed CSV text, decompressing gzip files and zip entries on the fly
+ * @param {string|Object} input - Path to the input, as joined from its directory and logical name, or a resolved input
+ * @param {Object} [options]
+ * @param {Object} [options.bytes] - Counters updated as the file is read: compressed and uncompressed bytes read
+ *                                   and compressedTotal, the compressed size of the inputs opened so far
+ * @param {number} [options.highWaterMark=1048576] - Chunk size of the file stream
+ * @returns {Promise<import('stream').Readable>} Stream of the uncompressed content; errors of any stage are emitted on it
+ */
+const openInputStream = async (input, { bytes = null, highWaterMark = 1024 * 1024 } = {}) => {
+    const counters = bytes || { compressed: 0, uncompressed: 0, compressedTotal: 0 };
+    const countCompressed = byteCounter(length => { counters.compressed += length; });
+    const countUncompressed = byteCounter(length => { counters.uncompressed += length; });
+    const ignoreError = () => {}; // Errors reach the caller through the returned stream
+
+    const { archivePath, entryName, gzip } = resolveInput(input);
+
+    if (entryName) {
+        const { stream, entry } = await openZipEntryStream(archivePath, entryName);
+        counters.compressedTotal += entry.compressedSize;
+        const stages = entry.compressionMethod === 8
+            ? [stream, countCompressed, zlib.createInflateRaw(), countUncompressed]
+            : [stream, byteCounter(length => { counters.compressed += length; counters.uncompressed += length; })];
+        return pipeline(...stages, ignoreError);
+    }
+
+    const { size } = await fs.promises.stat(archivePath);
+    counters.compressedTotal += size;
+    const fileStream = fs.createReadStream(archivePath, { highWaterMark });
+
+    if (gzip) {
+        return pipeline(fileStream, countCompressed, zlib.createGunzip(), countUncompressed, ignoreError);
+    }
+    return pipeline(fileStream, byteCounter(length => { counters.compressed += length; counters.uncompressed += length; }), ignoreError);
+};
+
+/**
+ * Records that a logical input has been processed and archives the file on disk once nothing in it is left.
+ * A zip bundle is archived after the last of its entries in the formats of the pipeline.
+ * @param {string} filePath - Path to the input, as joined from its directory and logical name
+ * @param {Function} archive - Moves a file on disk out of the input directory, called with its path
+ * @param {string[]} [formats=['csv']] - Formats the pipeline reading the input accepts
+ * @returns {Promise<boolean>} Whether the file on disk was archived
+ */
+const completeInput = async (filePath, archive, formats = ['csv']) => {
+    const { archivePath, entryName } = resolveInput(filePath);
+    if (!entryName) {
+        await archive(archivePath);
+        return true;
+    }
+
+    const completedPath = archivePath + COMPLETED_ENTRIES_SUFFIX;
+    await fs.promises.appendFile(completedPath, `${entryName}\n`);
+
+    const completed = await readCompletedEntries(archivePath);
+    const entries = await listZipEntries(archivePath, formats);
+    if (entries.some(entry => !completed.has(entry))) {
+        return false;
+    }
+
+    await archive(archivePath);
+    await fs.promises.unlink(completedPath).catch(() => {});
+    return true;
+};
+
+module.exports = {
+    INPUT_FORMATS,
+    inputFormat,
+    inputExtensions,
+    isInputFile,
+    listInputFiles,
+    listZipEntries,
+    resolveInput,
+    inputName,
+    openInputStream,
+    completeInput
+};
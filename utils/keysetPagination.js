@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+// Keyset pagination: a page continues right after the last row of the page before it (or right before the
+// first row, going back), found by its sort value. Rows with the same sort value are ordered by _id in the
+// same direction, so every row has one place in the order and rows are neither skipped nor repeated,
+// however deep the page. The position is handed to clients as an opaque cursor token.
+
+const SORT_ORDERS = ['asc', 'desc'];
+const DIRECTIONS = ['next', 'prev'];
+
+// Sort values are written to cursors as JSON, dates are read back from their ISO form
+const toSortValue = (value, type) => {
+    if (value === null || value === undefined) return null;
+    return type === 'date' ? new Date(value) : value;
+};
+
+/**
+ * Encodes the position of a row as an opaque cursor token
+ * @param {Object} cursor - { sort, order, value, id, direction }
+ * @returns {string} URL-safe token
+ */
+const encodeCursor = ({ sort, order, value, id, direction }) => {
+    return Buffer.from(JSON.stringify({ s: sort, o: order, v: value ?? null, i: String(id), d: direction })).toString('base64url');
+};
+
+/**
+ * Decodes a cursor token
+ * @param {string} token - From encodeCursor
+ * @returns {Object|null} { sort, order, value, id, direction }, null when the token is not a valid cursor
+ */
+const decodeCursor = (token) => {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+
+    const { s: sort, o: order, v: value, i: id, d: direction } = decoded || {};
+    if (typeof sort !== 'string' || !SORT_ORDERS.includes(order) || !DIRECTIONS.includes(direction) || !mongoose.isValidObjectId(id)) {
+        return null;
+    }
+    return { sort, order, value, id, direction };
+};
+
+// Rows after the given position in a sort order. Missing values sort before all others, as in MongoDB.
+const afterCondition = (field, order, value, id) => {
+    const conditions = [{ [field]: value, _id: { [order === 'asc' ? '$gt' : '$lt']: id } }];
+    if (order === 'asc') {
+        conditions.push({ [field]: value === null ? { $ne: null } : { $gt: value } });
+    } else if (value !== null) {
+        conditions.push({ [field]: { $lt: value } }, { [field]: null });
+    }
+    return { $or: conditions };
+};
+
+/**
+ * Reads one page of a listing by keyset
+ * @param {mongoose.Model} Model - Collection listed
+ * @param {Object} options
+ * @param {Object} [options.filter={}] - Query the rows must match
+ * @param {Object} options.sorts - Sortable fields of the listing, by name: 'date' for date fields, 'string' otherwise
+ * @param {string} options.sort - Field to sort on when no cursor is given
+ * @param {string} [options.order='desc'] - Order when no cursor is given
+ * @param {Object} [options.cursor] - Decoded cursor to continue from, whose sort and order are kept
+ * @param {number} [options.limit=20] - Rows per page
+ * @param {Function} [options.prepare] - Adds projection, population and the like to the query
+ * @returns {Promise<{ data: Object[], pagination: Object }>} pagination holds limit, sort, order,
+ *          hasNextPage, hasPreviousPage, nextCursor and previousCursor
+ */
+const paginate = async (Model, { filter = {}, sorts, sort, order = 'desc', cursor = null, limit = 20, prepare = (query) => query }) => {
+    const field = cursor ? cursor.sort : sort;
+    const sortOrder = cursor ? cursor.order : order;
+    const backwards = cursor?.direction === 'prev';
+
+    // Going back reads the rows before the cursor in the reverse order, and puts them back in order after
+    const readOrder = backwards ? (sortOrder === 'asc' ? 'desc' : 'asc') : sortOrder;
+    const direction = readOrder === 'asc' ? 1 : -1;
+
+    const conditions = [filter];
+    if (cursor) {
+        const id = new mongoose.Types.ObjectId(cursor.id);
+        conditions.push(afterCondition(field, readOrder, toSortValue(cursor.value, sorts[field]), id));
+    }
+
+    const rows = await prepare(Model.find({ $and: conditions }))
+        .sort({ [field]: direction, _id: direction })
+        .limit(limit + 1) // One more than a page tells whether another page follows
+        .lean();
+
+    const hasMore = rows.length > limit;
+    const data = rows.slice(0, limit);
+    if (backwards) data.reverse();
+
+    const hasNextPage = backwards ? true : hasMore;
+    const hasPreviousPage = backwards ? hasMore : cursor !== null;
+    const cursorAt = (row, rowDirection) => encodeCursor({ sort: field, order: sortOrder, value: row[field], id: row._id, direction: rowDirection });
+
+    return {
+        data,
+        pagination: {
+            limit,
+            sort: field,
+            order: sortOrder,
+            hasNextPage: hasNextPage && data.length > 0,
+            hasPreviousPage: hasPreviousPage && data.length > 0,
+            nextCursor: hasNextPage && data.length > 0 ? cursorAt(data[data.length - 1], 'next') : null,
+            previousCursor: hasPreviousPage && data.length > 0 ? cursorAt(data[0], 'prev') : null
+        }
+    };
+};
+
+module.exports = {
+    SORT_ORDERS,
+    encodeCursor,
+    decodeCursor,
+    paginate
+};
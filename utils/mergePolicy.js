@@ -0,0 +1,134 @@
+const { mergePhones } = require('./phone');
+
+// How the values a field gets from several rows of the same URL and date are combined, in the order rows are imported:
+// - first-wins: the first non-empty value is kept
+// - last-wins: every non-empty value replaces the one before it
+// - longest: the longest value is kept (the one with the most entries for arrays)
+// - union: the entries of every value are collected, for array fields only
+// Empty values ('', null, []) never replace anything under any policy.
+const MERGE_POLICIES = ['first-wins', 'last-wins', 'longest', 'union'];
+const SCALAR_MERGE_POLICIES = ['first-wins', 'last-wins', 'longest'];
+
+// Scalars keep the last value read, as re-imported files have always overwritten them, and arrays collect every value
+const DEFAULT_MERGE_POLICY = { scalars: 'last-wins', arrays: 'union', fields: {} };
+
+const isEmpty = (value) => value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+// Length of a value as MongoDB counts it: code points of strings, entries of arrays
+const lengthOf = (value) => (Array.isArray(value) ? value.length : [...String(value)].length);
+
+// Policy of one field, by name or else by whether the value is an array
+const policyFor = (policy, field, value) => {
+    const fieldPolicy = policy.fields?.[field] || (Array.isArray(value) ? policy.arrays : policy.scalars);
+    return fieldPolicy === 'union' && !Array.isArray(value) ? 'last-wins' : fieldPolicy;
+};
+
+const unionOf = (field, current, value) => {
+    return field === 'phone' ? mergePhones(current, value) : [...new Set([...current, ...value])];
+};
+
+/**
+ * Combines the value a field already has with the value of the next row under a policy
+ * @param {string} field - Field name, phone numbers are told apart by their E.164 form
+ * @param {*} current - Value so far
+ * @param {*} value - Value of the next row
+ * @param {string} fieldPolicy - One of MERGE_POLICIES
+ * @returns {*} The merged value
+ */
+const mergeValue = (field, current, value, fieldPolicy) => {
+    if (isEmpty(value)) return current;
+    if (isEmpty(current)) return value;
+
+    switch (fieldPolicy) {
+        case 'first-wins':
+            return current;
+        case 'longest':
+            return lengthOf(value) > lengthOf(current) ? value : current;
+        case 'union':
+            return Array.isArray(current) ? unionOf(field, current, value) : value;
+        default:
+            return value;
+    }
+};
+
+/**
+ * Merges the records of one URL and date in the order they were read
+ * @param {Object[]} docs - Records sharing url and date
+ * @param {Object} [policy=DEFAULT_MERGE_POLICY] - Policies for scalars, arrays and by field name
+ * @returns {Object} One record holding the merged non-empty fields
+ */
+const mergeRecords = (docs, policy = DEFAULT_MERGE_POLICY) => {
+    const merged = { url: docs[0].url, date: docs[0].date };
+
+    for (const doc of docs) {
+        for (const [field, value] of Object.entries(doc)) {
+            if (field === 'url' || field === 'date') continue;
+
+            const next = mergeValue(field, merged[field], value, policyFor(policy, field, value));
+            if (!isEmpty(next)) merged[field] = next;
+        }
+    }
+
+    return merged;
+};
+
+// Aggregation expression that is true when a field of the stored document is missing or empty
+const isEmptyExpression = (ref) => ({ $in: [{ $ifNull: [ref, ''] }, ['', []]] });
+
+// Aggregation expression merging a field of the stored document with an incoming non-empty value
+const mergeExpression = (field, value, fieldPolicy) => {
+    const ref = `$${field}`;
+    // Values are wrapped so strings starting with $ are not read as field paths
+    const incoming = { $literal: value };
+
+    switch (fieldPolicy) {
+        case 'first-wins':
+            return { $cond: [isEmptyExpression(ref), incoming, ref] };
+        case 'longest': {
+            const storedLength = Array.isArray(value)
+                ? { $cond: [{ $isArray: ref }, { $size: ref }, 0] }
+                : { $strLenCP: { $toString: { $ifNull: [ref, ''] } } };
+            return { $cond: [{ $gte: [storedLength, lengthOf(value)] }, ref, incoming] };
+        }
+        case 'union': {
+            const stored = { $cond: [{ $isArray: ref }, ref, []] };
+            const storedKeys = field === 'phone' ? { $cond: [{ $isArray: ref }, `${ref}.e164`, []] } : stored;
+            const key = field === 'phone' ? '$$this.e164' : '$$this';
+            return { $concatArrays: [stored, { $filter: { input: incoming, cond: { $not: [{ $in: [key, storedKeys] }] } } }] };
+        }
+        default:
+            return incoming;
+    }
+};
+
+/**
+ * Builds an update pipeline that merges a record into the stored document of its URL and date, so rows
+ * written by earlier batches are merged with under the same policy as rows of one batch
+ * @param {Object} doc - Merged record of one URL and date
+ * @param {Object} [policy=DEFAULT_MERGE_POLICY] - Policies for scalars, arrays and by field name
+ * @returns {Object[]} Update pipeline for an upsert filtered by url and date
+ */
+const buildMergeUpdate = (doc, policy = DEFAULT_MERGE_POLICY) => {
+    const set = { url: { $literal: doc.url }, date: { $literal: doc.date } };
+
+    for (const [field, value] of Object.entries(doc)) {
+        if (field === 'url' || field === 'date' || isEmpty(value)) continue;
+        set[field] = mergeExpression(field, value, policyFor(policy, field, value));
+    }
+
+    // Pipelines skip the defaults mongoose adds to inserted documents
+    set.createdAt = { $ifNull: ['$createdAt', '$$NOW'] };
+    if (set.is_blacklisted === undefined) {
+        set.is_blacklisted = { $ifNull: ['$is_blacklisted', false] };
+    }
+
+    return [{ $set: set }];
+};
+
+module.exports = {
+    MERGE_POLICIES,
+    SCALAR_MERGE_POLICIES,
+    DEFAULT_MERGE_POLICY,
+    mergeRecords,
+    buildMergeUpdate
+};
@@ -0,0 +1,67 @@
+// Phone number normalisation backed by the offline numbering-plan metadata of libphonenumber-js
+const { parsePhoneNumberFromString, isSupportedCountry } = require('libphonenumber-js/max');
+
+// Region used when the domain's TLD is not a country (.com, .org, ...)
+const DEFAULT_PHONE_REGION = process.env.PHONE_DEFAULT_REGION || 'GB';
+
+// CcTLDs whose country code differs from the ISO 3166 code
+const TLD_REGIONS = { uk: 'GB' };
+
+// Line types stored on normalised numbers
+const PHONE_TYPES = ['mobile', 'landline', 'landline_or_mobile', 'premium', 'freephone', 'other'];
+
+const LINE_TYPES = {
+    MOBILE: 'mobile',
+    FIXED_LINE: 'landline',
+    FIXED_LINE_OR_MOBILE: 'landline_or_mobile', // Numbering plans such as +1 do not tell them apart
+    PREMIUM_RATE: 'premium',
+    TOLL_FREE: 'freephone'
+};
+
+// Default region for numbers found on a domain, taken from its TLD
+const regionFromDomain = (url = '') => {
+    const tld = url.toLowerCase().split('/')[0].split('.').pop();
+    const region = TLD_REGIONS[tld] || tld.toUpperCase();
+    return region.length === 2 && isSupportedCountry(region) ? region : DEFAULT_PHONE_REGION;
+};
+
+// Normalise a scraped phone number into { e164, national, country, type }, or null when it is not a valid number.
+// Numbers without an international prefix are read in the given region, or else in the region of the domain they were found on.
+const normalizePhone = (value, url = '', region = null) => {
+    if (!value || typeof value !== 'string') return null;
+
+    // Brackets and separators from scraped text and from the old "[+44] 0..." storage format
+    const cleaned = value.trim().replace(/[\s().[\]-]/g, '');
+    if (!/^\+?\d{4,17}$/.test(cleaned)) return null;
+
+    const phoneNumber = parsePhoneNumberFromString(cleaned, region || regionFromDomain(url));
+    if (!phoneNumber || !phoneNumber.isValid()) return null;
+
+    return {
+        e164: phoneNumber.number,
+        national: phoneNumber.formatNational(),
+        country: phoneNumber.country || null,
+        type: LINE_TYPES[phoneNumber.getType()] || 'other'
+    };
+};
+
+// Merge lists of normalised numbers, keeping the first occurrence of each E.164 number
+const mergePhones = (...lists) => {
+    const phones = new Map();
+    for (const list of lists) {
+        for (const phone of list || []) {
+            if (phone?.e164 && !phones.has(phone.e164)) {
+                phones.set(phone.e164, phone);
+            }
+        }
+    }
+    return [...phones.values()];
+};
+
+module.exports = {
+    PHONE_TYPES,
+    DEFAULT_PHONE_REGION,
+    regionFromDomain,
+    normalizePhone,
+    mergePhones
+};
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const { toCsvLine } = require('./csv');
+const socialScrapeLogger = require('../config/socialScrapeLogger');
+
+const QUARANTINE_DIR = path.join(__dirname, '../imports/quarantine');
+
+// Appended after the original columns so the file can be fixed and re-imported as-is
+const QUARANTINE_COLUMNS = ['reject_reason', 'source_file', 'source_line'];
+
+/**
+ * Creates a writer for the rows a job rejects. The CSV is only created once the first row is written.
+ * A failed write (a full disk, no permission) is logged and ends quarantining for the job instead of failing it.
+ * @param {string} processId - Job the rejected rows belong to
+ * @param {string} type - Job type ('import', 'blacklist' or 'phone')
+ * @returns {Object} Writer with write(row, reason, source), close(), count and filename
+ */
+const createQuarantineWriter = (processId, type) => {
+    const filename = `${type}_${processId}.csv`;
+    const filePath = path.join(QUARANTINE_DIR, filename);
+    let stream = null;
+    let failed = false;
+    let count = 0;
+    // Input file and columns of the rows written last, and whether the file has a header row yet
+    let layout = null;
+    let hasHeader = false;
+
+    const fail = (error) => {
+        if (failed) return;
+        failed = true;
+        socialScrapeLogger.error(`Failed to write quarantine file ${filename}, no more rejected rows are kept: ${error.message}`);
+    };
+
+    // A resumed job appends to the file it started
+    const open = () => {
+        fs.mkdirSync(QUARANTINE_DIR, { recursive: true });
+        hasHeader = fs.existsSync(filePath) && fs.statSync(filePath).size > 0;
+        stream = fs.createWriteStream(filePath, { flags: 'a' });
+        stream.on('error', fail);
+    };
+
+    // Rows are objects keyed by header (files with a header row) or plain arrays (headerless files, raw NDJSON lines).
+    // Each input file, and each change of columns within one, starts under a header row of its own, so rows of
+    // different files keep their columns. Plain arrays get numbered columns, unless no header came before them.
+    const headerOf = (row, file) => {
+        const columns = Array.isArray(row) ? row.map((_, index) => `column_${index + 1}`) : Object.keys(row);
+        const rowLayout = JSON.stringify([file, Array.isArray(row), columns]);
+        if (rowLayout === layout) return null;
+
+        layout = rowLayout;
+        if (Array.isArray(row) && !hasHeader) return null;
+        hasHeader = true;
+        return [...columns, ...QUARANTINE_COLUMNS];
+    };
+
+    const write = async (row, reason, { file = '', line = '' } = {}) => {
+        if (failed) return;
+        try {
+            if (!stream) open();
+
+            const header = headerOf(row, file);
+            if (header) {
+                stream.write(toCsvLine(header));
+            }
+            const values = Array.isArray(row) ? row : Object.values(row).map(value => value ?? '');
+            count++;
+
+            // A stream that already failed never drains
+            if (!stream.write(toCsvLine([...values, reason, file, line])) && !failed) {
+                await once(stream, 'drain');
+            }
+        } catch (error) {
+            fail(error);
+        }
+    };
+
+    const close = async () => {
+        if (!stream) return;
+        const closing = stream;
+        stream = null;
+        if (failed) {
+            closing.destroy();
+            return;
+        }
+        try {
+            closing.end();
+            await once(closing, 'finish');
+        } catch (error) {
+            fail(error);
+        }
+    };
+
+    return {
+        filename,
+        write,
+        close,
+        get count() {
+            return count;
+        }
+    };
+};
+
+module.exports = {
+    QUARANTINE_DIR,
+    createQuarantineWriter
+};
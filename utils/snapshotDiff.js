@@ -0,0 +1,119 @@
+// Field-by-field comparison of two snapshots of one domain
+
+const isEmpty = (value) => value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+// Texts with more words than this are shown as replaced as a whole rather than diffed word by word
+const MAX_TEXT_DIFF_WORDS = 2000;
+
+// Entries of array fields are compared by key, phone numbers by their E.164 form
+const entryKey = (field, entry) => (field === 'phone' ? entry?.e164 : JSON.stringify(entry));
+
+const diffArray = (field, before = [], after = []) => {
+    const beforeKeys = new Set(before.map(entry => entryKey(field, entry)));
+    const afterKeys = new Set(after.map(entry => entryKey(field, entry)));
+    return {
+        added: after.filter(entry => !beforeKeys.has(entryKey(field, entry))),
+        removed: before.filter(entry => !afterKeys.has(entryKey(field, entry)))
+    };
+};
+
+/**
+ * Word-level diff of two texts from their longest common subsequence of words and whitespace
+ * @param {string} before - Earlier text
+ * @param {string} after - Later text
+ * @returns {Object[]} Parts of the text in order as { type, text } where type is equal, insert or delete
+ */
+const diffText = (before, after) => {
+    const a = String(before || '').split(/(\s+)/).filter(Boolean);
+    const b = String(after || '').split(/(\s+)/).filter(Boolean);
+
+    if (a.length > MAX_TEXT_DIFF_WORDS || b.length > MAX_TEXT_DIFF_WORDS) {
+        return [{ type: 'delete', text: a.join('') }, { type: 'insert', text: b.join('') }].filter(part => part.text);
+    }
+
+    // lengths[i][j]: length of the common subsequence of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const parts = [];
+    const push = (type, text) => {
+        const last = parts[parts.length - 1];
+        if (last?.type === type) {
+            last.text += text;
+        } else {
+            parts.push({ type, text });
+        }
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            push('equal', a[i]);
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            push('delete', a[i++]);
+        } else {
+            push('insert', b[j++]);
+        }
+    }
+    while (i < a.length) push('delete', a[i++]);
+    while (j < b.length) push('insert', b[j++]);
+
+    return parts;
+};
+
+/**
+ * Compares one field of two snapshots
+ * @param {string} field - Field name
+ * @param {*} before - Value in the earlier snapshot
+ * @param {*} after - Value in the later snapshot
+ * @returns {Object|null} { field, type, from, to } where type is added, removed or changed, with the added and
+ *                        removed entries of array fields; null when the field did not change
+ */
+const diffField = (field, before, after) => {
+    if (isEmpty(before) && isEmpty(after)) return null;
+
+    if (Array.isArray(before) || Array.isArray(after)) {
+        const { added, removed } = diffArray(field, before || [], after || []);
+        if (added.length === 0 && removed.length === 0) return null;
+
+        const type = isEmpty(before) ? 'added' : isEmpty(after) ? 'removed' : 'changed';
+        return { field, type, from: before || [], to: after || [], added, removed };
+    }
+
+    if (isEmpty(before)) return { field, type: 'added', from: null, to: after };
+    if (isEmpty(after)) return { field, type: 'removed', from: before, to: null };
+    if (String(before) === String(after)) return null;
+    return { field, type: 'changed', from: before, to: after };
+};
+
+/**
+ * Compares the given fields of two snapshots
+ * @param {Object} before - Earlier snapshot
+ * @param {Object} after - Later snapshot
+ * @param {string[]} fields - Fields to compare
+ * @param {Object} [options]
+ * @param {string[]} [options.textFields=[]] - Fields whose changed values also get a word-level textDiff
+ * @returns {Object[]} Changes of the fields that differ, see diffField
+ */
+const diffSnapshots = (before, after, fields, { textFields = [] } = {}) => {
+    return fields.map(field => {
+        const change = diffField(field, before[field], after[field]);
+        if (change?.type === 'changed' && textFields.includes(field)) {
+            change.textDiff = diffText(change.from, change.to);
+        }
+        return change;
+    }).filter(Boolean);
+};
+
+module.exports = {
+    diffText,
+    diffField,
+    diffSnapshots
+};
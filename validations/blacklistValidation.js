@@ -0,0 +1,50 @@
+const { z } = require('zod');
+const { BLACKLIST_ACTIONS, HISTORY_SORTS } = require('../services/Blacklist.service');
+const { RULE_TYPES, RULE_ACTIONS } = require('../services/BlacklistRule.service');
+const { keysetQueryObject, checkCursor } = require('./paginationValidation');
+
+// 1-based CSV column, like urlColumn
+const columnSchema = z.coerce.number().int().min(1);
+
+const blacklistOptionsSchema = z.object({
+    action: z.enum(BLACKLIST_ACTIONS).optional(),
+    reason: z.string().trim().max(500).optional(),
+    expiresAt: z.coerce.date().optional(),
+});
+
+// Options of a blacklist file run, the columns override the run-wide values per row
+const blacklistUpdateSchema = blacklistOptionsSchema.extend({
+    urlColumn: columnSchema.optional(),
+    actionColumn: columnSchema.optional(),
+    reasonColumn: columnSchema.optional(),
+    expiresAtColumn: columnSchema.optional(),
+});
+
+// Blacklist or unblacklist domains directly from the API
+const blacklistEntriesSchema = blacklistOptionsSchema.extend({
+    urls: z.array(z.string().trim().min(1)).min(1).max(1000),
+    action: z.enum(BLACKLIST_ACTIONS),
+});
+
+const blacklistHistoryQuerySchema = keysetQueryObject(HISTORY_SORTS).extend({
+    page: z.coerce.number().int().min(1).optional(),
+    limit: z.coerce.number().int().min(1).max(100).optional(),
+}).superRefine(checkCursor);
+
+const blacklistRuleSchema = z.object({
+    type: z.enum(RULE_TYPES),
+    pattern: z.string().trim().min(1).max(200),
+    action: z.enum(RULE_ACTIONS).optional(),
+    reason: z.string().trim().max(500).optional(),
+    enabled: z.boolean().optional(),
+});
+
+const blacklistRuleUpdateSchema = blacklistRuleSchema.partial();
+
+module.exports = {
+    blacklistUpdateSchema,
+    blacklistEntriesSchema,
+    blacklistHistoryQuerySchema,
+    blacklistRuleSchema,
+    blacklistRuleUpdateSchema
+};
@@ -0,0 +1,14 @@
+const { z } = require('zod');
+const { CLEANER_NAMES } = require('../utils/cleaners');
+
+const codeSchema = z.string().regex(/^\[[A-Z0-9]{2,4}\]$/, 'CODE must look like [TI]');
+
+const codeMappingSchema = z.object({
+    field: z.string().regex(/^[a-z][a-z0-9_]*$/i, 'Field must be a plain field name'),
+    cleaner: z.enum(CLEANER_NAMES).optional(),
+    isArray: z.boolean().optional(),
+    enabled: z.boolean().optional(),
+    description: z.string().max(200).optional(),
+});
+
+module.exports = { codeSchema, codeMappingSchema };
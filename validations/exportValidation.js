@@ -0,0 +1,18 @@
+const { z } = require('zod');
+const { EXPORT_FORMATS, EXPORT_FIELDS } = require('../services/Export.service');
+const { booleanSchema } = require('./importValidation');
+const { listSchema, checkFilters, socialScrapeFilterObject } = require('./socialScrapeFilterValidation');
+
+// An export takes the search filters, the fields to write in column order, and how to run it
+const exportQuerySchema = socialScrapeFilterObject.extend({
+    format: z.enum(Object.keys(EXPORT_FORMATS)).default('csv'),
+    fields: listSchema(z.enum(EXPORT_FIELDS))
+        .refine(fields => fields.length > 0, { message: 'Select at least one field' })
+        .default(EXPORT_FIELDS.join(',')),
+    // Only the latest snapshot of each domain
+    latest: booleanSchema.default(false),
+    // Write the export to a file in a background job whatever its size
+    background: booleanSchema.default(false),
+}).superRefine(checkFilters);
+
+module.exports = { exportQuerySchema };
@@ -0,0 +1,25 @@
+const { z } = require('zod');
+
+const historyQuerySchema = z.object({
+    from: z.coerce.date().optional(),
+    to: z.coerce.date().optional(),
+}).refine(({ from, to }) => !from || !to || from <= to, { message: 'from must not be after to', path: ['from'] });
+
+const objectIdSchema = z.string().regex(/^[a-f0-9]{24}$/i, 'Invalid record ID');
+
+// Two snapshots to compare: a URL and two dates, or two record IDs
+const snapshotDiffQuerySchema = z.object({
+    url: z.string().trim().min(1).optional(),
+    from: z.coerce.date().optional(),
+    to: z.coerce.date().optional(),
+    fromId: objectIdSchema.optional(),
+    toId: objectIdSchema.optional(),
+}).refine(
+    ({ url, from, to, fromId, toId }) => (url && from && to && !fromId && !toId) || (fromId && toId && !url && !from && !to),
+    { message: 'Pass either url, from and to, or fromId and toId' }
+);
+
+module.exports = {
+    historyQuerySchema,
+    snapshotDiffQuerySchema
+};
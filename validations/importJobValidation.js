@@ -0,0 +1,13 @@
+const { z } = require('zod');
+const { JOB_SORTS } = require('../services/ImportJob.service');
+const { keysetQueryObject, checkCursor } = require('./paginationValidation');
+
+// Paging, sort and keyset cursor of the job listing, which checks its type and status filters itself
+const jobListQuerySchema = keysetQueryObject(JOB_SORTS).extend({
+    page: z.coerce.number().int().min(1).default(1),
+    limit: z.coerce.number().int().min(1).max(100).default(20),
+}).superRefine(checkCursor);
+
+module.exports = {
+    jobListQuerySchema
+};
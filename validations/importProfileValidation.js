@@ -0,0 +1,33 @@
+const { z } = require('zod');
+const { SNAPSHOT_FIELDS } = require('../services/SocialScrape.service');
+
+const profileNameSchema = z.string().trim().toLowerCase()
+    .regex(/^[a-z0-9][a-z0-9_-]{0,49}$/, 'Profile names may only contain letters, digits, - and _');
+
+const importProfileSchema = z.object({
+    description: z.string().max(200).optional(),
+    columns: z.array(z.object({
+        header: z.string().trim().min(1).max(200),
+        field: z.enum(SNAPSHOT_FIELDS),
+    })).min(1).max(100),
+}).superRefine(({ columns }, ctx) => {
+    const countOf = (field) => columns.filter(column => column.field === field).length;
+    if (countOf('url') !== 1) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['columns'], message: 'Exactly one column must map to url' });
+    }
+    if (countOf('date') > 1) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['columns'], message: 'At most one column may map to date' });
+    }
+
+    // Headers are matched case-insensitively
+    const seen = new Set();
+    columns.forEach(({ header }, index) => {
+        const key = header.toLowerCase();
+        if (seen.has(key)) {
+            ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['columns', index, 'header'], message: `Header ${header} is mapped more than once` });
+        }
+        seen.add(key);
+    });
+});
+
+module.exports = { profileNameSchema, importProfileSchema };
@@ -0,0 +1,34 @@
+const { z } = require('zod');
+const SocialScrape = require('../models/SocialScrape');
+const { SNAPSHOT_FIELDS } = require('../services/SocialScrape.service');
+const { MERGE_POLICIES, SCALAR_MERGE_POLICIES } = require('../utils/mergePolicy');
+const { profileNameSchema } = require('./importProfileValidation');
+
+const isArrayField = (field) => SocialScrape.schema.path(field)?.instance === 'Array';
+
+// Form fields arrive as strings
+const booleanSchema = z.union([z.boolean(), z.enum(['true', 'false']).transform(value => value === 'true')]);
+
+// How rows of the same URL+date are merged, see utils/mergePolicy
+const mergePolicySchema = z.object({
+    scalars: z.enum(SCALAR_MERGE_POLICIES).optional(),
+    arrays: z.enum(MERGE_POLICIES).optional(),
+    fields: z.record(z.enum(MERGE_POLICIES)).optional(),
+}).strict().superRefine(({ fields = {} }, ctx) => {
+    for (const [field, policy] of Object.entries(fields)) {
+        if (field === 'url' || field === 'date' || !SNAPSHOT_FIELDS.includes(field)) {
+            ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['fields', field], message: `Field ${field} has no merge policy` });
+        } else if (policy === 'union' && !isArrayField(field)) {
+            ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['fields', field], message: `union only applies to array fields, ${field} is not one` });
+        }
+    }
+});
+
+// Options of an import run, taken by /import and import schedules
+const importOptionsSchema = z.object({
+    dryRun: booleanSchema.optional(),
+    profile: profileNameSchema.optional(),
+    mergePolicy: mergePolicySchema.optional(),
+});
+
+module.exports = { booleanSchema, mergePolicySchema, importOptionsSchema };
@@ -0,0 +1,34 @@
+const { z } = require('zod');
+const { SORT_ORDERS, decodeCursor } = require('../utils/keysetPagination');
+const { booleanSchema } = require('./importValidation');
+
+// Keyset pagination parameters of a listing sortable on the fields of sorts (see utils/keysetPagination).
+// A cursor keeps the sort of the page it came from. Listings extend the object with their own parameters
+// and apply checkCursor to the result.
+const keysetQueryObject = (sorts) => {
+    const sortFields = Object.keys(sorts);
+    return z.object({
+        sort: z.enum(sortFields).optional(),
+        order: z.enum(SORT_ORDERS).optional(),
+        cursor: z.string().transform((token, ctx) => {
+            const cursor = decodeCursor(token);
+            if (!cursor || !sortFields.includes(cursor.sort)) {
+                ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Invalid cursor' });
+                return z.NEVER;
+            }
+            return cursor;
+        }).optional(),
+        useCursor: booleanSchema.optional(),
+    });
+};
+
+const checkCursor = ({ sort, order, cursor }, ctx) => {
+    if (cursor && ((sort && sort !== cursor.sort) || (order && order !== cursor.order))) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['cursor'], message: 'The cursor was issued for another sort' });
+    }
+};
+
+module.exports = {
+    keysetQueryObject,
+    checkCursor
+};
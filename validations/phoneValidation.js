@@ -0,0 +1,23 @@
+const { z } = require('zod');
+const { PHONE_TYPES } = require('../utils/phone');
+
+const paginationSchema = z.object({
+    page: z.coerce.number().int().min(1).optional(),
+    limit: z.coerce.number().int().min(1).max(100).optional(),
+});
+
+// Region used to read a looked-up number written without an international prefix
+const phoneDomainsQuerySchema = paginationSchema.extend({
+    region: z.string().trim().length(2).toUpperCase().optional(),
+});
+
+const sharedPhonesQuerySchema = paginationSchema.extend({
+    minDomains: z.coerce.number().int().min(1).optional(),
+    country: z.string().trim().length(2).toUpperCase().optional(),
+    type: z.enum(PHONE_TYPES).optional(),
+});
+
+module.exports = {
+    phoneDomainsQuerySchema,
+    sharedPhonesQuerySchema
+};
@@ -0,0 +1,57 @@
+const { z } = require('zod');
+const { SchedulerService } = require('../services/Scheduler.service');
+const { blacklistUpdateSchema } = require('./blacklistValidation');
+const { importOptionsSchema } = require('./importValidation');
+
+const scheduleNameSchema = z.string().trim().toLowerCase()
+    .regex(/^[a-z0-9][a-z0-9_-]{0,49}$/, 'Schedule names may only contain letters, digits, - and _');
+
+const isTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Five fields (minute hour day month weekday) or a macro such as @daily
+const cronSchema = z.string().trim()
+    .refine(cron => cron.startsWith('@') || cron.split(/\s+/).length === 5, 'Cron expressions need five fields: minute hour day month weekday');
+
+const scheduleFields = {
+    cron: cronSchema.optional(),
+    timezone: z.string().trim().refine(isTimezone, 'Unknown timezone').default('UTC'),
+    watch: z.boolean().default(false),
+    enabled: z.boolean().default(true),
+    description: z.string().max(200).optional(),
+};
+
+// Run options of each job, the same the matching endpoint takes
+const scheduleSchema = z.discriminatedUnion('job', [
+    z.object({
+        job: z.literal('import'),
+        ...scheduleFields,
+        options: importOptionsSchema.strict().default({}),
+    }),
+    z.object({ job: z.literal('blacklist'), ...scheduleFields, options: blacklistUpdateSchema.strict().default({}) }),
+    z.object({ job: z.literal('phone'), ...scheduleFields, options: z.object({}).strict().default({}) }),
+    z.object({ job: z.literal('stats'), ...scheduleFields, options: z.object({}).strict().default({}) }),
+]).superRefine((schedule, ctx) => {
+    if (!schedule.cron && !schedule.watch) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['cron'], message: 'A schedule needs a cron expression, watch or both' });
+    }
+    if (schedule.watch && schedule.job === 'stats') {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['watch'], message: 'Stats jobs have no folder to watch' });
+    }
+
+    if (schedule.cron && isTimezone(schedule.timezone)) {
+        try {
+            SchedulerService.getNextRun(schedule.cron, schedule.timezone);
+        } catch (error) {
+            ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['cron'], message: `Invalid cron expression: ${error.message}` });
+        }
+    }
+});
+
+module.exports = { scheduleNameSchema, scheduleSchema };
@@ -0,0 +1,22 @@
+const { z } = require('zod');
+const { booleanSchema } = require('./importValidation');
+const { checkFilters, socialScrapeFilterObject } = require('./socialScrapeFilterValidation');
+
+// Text search only returns snapshots containing a word or phrase that is not negated
+const hasSearchTerm = (q) => {
+    if ([...q.matchAll(/(-?)"([^"]*)"/g)].some(([, negated, phrase]) => !negated && phrase.trim())) {
+        return true;
+    }
+    return q.replace(/-?"[^"]*"/g, ' ').split(/\s+/).some(word => word && !word.startsWith('-'));
+};
+
+// The search query replaces the keyword filter, both being text searches of which a query can hold one
+const searchQuerySchema = socialScrapeFilterObject.omit({ keyword: true }).extend({
+    q: z.string().trim().min(1).max(200)
+        .refine(hasSearchTerm, { message: 'Search for at least one word or phrase that is not excluded' }),
+    latest: booleanSchema.default(true),
+    page: z.coerce.number().int().min(1).default(1),
+    limit: z.coerce.number().int().min(1).max(100).default(20),
+}).superRefine(checkFilters);
+
+module.exports = { searchQuerySchema };
@@ -0,0 +1,60 @@
+const { z } = require('zod');
+const { PRESENCE_FIELDS, STATUS_CLASSES, LISTING_SORTS } = require('../services/SocialScrapeFilter.service');
+const { booleanSchema } = require('./importValidation');
+const { keysetQueryObject, checkCursor } = require('./paginationValidation');
+
+// A comma-separated list in a query string, or the same parameter repeated
+const listSchema = (item) => z.union([z.string(), z.array(z.string())])
+    .transform(value => (Array.isArray(value) ? value : value.split(',')).map(entry => entry.trim()).filter(Boolean))
+    .pipe(z.array(item))
+    .transform(values => [...new Set(values)]);
+
+// Filters of the social scrape search, see SocialScrapeFilter.service. Endpoints taking more parameters
+// extend socialScrapeFilterObject and apply checkFilters to the result.
+const socialScrapeFilterObject = z.object({
+    searchUrl: z.string().trim().toLowerCase().optional(),
+    tld: z.string().trim().toLowerCase().transform(value => value.replace(/^\./, ''))
+        .pipe(z.string().regex(/^[a-z0-9-]+(\.[a-z0-9-]+)*$/, 'Invalid TLD'))
+        .optional(),
+    from: z.coerce.date().optional(),
+    to: z.coerce.date().optional(),
+    blacklisted: booleanSchema.optional(),
+    statusCode: listSchema(z.string().regex(/^\d{3}$/, 'Status codes have three digits')).optional(),
+    statusClass: listSchema(z.enum(STATUS_CLASSES)).optional(),
+    has: listSchema(z.enum(PRESENCE_FIELDS)).optional(),
+    missing: listSchema(z.enum(PRESENCE_FIELDS)).optional(),
+    postcode: z.string().trim().min(1).max(10).optional(),
+    keyword: z.string().trim().min(1).max(200).optional(),
+    updatedSince: z.coerce.date().optional(),
+});
+
+const checkFilters = ({ from, to, has = [], missing = [] }, ctx) => {
+    if (from && to && from > to) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['from'], message: 'from must not be after to' });
+    }
+    for (const field of has.filter(field => missing.includes(field))) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['missing'], message: `${field} cannot be both required and missing` });
+    }
+};
+
+const socialScrapeFilterSchema = socialScrapeFilterObject.superRefine(checkFilters);
+
+// The social scrape listing: filters, and either page and limit or a keyset cursor
+const socialScrapeListingQuerySchema = socialScrapeFilterObject
+    .merge(keysetQueryObject(LISTING_SORTS))
+    .extend({
+        page: z.coerce.number().int().min(1).default(1),
+        limit: z.coerce.number().int().min(1).max(1000).default(100),
+    })
+    .superRefine((query, ctx) => {
+        checkFilters(query, ctx);
+        checkCursor(query, ctx);
+    });
+
+module.exports = {
+    listSchema,
+    checkFilters,
+    socialScrapeFilterObject,
+    socialScrapeFilterSchema,
+    socialScrapeListingQuerySchema
+};
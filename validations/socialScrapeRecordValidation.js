@@ -0,0 +1,82 @@
+const { z } = require('zod');
+const SocialScrape = require('../models/SocialScrape');
+const { SocialScrapeService, SNAPSHOT_FIELDS } = require('../services/SocialScrape.service');
+const { isValidDomain } = require('../utils/helpers');
+const { trimUrl } = require('../utils/cleaners');
+
+// Fields edited by hand besides url and date: those the importers write, the blacklist state has its own endpoints
+const RECORD_FIELDS = SNAPSHOT_FIELDS.filter(field => field !== 'url' && field !== 'date');
+
+const isArrayField = (field) => SocialScrape.schema.path(field)?.instance === 'Array';
+
+const scalarSchema = z.union([z.string(), z.number(), z.boolean()]);
+
+// null or an empty string clears the field
+const fieldValueSchema = z.union([scalarSchema, z.array(scalarSchema)]).nullable();
+
+const urlSchema = z.string().trim().min(1).transform(trimUrl)
+    .refine(isValidDomain, 'Invalid domain');
+
+// Same date formats as the NDJSON import, kept to the day
+const dateSchema = z.union([z.string(), z.number()]).transform((value, ctx) => {
+    const date = SocialScrapeService.parseSnapshotDate(value);
+    if (!date) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Invalid date' });
+        return z.NEVER;
+    }
+    return date;
+});
+
+const recordObject = z.object({
+    url: urlSchema,
+    date: dateSchema,
+    ...Object.fromEntries(RECORD_FIELDS.map(field => [field, fieldValueSchema.optional()])),
+}).strict();
+
+// Clean the fields with the importers' cleaners (cleanText, cleanSocialUrl, phone normalisation through the
+// CODE mappings), phone numbers for the region of the domain. Cleared fields are null.
+const cleanRecord = (record, url, ctx) => {
+    const cleaned = {};
+    for (const [field, value] of Object.entries(record)) {
+        if (field === 'url' || field === 'date') {
+            cleaned[field] = value;
+            continue;
+        }
+        if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+            cleaned[field] = null;
+            continue;
+        }
+
+        // Entries the cleaner drops, such as numbers that do not parse, are rejected rather than lost
+        const values = isArrayField(field) ? [value].flat() : [value];
+        const invalid = values.filter(item => {
+            const clean = SocialScrapeService.cleanSnapshotField(field, item, url);
+            return clean === undefined || (isArrayField(field) && clean.length === 0);
+        });
+        if (invalid.length > 0) {
+            ctx.addIssue({ code: z.ZodIssueCode.custom, path: [field], message: `Invalid value for field ${field}: ${invalid.join(', ')}` });
+            continue;
+        }
+
+        const clean = SocialScrapeService.cleanSnapshotField(field, value, url);
+        cleaned[field] = clean === '' ? null : clean;
+    }
+    return cleaned;
+};
+
+// A record created by hand, which needs its domain and date
+const socialScrapeRecordSchema = recordObject.transform((record, ctx) => {
+    const cleaned = cleanRecord(record, record.url, ctx);
+    return Object.fromEntries(Object.entries(cleaned).filter(([, value]) => value !== null));
+});
+
+// Changes to the record of the given domain, null for the fields to clear
+const socialScrapeRecordUpdateSchema = (url) => recordObject.partial()
+    .refine(changes => Object.keys(changes).length > 0, { message: 'No fields to update' })
+    .transform((changes, ctx) => cleanRecord(changes, changes.url || url, ctx));
+
+module.exports = {
+    RECORD_FIELDS,
+    socialScrapeRecordSchema,
+    socialScrapeRecordUpdateSchema
+};